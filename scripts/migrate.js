@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Apply ChittyOS schema migrations to a Neon database from CI or a shell.
+// Run: npm run migrate -- --database-url=postgres://...  (or set DATABASE_URL)
+//      npm run migrate -- --status
+//      npm run migrate -- --to=<version>
+//      npm run migrate -- --rollback [--steps=<n> | --to=<version>]
+// Needs Node 22+ (global WebSocket for the Neon client). D1 migrations run
+// inside the worker: POST /admin/migrations/apply {"dialect": "d1"}.
+
+import { readdir, readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { Client } from "@neondatabase/serverless";
+import { Migrator, loadMigrations, postgresAdapter } from "../src/migrator.js";
+
+const MIGRATIONS_DIR = new URL("../src/migrations/postgres/", import.meta.url);
+
+const { values: options } = parseArgs({
+  options: {
+    "database-url": { type: "string" },
+    status: { type: "boolean" },
+    rollback: { type: "boolean" },
+    steps: { type: "string", default: "1" },
+    to: { type: "string" },
+  },
+});
+
+const databaseUrl = options["database-url"] || process.env.DATABASE_URL;
+if (!databaseUrl) {
+  console.error("Set --database-url or DATABASE_URL");
+  process.exit(1);
+}
+
+if (!globalThis.WebSocket) {
+  console.error("Node 22 or later is required (no global WebSocket)");
+  process.exit(1);
+}
+
+const files = {};
+for (const filename of (await readdir(MIGRATIONS_DIR)).sort()) {
+  if (filename.endsWith(".sql")) {
+    files[filename] = await readFile(new URL(filename, MIGRATIONS_DIR), "utf8");
+  }
+}
+
+const client = new Client(databaseUrl);
+await client.connect();
+
+try {
+  const migrator = new Migrator(
+    postgresAdapter(client),
+    await loadMigrations(files),
+  );
+
+  if (options.status) {
+    const status = await migrator.status();
+    for (const migration of status.migrations) {
+      const state = migration.applied
+        ? `applied ${new Date(migration.appliedAt).toISOString()}`
+        : "pending";
+      const modified = migration.modified ? " (modified since applied)" : "";
+      console.log(
+        `${migration.version} ${migration.name}: ${state}${modified}`,
+      );
+    }
+    for (const version of status.unknown) {
+      console.log(`${version}: applied, but no migration file`);
+    }
+  } else if (options.rollback) {
+    const rolledBack = await migrator.rollback(
+      options.to ? { to: options.to } : { steps: Number(options.steps) || 1 },
+    );
+    console.log(
+      rolledBack.length > 0
+        ? `Rolled back ${rolledBack.join(", ")}`
+        : "Nothing to roll back",
+    );
+  } else {
+    const applied = await migrator.migrate({ to: options.to });
+    console.log(
+      applied.length > 0
+        ? `Applied ${applied.join(", ")}`
+        : "Database is up to date",
+    );
+  }
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`, error.details || "");
+  process.exitCode = 1;
+} finally {
+  await client.end();
+}
@@ -0,0 +1,725 @@
+/**
+ * ChittyOS Admin API
+ * Runtime configuration stored in CHITTYROUTER_KV, changed without a redeploy
+ */
+
+import { Router } from "./router.js";
+import {
+  DEFAULT_RATE_LIMITS,
+  RATE_LIMIT_CONFIG_KEY,
+  loadRateLimitConfig,
+  saveRateLimitConfig,
+} from "./rate-limit.js";
+import {
+  AI_CONFIG_KEY,
+  DEFAULT_AI_POLICY,
+  loadAIConfig,
+  saveAIConfig,
+} from "./ai-broker.js";
+import {
+  DEFAULT_MODEL_REGISTRY,
+  MODEL_REGISTRY_KEY,
+  loadModelRegistry,
+  saveModelRegistry,
+  validateModelRegistry,
+} from "./model-registry.js";
+import {
+  DEFAULT_RAG_CONFIG,
+  RAG_CONFIG_KEY,
+  loadRagConfig,
+  saveRagConfig,
+} from "./rag.js";
+import { DatabaseService, searchableTables } from "./database.js";
+import { getRequestContext, HttpError, readJson } from "./middleware.js";
+import { recordAuditEvent } from "./audit.js";
+import { hasScope } from "./auth.js";
+import { WORKER_DEPENDENCIES, healthReport } from "./health.js";
+import {
+  DIALECTS,
+  Migrator,
+  d1Adapter,
+  loadMigrations,
+  postgresAdapter,
+} from "./migrator.js";
+import { MIGRATION_FILES } from "./migrations/index.js";
+import {
+  DEFAULT_SERVICES,
+  deleteService,
+  loadServiceRegistry,
+  saveService,
+  validateService,
+} from "./service-registry.js";
+import {
+  DEFAULT_ROLLBACK,
+  loadTrafficRules,
+  saveTrafficRule,
+  validateTrafficRule,
+} from "./traffic-split.js";
+import {
+  listShadowDiffs,
+  loadShadowRules,
+  saveShadowRule,
+  validateShadowRule,
+} from "./shadow-mirror.js";
+
+// Isolates re-read KV overrides at most this often, so changes take effect
+// within this window everywhere
+const CONFIG_PROPAGATION_SECONDS = 30;
+
+const adminRoutes = new Router({ base: "/admin" })
+  .get("/rate-limits", async (request, env) => {
+    return Response.json({
+      success: true,
+      config: await loadRateLimitConfig(env, { fresh: true }),
+      overrides:
+        (await env.CHITTYROUTER_KV.get(RATE_LIMIT_CONFIG_KEY, "json")) || {},
+      defaults: DEFAULT_RATE_LIMITS,
+    });
+  })
+  .put("/rate-limits", async (request, env) => {
+    const overrides = await readJson(request);
+    const errors = validateRateLimits(overrides);
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid rate limit configuration",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    return Response.json({
+      success: true,
+      config: await saveRateLimitConfig(env, overrides),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/rate-limits", async (request, env) => {
+    await env.CHITTYROUTER_KV.delete(RATE_LIMIT_CONFIG_KEY);
+
+    return Response.json({
+      success: true,
+      config: await loadRateLimitConfig(env, { fresh: true }),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  });
+
+// AI broker policy: `defaults` applies to every tenant, `tenants` holds
+// per-tenant overrides of allowedModels, quotas and cacheTtlSeconds
+adminRoutes
+  .get("/ai-config", async (request, env) => {
+    return Response.json({
+      success: true,
+      config: await loadAIConfig(env, { fresh: true }),
+      defaults: DEFAULT_AI_POLICY,
+    });
+  })
+  .put("/ai-config", async (request, env) => {
+    const config = await readJson(request);
+    const errors = validateAIConfig(config);
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid AI configuration",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    return Response.json({
+      success: true,
+      config: await saveAIConfig(env, config),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/ai-config", async (request, env) => {
+    await env.CHITTYROUTER_KV.delete(AI_CONFIG_KEY);
+
+    return Response.json({
+      success: true,
+      config: await loadAIConfig(env, { fresh: true }),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  });
+
+// Model registry: `models`, `aliases` and `defaults` entries are merged over
+// the built-in registry
+adminRoutes
+  .get("/models", async (request, env) => {
+    return Response.json({
+      success: true,
+      registry: await loadModelRegistry(env, { fresh: true }),
+      defaults: DEFAULT_MODEL_REGISTRY,
+    });
+  })
+  .put("/models", async (request, env) => {
+    const overrides = await readJson(request);
+    const errors = validateModelRegistry(overrides);
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid model registry",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    return Response.json({
+      success: true,
+      registry: await saveModelRegistry(env, overrides),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/models", async (request, env) => {
+    await env.CHITTYROUTER_KV.delete(MODEL_REGISTRY_KEY);
+
+    return Response.json({
+      success: true,
+      registry: await loadModelRegistry(env, { fresh: true }),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  });
+
+// Retrieval store per tenant and namespace for /api/ai/rag
+adminRoutes
+  .get("/rag-config", async (request, env) => {
+    return Response.json({
+      success: true,
+      config: await loadRagConfig(env, { fresh: true }),
+      defaults: DEFAULT_RAG_CONFIG,
+    });
+  })
+  .put("/rag-config", async (request, env) => {
+    const config = await readJson(request);
+    const errors = validateRagConfig(config, searchableTables(env));
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid RAG configuration",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    return Response.json({
+      success: true,
+      config: await saveRagConfig(env, config),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/rag-config", async (request, env) => {
+    await env.CHITTYROUTER_KV.delete(RAG_CONFIG_KEY);
+
+    return Response.json({
+      success: true,
+      config: await loadRagConfig(env, { fresh: true }),
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  });
+
+// Schema migrations for Neon ("postgres", through Hyperdrive) and D1
+adminRoutes
+  .get("/migrations", async (request, env) => {
+    const dialect = new URL(request.url).searchParams.get("dialect");
+
+    return Response.json({
+      success: true,
+      ...(await withMigrator(env, dialect, (migrator) => migrator.status())),
+    });
+  })
+  .post("/migrations/apply", async (request, env) => {
+    const { dialect, to } = await readJson(request);
+    const applied = await withMigrator(env, dialect, (migrator) =>
+      migrator.migrate({ to }),
+    );
+
+    await auditMigrations(request, env, "apply", dialect, applied);
+    return Response.json({ success: true, dialect, applied });
+  })
+  .post("/migrations/rollback", async (request, env) => {
+    const { dialect, steps, to } = await readJson(request);
+    if (steps !== undefined && !(Number.isInteger(steps) && steps > 0)) {
+      throw new HttpError(400, "steps must be a positive integer");
+    }
+
+    const rolledBack = await withMigrator(env, dialect, (migrator) =>
+      migrator.rollback({ steps, to }),
+    );
+
+    await auditMigrations(request, env, "rollback", dialect, rolledBack);
+    return Response.json({ success: true, dialect, rolledBack });
+  });
+
+// Full health report for the worker, including each failed check's error
+adminRoutes.get("/health", async (request, env) => {
+  return Response.json(await healthReport(env, WORKER_DEPENDENCIES));
+});
+
+// Service registry the gateway worker routes by. Services register
+// themselves with a key holding the registry:write scope; such a key owns
+// the services it registers and can change only those. Overriding a
+// built-in service or nesting a prefix inside another service's takes admin.
+adminRoutes
+  .get("/services", async (request, env) => {
+    return Response.json({
+      success: true,
+      ...(await loadServiceRegistry(env, { fresh: true })),
+      defaults: DEFAULT_SERVICES,
+    });
+  })
+  .put("/services/:name", async (request, env) => {
+    const { principal } = getRequestContext(request);
+    const body = await readJson(request);
+    const service = {
+      ...body,
+      name: request.params.name,
+      // Only admins may register a service on someone else's behalf
+      ...(!hasScope(principal, "admin") && { owner: principal?.id }),
+    };
+    const errors = validateService(service);
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid service registration",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const registry = await loadServiceRegistry(env, { fresh: true });
+    assertRegistryAccess(principal, registry, service);
+
+    const { services } = registry;
+    const conflict = services.find(
+      (existing) =>
+        existing.name !== service.name &&
+        (existing.prefix === service.prefix ||
+          existing.hostnames.some((hostname) =>
+            service.hostnames?.includes(hostname),
+          )),
+    );
+    if (conflict) {
+      return Response.json(
+        {
+          error: "Prefix or hostname already registered",
+          service: conflict.name,
+        },
+        { status: 409 },
+      );
+    }
+
+    const entry = await saveService(env, service);
+    await auditRegistry(request, env, "register", entry);
+    return Response.json({
+      success: true,
+      service: entry,
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/services/:name", async (request, env) => {
+    const { name } = request.params;
+    assertRegistryAccess(
+      getRequestContext(request).principal,
+      await loadServiceRegistry(env, { fresh: true }),
+      { name },
+    );
+    await deleteService(env, name);
+    await auditRegistry(request, env, "deregister", { name });
+
+    return Response.json({
+      success: true,
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  });
+
+// Canary and blue/green traffic rules for gateway services. Saving a rule
+// restarts its error counts and clears an automatic rollback.
+adminRoutes
+  .get("/traffic", async (request, env) => {
+    return Response.json({
+      success: true,
+      rules: await loadTrafficRules(env, { fresh: true }),
+      defaults: { rollback: DEFAULT_ROLLBACK },
+    });
+  })
+  .put("/traffic/:service", async (request, env) => {
+    const { service } = request.params;
+    const rule = await readJson(request);
+    const errors = validateTrafficRule(rule);
+
+    const { services } = await loadServiceRegistry(env, { fresh: true });
+    if (!services.some((existing) => existing.name === service)) {
+      errors.push(`No service named ${service} is registered`);
+    }
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid traffic rule",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const rules = await saveTrafficRule(env, service, rule);
+    await auditTraffic(request, env, "split", service, rules[service]);
+    return Response.json({
+      success: true,
+      rule: rules[service],
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/traffic/:service", async (request, env) => {
+    const { service } = request.params;
+    await saveTrafficRule(env, service, null);
+    await auditTraffic(request, env, "unsplit", service, null);
+
+    return Response.json({
+      success: true,
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  });
+
+// Shadow mirroring rules for gateway services, and the differences the
+// gateway recorded between their primary and shadow answers
+adminRoutes
+  .get("/shadow", async (request, env) => {
+    return Response.json({
+      success: true,
+      rules: await loadShadowRules(env, { fresh: true }),
+    });
+  })
+  .put("/shadow/:service", async (request, env) => {
+    const { service } = request.params;
+    const rule = await readJson(request);
+
+    const { services } = await loadServiceRegistry(env, { fresh: true });
+    const registered = services.find((existing) => existing.name === service);
+    const errors = validateShadowRule(rule, registered);
+    if (!registered) {
+      errors.push(`No service named ${service} is registered`);
+    }
+
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid shadow rule",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const rules = await saveShadowRule(env, service, rule);
+    await auditShadow(request, env, "mirror", service, rules[service]);
+    return Response.json({
+      success: true,
+      rule: rules[service],
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .delete("/shadow/:service", async (request, env) => {
+    const { service } = request.params;
+    await saveShadowRule(env, service, null);
+    await auditShadow(request, env, "unmirror", service, null);
+
+    return Response.json({
+      success: true,
+      propagationSeconds: CONFIG_PROPAGATION_SECONDS,
+    });
+  })
+  .get("/shadow/:service/diffs", async (request, env) => {
+    const { service } = request.params;
+    const params = new URL(request.url).searchParams;
+    // KV lists at most 1000 keys a page
+    const limit = Math.min(
+      Math.max(parseInt(params.get("limit")) || 50, 1),
+      1000,
+    );
+
+    return Response.json({
+      success: true,
+      service,
+      ...(await listShadowDiffs(env, service, {
+        limit,
+        cursor: params.get("cursor") || undefined,
+      })),
+    });
+  });
+
+export async function handleAdmin(request, env) {
+  const response = await adminRoutes.handle(request, env);
+  if (response) {
+    return response;
+  }
+
+  return Response.json(
+    {
+      error: "Admin endpoint not found",
+      available: adminRoutes.paths(),
+    },
+    { status: 404 },
+  );
+}
+
+// Overrides look like DEFAULT_RATE_LIMITS: `groups` replaces individual
+// groups, `routes` replaces the whole prefix table
+function validateRateLimits(overrides) {
+  const errors = [];
+
+  if (!overrides || typeof overrides !== "object") {
+    return ["Body must be an object with groups and/or routes"];
+  }
+
+  for (const [name, group] of Object.entries(overrides.groups || {})) {
+    if (!group || typeof group !== "object") {
+      errors.push(`groups.${name} must be an object`);
+      continue;
+    }
+    if (group.disabled) continue;
+
+    if (!(group.capacity > 0)) {
+      errors.push(`groups.${name}.capacity must be a positive number`);
+    }
+    if (!(group.refillPerMinute > 0)) {
+      errors.push(`groups.${name}.refillPerMinute must be a positive number`);
+    }
+    if (group.keyBy && !["key", "tenant", "ip"].includes(group.keyBy)) {
+      errors.push(`groups.${name}.keyBy must be one of key, tenant, ip`);
+    }
+  }
+
+  if (overrides.routes !== undefined) {
+    if (!Array.isArray(overrides.routes)) {
+      errors.push("routes must be an array");
+    } else {
+      overrides.routes.forEach((route, index) => {
+        if (!route?.prefix?.startsWith?.("/") || !route.group) {
+          errors.push(
+            `routes[${index}] needs a "/"-prefixed prefix and a group`,
+          );
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+function validateAIConfig(config) {
+  if (!config || typeof config !== "object") {
+    return ["Body must be an object with defaults and/or tenants"];
+  }
+
+  const policies = [
+    ["defaults", config.defaults || {}],
+    ...Object.entries(config.tenants || {}).map(([tenantId, policy]) => [
+      `tenants.${tenantId}`,
+      policy,
+    ]),
+  ];
+
+  return policies.flatMap(([name, policy]) => {
+    if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+      return [`${name} must be an object`];
+    }
+
+    const errors = [];
+
+    if (
+      policy.allowedModels !== undefined &&
+      (!Array.isArray(policy.allowedModels) ||
+        policy.allowedModels.some((model) => typeof model !== "string"))
+    ) {
+      errors.push(`${name}.allowedModels must be an array of model names`);
+    }
+    for (const field of ["requestsPerDay", "tokensPerDay", "cacheTtlSeconds"]) {
+      if (policy[field] !== undefined && !(policy[field] >= 0)) {
+        errors.push(`${name}.${field} must be a non-negative number`);
+      }
+    }
+
+    return errors;
+  });
+}
+
+function validateRagConfig(config, tables) {
+  if (!config || typeof config !== "object") {
+    return ["Body must be an object with defaults, tenants and/or namespaces"];
+  }
+
+  const entries = [
+    ["defaults", config.defaults || {}],
+    ...Object.entries(config.tenants || {}).map(([id, entry]) => [
+      `tenants.${id}`,
+      entry,
+    ]),
+    ...Object.entries(config.namespaces || {}).map(([id, entry]) => [
+      `namespaces.${id}`,
+      entry,
+    ]),
+  ];
+
+  return entries.flatMap(([name, entry]) => {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      return [`${name} must be an object`];
+    }
+
+    const errors = [];
+
+    if (
+      entry.store !== undefined &&
+      !["vectorize", "pgvector"].includes(entry.store)
+    ) {
+      errors.push(`${name}.store must be vectorize or pgvector`);
+    }
+    if (entry.table !== undefined && !tables.includes(entry.table)) {
+      errors.push(`${name}.table must be one of ${tables.join(", ")}`);
+    }
+    if (
+      entry.mode !== undefined &&
+      !["vector", "hybrid"].includes(entry.mode)
+    ) {
+      errors.push(`${name}.mode must be vector or hybrid`);
+    }
+    if (entry.topK !== undefined && !(entry.topK > 0)) {
+      errors.push(`${name}.topK must be a positive number`);
+    }
+
+    return errors;
+  });
+}
+
+// Run `callback` with a Migrator bound to the dialect's database
+async function withMigrator(env, dialect, callback) {
+  if (!DIALECTS.includes(dialect)) {
+    throw new HttpError(400, `dialect must be one of ${DIALECTS.join(", ")}`);
+  }
+
+  const migrations = await loadMigrations(MIGRATION_FILES[dialect]);
+
+  if (dialect === "d1") {
+    if (!env.D1_DATABASE) {
+      throw new HttpError(503, "D1 database not configured");
+    }
+    return await callback(new Migrator(d1Adapter(env.D1_DATABASE), migrations));
+  }
+
+  if (!env.HYPERDRIVE) {
+    throw new HttpError(503, "Hyperdrive not configured");
+  }
+
+  const client = new DatabaseService(env).getClient();
+  await client.connect();
+  try {
+    return await callback(new Migrator(postgresAdapter(client), migrations));
+  } finally {
+    await client.end();
+  }
+}
+
+// Throw a 403 unless the principal may register or remove `service`: admins
+// always may; other callers only for services they own, never for built-in
+// services, and never on a prefix nested in (or around) another service's
+// or a hostname on its subdomain
+function assertRegistryAccess(principal, { services, registered }, service) {
+  if (hasScope(principal, "admin")) return;
+
+  if (DEFAULT_SERVICES.some((builtIn) => builtIn.name === service.name)) {
+    throw new HttpError(403, "Built-in services can only be changed by admin", {
+      service: service.name,
+    });
+  }
+
+  const existing = registered.find((entry) => entry.name === service.name);
+  if (existing && existing.owner !== principal?.id) {
+    throw new HttpError(403, "Service is registered by another owner", {
+      service: service.name,
+    });
+  }
+
+  const nests = (inner, outer) =>
+    outer !== "/" && inner.startsWith(`${outer}/`);
+  const nested =
+    service.prefix &&
+    services.find(
+      (other) =>
+        other.name !== service.name &&
+        (nests(service.prefix, other.prefix) ||
+          nests(other.prefix, service.prefix)),
+    );
+  if (nested) {
+    throw new HttpError(
+      403,
+      "Prefixes nested in another service's can only be registered by admin",
+      { service: nested.name },
+    );
+  }
+
+  // Hostnames win over subdomain routing, so one named after another
+  // service's subdomain would take its traffic
+  const shadowed = services.find(
+    (other) =>
+      other.name !== service.name &&
+      (service.hostnames || []).some(
+        (hostname) => hostname.split(".")[0] === other.name,
+      ),
+  );
+  if (shadowed) {
+    throw new HttpError(
+      403,
+      "Hostnames on another service's subdomain can only be registered by admin",
+      { service: shadowed.name },
+    );
+  }
+}
+
+async function auditRegistry(request, env, action, service) {
+  const { principal } = getRequestContext(request);
+  await recordAuditEvent(env, "registry", service.name, {
+    action,
+    service,
+    principalId: principal?.id || null,
+  });
+}
+
+async function auditTraffic(request, env, action, service, rule) {
+  const { principal } = getRequestContext(request);
+  await recordAuditEvent(env, "traffic", service, {
+    action,
+    rule,
+    principalId: principal?.id || null,
+  });
+}
+
+async function auditShadow(request, env, action, service, rule) {
+  const { principal } = getRequestContext(request);
+  await recordAuditEvent(env, "shadow", service, {
+    action,
+    rule,
+    principalId: principal?.id || null,
+  });
+}
+
+async function auditMigrations(request, env, action, dialect, versions) {
+  if (versions.length === 0) return;
+
+  const { principal } = getRequestContext(request);
+  await recordAuditEvent(env, "database", "migrations", {
+    action,
+    dialect,
+    versions,
+    principalId: principal?.id || null,
+  });
+}
@@ -0,0 +1,521 @@
+/**
+ * ChittyOS Agent Memory
+ * Append-only conversation history for AI agents in Neon. Each message is
+ * stored once with an ID and an embedding; once the unsummarized part of a
+ * session passes a token threshold, older messages are folded into a rolling
+ * summary by AIService. Agents read back a token-budgeted context window
+ * (summary plus recent messages) and recall older messages by meaning.
+ * Session IDs are shared with SessionService, so /session/:id links here.
+ */
+
+import { Router } from "./router.js";
+import { AIService } from "./services.js";
+import { DatabaseService } from "./database.js";
+import { HttpError, getRequestContext, readJson } from "./middleware.js";
+import { hasScope } from "./auth.js";
+import { brokerContext, estimateTokens } from "./ai-broker.js";
+import { base64UrlDecodeText, base64UrlEncode } from "./crypto-utils.js";
+
+export const MESSAGE_ROLES = ["system", "user", "assistant", "tool"];
+
+// Messages accepted per append request
+const MAX_APPEND_MESSAGES = 100;
+
+// Message listing page size bounds
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Context window budget in (estimated) tokens
+const DEFAULT_CONTEXT_TOKENS = 2000;
+const MAX_CONTEXT_TOKENS = 32000;
+
+// Summarize once unsummarized messages exceed SUMMARY_TRIGGER_TOKENS, leaving
+// the newest SUMMARY_KEEP_TOKENS worth of messages out of the summary
+const SUMMARY_TRIGGER_TOKENS = 4000;
+const SUMMARY_KEEP_TOKENS = 1000;
+const SUMMARY_MAX_TOKENS = 512;
+
+// Characters of each message quoted in the summarization prompt
+const SUMMARY_MESSAGE_CHARS = 2000;
+
+const MAX_RECALL_TOP_K = 20;
+
+const SUMMARY_PROMPT = [
+  "You maintain the running summary of a conversation between a user and an AI agent.",
+  "Update the previous summary with the new messages. Keep facts, decisions, names,",
+  "identifiers, open questions and commitments; drop pleasantries and repetition.",
+  "Reply with the updated summary only.",
+].join(" ");
+
+const agentMemoryRoutes = new Router({ base: "/db/agent/memory" })
+  // Append { sessionId, messages: [{ role, content, metadata }] }
+  .post("/", async (request, env, ctx) => {
+    const { sessionId, messages } = await readJson(request);
+    const memory = agentMemory(request, env);
+    const result = await memory.append(sessionId, messages);
+
+    // Summarizing calls the model, so it runs after the response when it can
+    const summarizing = memory
+      .summarize(sessionId)
+      .catch((error) =>
+        console.error("Agent memory summarization failed:", error),
+      );
+    if (ctx?.waitUntil) {
+      ctx.waitUntil(summarizing);
+    } else {
+      await summarizing;
+    }
+
+    return Response.json({ success: true, sessionId, ...result });
+  })
+  // Messages oldest first, a page at a time from the newest:
+  // ?sessionId=&limit=&cursor=
+  .get("/", async (request, env) => {
+    const params = new URL(request.url).searchParams;
+    const page = await agentMemory(request, env).messages(
+      params.get("sessionId"),
+      {
+        limit: Number(params.get("limit") || DEFAULT_PAGE_SIZE),
+        cursor: params.get("cursor"),
+      },
+    );
+
+    return Response.json({ sessionId: params.get("sessionId"), ...page });
+  })
+  // The summary plus as many recent messages as fit: ?sessionId=&maxTokens=
+  .get("/context", async (request, env) => {
+    const params = new URL(request.url).searchParams;
+    const contextWindow = await agentMemory(request, env).context(
+      params.get("sessionId"),
+      {
+        maxTokens: Number(params.get("maxTokens") || DEFAULT_CONTEXT_TOKENS),
+      },
+    );
+
+    return Response.json({
+      sessionId: params.get("sessionId"),
+      ...contextWindow,
+    });
+  })
+  // Messages closest in meaning to { sessionId, query, topK, scope }; scope
+  // "summarized" searches only messages already folded into the summary
+  .post("/recall", async (request, env) => {
+    const {
+      sessionId,
+      query,
+      topK = 5,
+      scope = "all",
+    } = await readJson(request);
+    const results = await agentMemory(request, env).recall(sessionId, query, {
+      topK,
+      scope,
+    });
+
+    return Response.json({ sessionId, results, count: results.length });
+  });
+
+export async function handleAgentMemory(request, env, ctx) {
+  const path = new URL(request.url).pathname.replace(/^\/api(?=\/db\/)/, "");
+  const response = await agentMemoryRoutes.handlePath(request, path, env, ctx);
+  if (response) {
+    return response;
+  }
+
+  return Response.json(
+    {
+      error: "Agent memory endpoint not found",
+      available: agentMemoryRoutes.paths(),
+    },
+    { status: 404 },
+  );
+}
+
+// Where a session's memory is served, for SessionService responses
+export function agentMemoryLinks(sessionId) {
+  const query = `sessionId=${encodeURIComponent(sessionId)}`;
+
+  return {
+    messages: `/api/db/agent/memory?${query}`,
+    context: `/api/db/agent/memory/context?${query}`,
+    recall: "/api/db/agent/memory/recall",
+  };
+}
+
+function agentMemory(request, env) {
+  if (!env.HYPERDRIVE) {
+    throw new HttpError(503, "Hyperdrive not configured");
+  }
+
+  const { principal } = getRequestContext(request);
+  const context = brokerContext(request);
+
+  return new AgentMemory(
+    DatabaseService.forRequest(env, request),
+    new AIService(env, context),
+    {
+      tenantId: context.tenantId,
+      admin: hasScope(principal, "admin"),
+    },
+  );
+}
+
+export class AgentMemory {
+  constructor(db, ai, { tenantId = "default", admin = false } = {}) {
+    this.db = db;
+    this.ai = ai;
+    this.tenantId = tenantId;
+    this.admin = admin;
+  }
+
+  // Store messages after the session's existing ones. Resolves to
+  // { messages: [{ id, tokens }], embedded }.
+  async append(sessionId, messages) {
+    assertSessionId(sessionId);
+    validateMessages(messages);
+
+    const session = await this.openSession(sessionId);
+    this.assertTenant(session);
+
+    const embeddings = await this.embed(
+      messages.map((message) => message.content),
+    );
+    const rows = messages.map((message, index) => [
+      `msg_${crypto.randomUUID()}`,
+      sessionId,
+      message.role,
+      message.content,
+      estimateTokens(message.content),
+      JSON.stringify(message.metadata || {}),
+      embeddings[index] ? JSON.stringify(embeddings[index]) : null,
+    ]);
+
+    // One multi-row insert keeps the batch's seq values in order
+    const values = rows.map(
+      (row, index) =>
+        `(${row.map((_, column) => `$${index * row.length + column + 1}`).join(", ")})`,
+    );
+    const inserted = await this.db.query(
+      `
+      INSERT INTO agent_messages
+        (id, session_id, role, content, tokens, metadata, embedding)
+      SELECT id, session_id, role, content, tokens::integer, metadata::jsonb,
+        embedding::vector
+      FROM (VALUES ${values.join(", ")})
+        AS m (id, session_id, role, content, tokens, metadata, embedding)
+      RETURNING id, tokens
+    `,
+      rows.flat(),
+    );
+
+    return {
+      messages: inserted.map(({ id, tokens }) => ({ id, tokens })),
+      embedded: embeddings.filter(Boolean).length,
+    };
+  }
+
+  // A page of messages in chronological order, starting from the newest;
+  // pass nextCursor back to page towards older messages
+  async messages(sessionId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+    assertSessionId(sessionId);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new HttpError(
+        400,
+        `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      );
+    }
+
+    const session = await this.loadSession(sessionId);
+    if (!session) return { messages: [], nextCursor: null };
+
+    const before = cursor ? decodeCursor(cursor) : null;
+    const rows = await this.db.query(
+      `
+      SELECT id, seq, role, content, tokens, metadata, created_at
+      FROM agent_messages
+      WHERE session_id = $1 ${before ? "AND seq < $3" : ""}
+      ORDER BY seq DESC
+      LIMIT $2
+    `,
+      [sessionId, limit + 1, ...(before ? [before] : [])],
+    );
+
+    const page = rows.slice(0, limit);
+    return {
+      messages: page.reverse().map(toMessage),
+      nextCursor: rows.length > limit ? encodeCursor(page[0].seq) : null,
+    };
+  }
+
+  // The rolling summary and the most recent unsummarized messages that fit
+  // in `maxTokens` together with it, oldest first
+  async context(sessionId, { maxTokens = DEFAULT_CONTEXT_TOKENS } = {}) {
+    assertSessionId(sessionId);
+    if (
+      !Number.isInteger(maxTokens) ||
+      maxTokens < 1 ||
+      maxTokens > MAX_CONTEXT_TOKENS
+    ) {
+      throw new HttpError(
+        400,
+        `maxTokens must be an integer between 1 and ${MAX_CONTEXT_TOKENS}`,
+      );
+    }
+
+    const session = await this.loadSession(sessionId);
+    const summary = session?.summary || null;
+    let tokens = summary ? estimateTokens(summary) : 0;
+
+    const rows = session
+      ? await this.unsummarized(sessionId, session.summarized_through)
+      : [];
+    const recent = [];
+    for (const row of [...rows].reverse()) {
+      if (tokens + row.tokens > maxTokens) break;
+      tokens += row.tokens;
+      recent.unshift(row);
+    }
+
+    return {
+      summary,
+      messages: recent.map(toMessage),
+      tokens,
+      maxTokens,
+      omitted: rows.length - recent.length,
+    };
+  }
+
+  // Messages ranked by embedding distance to `query`
+  async recall(sessionId, query, { topK = 5, scope = "all" } = {}) {
+    assertSessionId(sessionId);
+    if (typeof query !== "string" || !query.trim()) {
+      throw new HttpError(400, "Missing required field: query");
+    }
+    if (!Number.isInteger(topK) || topK < 1 || topK > MAX_RECALL_TOP_K) {
+      throw new HttpError(
+        400,
+        `topK must be an integer between 1 and ${MAX_RECALL_TOP_K}`,
+      );
+    }
+    if (!["all", "summarized"].includes(scope)) {
+      throw new HttpError(400, "scope must be all or summarized");
+    }
+
+    const session = await this.loadSession(sessionId);
+    if (!session) return [];
+
+    const [embedding] = await this.embed([query]);
+    if (!embedding) {
+      throw new HttpError(503, "Embeddings are unavailable");
+    }
+
+    const rows = await this.db.query(
+      `
+      SELECT id, seq, role, content, tokens, metadata, created_at,
+        embedding <-> $2::vector AS distance
+      FROM agent_messages
+      WHERE session_id = $1 AND embedding IS NOT NULL
+        ${scope === "summarized" ? "AND seq <= $4" : ""}
+      ORDER BY embedding <-> $2::vector
+      LIMIT $3
+    `,
+      [
+        sessionId,
+        JSON.stringify(embedding),
+        topK,
+        ...(scope === "summarized" ? [session.summarized_through] : []),
+      ],
+    );
+
+    return rows.map((row) => ({
+      ...toMessage(row),
+      score: 1 / (1 + Number(row.distance)),
+    }));
+  }
+
+  // Fold older unsummarized messages into the session summary once they
+  // pass SUMMARY_TRIGGER_TOKENS. Resolves to the new summary, or null when
+  // none was needed. A concurrent summarization of the same messages wins
+  // and this one is discarded.
+  async summarize(sessionId) {
+    const session = await this.loadSession(sessionId);
+    if (!session) return null;
+
+    const rows = await this.unsummarized(sessionId, session.summarized_through);
+    const total = rows.reduce((sum, row) => sum + row.tokens, 0);
+    if (total <= SUMMARY_TRIGGER_TOKENS) return null;
+
+    let kept = 0;
+    let cut = rows.length;
+    while (cut > 0 && kept + rows[cut - 1].tokens <= SUMMARY_KEEP_TOKENS) {
+      kept += rows[--cut].tokens;
+    }
+    const folded = rows.slice(0, cut);
+    if (folded.length === 0) return null;
+
+    const transcript = folded
+      .map(
+        (row) => `${row.role}: ${row.content.slice(0, SUMMARY_MESSAGE_CHARS)}`,
+      )
+      .join("\n");
+    const { content, model } = await this.ai.chat(
+      [
+        { role: "system", content: SUMMARY_PROMPT },
+        {
+          role: "user",
+          content: `Previous summary:\n${session.summary || "(none)"}\n\nNew messages:\n${transcript}`,
+        },
+      ],
+      { maxTokens: SUMMARY_MAX_TOKENS },
+    );
+
+    const summary = content.trim();
+    const through = folded.at(-1).seq;
+    await this.db.transaction([
+      {
+        sql: `
+          UPDATE agent_sessions
+          SET summary = $2, summarized_through = $3, updated_at = NOW()
+          WHERE session_id = $1 AND summarized_through = $4
+        `,
+        params: [sessionId, summary, through, session.summarized_through],
+      },
+      {
+        sql: `
+          INSERT INTO agent_summaries (session_id, content, through_seq, tokens, model)
+          SELECT $1, $2, $3, $4, $5
+          WHERE EXISTS (
+            SELECT 1 FROM agent_sessions
+            WHERE session_id = $1 AND summarized_through = $3 AND summary = $2
+          )
+        `,
+        params: [sessionId, summary, through, estimateTokens(summary), model],
+      },
+    ]);
+
+    return summary;
+  }
+
+  // Create the session for this tenant if it is new. Row-level security
+  // rejects the upsert (SQLSTATE 42501) when another tenant owns the ID.
+  async openSession(sessionId) {
+    try {
+      const [session] = await this.db.query(
+        `
+        INSERT INTO agent_sessions (session_id, tenant_id)
+        VALUES ($1, $2)
+        ON CONFLICT (session_id) DO UPDATE SET updated_at = NOW()
+        RETURNING session_id, tenant_id, summary, summarized_through
+      `,
+        [sessionId, this.tenantId],
+      );
+      return session;
+    } catch (error) {
+      if (error.code === "42501") {
+        throw new HttpError(403, "Agent session belongs to another tenant");
+      }
+      throw error;
+    }
+  }
+
+  async loadSession(sessionId) {
+    const [session] = await this.db.query(
+      `
+      SELECT session_id, tenant_id, summary, summarized_through
+      FROM agent_sessions
+      WHERE session_id = $1
+    `,
+      [sessionId],
+    );
+
+    if (session) this.assertTenant(session);
+    return session || null;
+  }
+
+  async unsummarized(sessionId, summarizedThrough) {
+    return await this.db.query(
+      `
+      SELECT id, seq, role, content, tokens, metadata, created_at
+      FROM agent_messages
+      WHERE session_id = $1 AND seq > $2
+      ORDER BY seq
+    `,
+      [sessionId, summarizedThrough],
+    );
+  }
+
+  assertTenant(session) {
+    if (!this.admin && session.tenant_id !== this.tenantId) {
+      throw new HttpError(403, "Agent session belongs to another tenant");
+    }
+  }
+
+  // Embeddings for `texts`, or nulls when no embedding model is available;
+  // messages are still stored, just not recallable
+  async embed(texts) {
+    if (!this.ai.ai) return texts.map(() => null);
+
+    try {
+      return await this.ai.embedBatch(texts);
+    } catch (error) {
+      console.error("Agent memory embedding failed:", error);
+      return texts.map(() => null);
+    }
+  }
+}
+
+function assertSessionId(sessionId) {
+  if (typeof sessionId !== "string" || !sessionId || sessionId.length > 200) {
+    throw new HttpError(400, "Missing required field: sessionId");
+  }
+}
+
+function validateMessages(messages) {
+  if (
+    !Array.isArray(messages) ||
+    messages.length === 0 ||
+    messages.length > MAX_APPEND_MESSAGES
+  ) {
+    throw new HttpError(
+      400,
+      `messages must be an array of 1 to ${MAX_APPEND_MESSAGES} messages`,
+    );
+  }
+
+  messages.forEach((message, index) => {
+    if (!MESSAGE_ROLES.includes(message?.role)) {
+      throw new HttpError(
+        400,
+        `messages[${index}].role must be one of ${MESSAGE_ROLES.join(", ")}`,
+      );
+    }
+    if (typeof message.content !== "string" || !message.content) {
+      throw new HttpError(400, `messages[${index}].content must be a string`);
+    }
+  });
+}
+
+function toMessage(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    tokens: row.tokens,
+    metadata: row.metadata,
+    createdAt: row.created_at,
+  };
+}
+
+// Cursors carry the seq of the oldest message already returned
+function encodeCursor(seq) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify({ seq })));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { seq } = JSON.parse(base64UrlDecodeText(cursor));
+    if (/^\d+$/.test(String(seq))) return String(seq);
+  } catch {
+    // Reported below
+  }
+  throw new HttpError(400, "Invalid cursor");
+}
@@ -0,0 +1,159 @@
+/**
+ * ChittyOS AI Broker
+ * Routes Workers AI calls through a per-tenant AIGatewayState Durable Object
+ * that enforces model allow-lists and daily quotas, caches responses and
+ * records usage per tenant, model and case
+ */
+
+import { HttpError, getRequestContext } from "./middleware.js";
+
+// KV key (CHITTYROUTER_KV) holding broker policy, edited through /admin/ai-config
+export const AI_CONFIG_KEY = "ai:config";
+
+// How long an isolate reuses the policy it read from KV, in milliseconds
+const CONFIG_CACHE_TTL = 30 * 1000;
+
+// Policy applied to tenants without an override. Quotas reset at 00:00 UTC.
+export const DEFAULT_AI_POLICY = {
+  allowedModels: [
+    "@cf/meta/llama-3.1-8b-instruct",
+    "@cf/meta/llama-2-7b-chat-int8",
+    "@cf/baai/bge-base-en-v1.5",
+    "@cf/llava-hf/llava-1.5-7b-hf",
+  ],
+  requestsPerDay: 1000,
+  tokensPerDay: 200000,
+  cacheTtlSeconds: 3600,
+};
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+export async function loadAIConfig(env, { fresh = false } = {}) {
+  if (!fresh && cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_TTL) {
+    return cachedConfig;
+  }
+
+  const stored = (await env.CHITTYROUTER_KV?.get(AI_CONFIG_KEY, "json")) || {};
+
+  cachedConfig = {
+    defaults: { ...DEFAULT_AI_POLICY, ...stored.defaults },
+    tenants: stored.tenants || {},
+  };
+  cachedAt = Date.now();
+  return cachedConfig;
+}
+
+export async function saveAIConfig(env, config) {
+  await env.CHITTYROUTER_KV.put(AI_CONFIG_KEY, JSON.stringify(config));
+  return await loadAIConfig(env, { fresh: true });
+}
+
+// Effective policy for one tenant: defaults with the tenant's override on top
+export async function tenantPolicy(env, tenantId) {
+  const config = await loadAIConfig(env);
+  return { ...config.defaults, ...config.tenants[tenantId] };
+}
+
+// Who an AI call is billed to: the caller's tenant, plus an optional case
+// from the request body or the X-Chitty-Case-Id header
+export function brokerContext(request, caseId) {
+  const { principal, requestId } = getRequestContext(request);
+
+  return {
+    tenantId: principal?.tenantId || "default",
+    principalId: principal?.id || null,
+    caseId: caseId || request.headers.get("x-chitty-case-id") || null,
+    requestId: requestId || null,
+  };
+}
+
+// Run a model through the tenant's broker. Resolves to
+// { result, usage: { inputTokens, outputTokens }, cached } and throws an
+// HttpError carrying the broker's status when the call is refused.
+export async function brokerRun(env, context, model, input, options = {}) {
+  const response = await brokerFetch(env, context, model, input, options);
+  return await response.json();
+}
+
+// Streaming variant: resolves to the Workers AI SSE stream, metered by the
+// broker as it passes through
+export async function brokerStream(env, context, model, input) {
+  const response = await brokerFetch(env, context, model, {
+    ...input,
+    stream: true,
+  });
+  return response.body;
+}
+
+async function brokerFetch(env, context, model, input, options = {}) {
+  const stub = env.AI_GATEWAY_STATE.get(
+    env.AI_GATEWAY_STATE.idFromName(`tenant:${context.tenantId}`),
+  );
+
+  const response = await stub.fetch("https://ai-gateway/broker/run", {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-request-id": context.requestId || "",
+    },
+    body: JSON.stringify({ ...context, model, input, ...options }),
+  });
+
+  if (!response.ok) {
+    const { error, status, requestId, ...details } = await response.json();
+    const retryAfter = response.headers.get("retry-after");
+    throw new HttpError(
+      response.status,
+      error,
+      details,
+      retryAfter ? { "Retry-After": retryAfter } : {},
+    );
+  }
+
+  return response;
+}
+
+// Usage report for a tenant between two YYYY-MM-DD dates (inclusive)
+export async function brokerUsage(env, tenantId, { from, to, caseId } = {}) {
+  const stub = env.AI_GATEWAY_STATE.get(
+    env.AI_GATEWAY_STATE.idFromName(`tenant:${tenantId}`),
+  );
+
+  const url = new URL("https://ai-gateway/broker/usage");
+  url.searchParams.set("tenantId", tenantId);
+  if (from) url.searchParams.set("from", from);
+  if (to) url.searchParams.set("to", to);
+  if (caseId) url.searchParams.set("caseId", caseId);
+
+  const response = await stub.fetch(url);
+  return await response.json();
+}
+
+// Token counts reported by the model when available, otherwise estimated at
+// roughly four characters per token
+export function measureUsage(input, result) {
+  if (result?.usage) {
+    return {
+      inputTokens: result.usage.prompt_tokens || 0,
+      outputTokens: result.usage.completion_tokens || 0,
+    };
+  }
+
+  return {
+    inputTokens: estimateTokens(inputText(input)),
+    outputTokens: estimateTokens(result?.response || ""),
+  };
+}
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function inputText(input) {
+  if (input.prompt) return input.prompt;
+  if (input.messages) {
+    return input.messages.map((message) => message.content).join("\n");
+  }
+  return [].concat(input.text || []).join("\n");
+}
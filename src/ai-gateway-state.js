@@ -0,0 +1,361 @@
+/**
+ * AIGatewayState Durable Object
+ * Owns per-caller state for the AI gateway: rate limit token buckets, and for
+ * instances named "tenant:<id>" the AI broker's quotas, cache and usage
+ */
+
+import { Router } from "./router.js";
+import { DURABLE_OBJECT_MIDDLEWARE, compose } from "./middleware.js";
+import { consumeToken } from "./rate-limit.js";
+import { measureUsage, tenantPolicy } from "./ai-broker.js";
+import { sha256Hex } from "./crypto-utils.js";
+import { SSEParser, SSE_HEADERS } from "./streaming.js";
+
+// Daily usage records are kept this long for billing reconciliation
+const USAGE_RETENTION_DAYS = 400;
+
+// Expired cache entries and old usage are swept this often
+const CLEANUP_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Internal routes, only reachable through stubs held by the worker
+const gatewayRoutes = new Router()
+  .post("/rate-limit/consume", async (request, gateway) => {
+    const {
+      bucket: name,
+      capacity,
+      refillPerSecond,
+      cost = 1,
+    } = await request.json();
+
+    if (!(capacity > 0) || !(refillPerSecond > 0)) {
+      return Response.json(
+        {
+          error: "capacity and refillPerSecond must be positive",
+        },
+        { status: 400 },
+      );
+    }
+
+    const key = `bucket:${name || "default"}`;
+    const stored = await gateway.state.storage.get(key);
+    const { bucket, ...result } = consumeToken(stored, {
+      capacity,
+      refillPerSecond,
+      cost,
+    });
+
+    await gateway.state.storage.put(key, bucket);
+    return Response.json(result);
+  })
+  .post("/broker/run", async (request, gateway) => {
+    return await gateway.run(await request.json());
+  })
+  .get("/broker/usage", async (request, gateway) => {
+    const params = new URL(request.url).searchParams;
+    return Response.json(
+      await gateway.usageReport({
+        tenantId: params.get("tenantId"),
+        from: params.get("from"),
+        to: params.get("to"),
+        caseId: params.get("caseId"),
+      }),
+    );
+  });
+
+export class AIGatewayState {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.handler = compose(DURABLE_OBJECT_MIDDLEWARE, (request) =>
+      this.handleRequest(request),
+    );
+  }
+
+  async fetch(request) {
+    return await this.handler(request, this.env, this.state);
+  }
+
+  async handleRequest(request) {
+    const response = await gatewayRoutes.handle(request, this);
+    if (response) {
+      return response;
+    }
+
+    return Response.json(
+      {
+        error: "AI Gateway State endpoint not found",
+        available: gatewayRoutes.paths(),
+      },
+      { status: 404 },
+    );
+  }
+
+  // Broker one model call: allow-list, quota, cache, then Workers AI
+  async run({ tenantId, principalId, caseId, model, input, cache = true }) {
+    const policy = await tenantPolicy(this.env, tenantId);
+
+    if (!policy.allowedModels.includes(model)) {
+      return Response.json(
+        {
+          error: "Model not permitted",
+          model,
+          allowedModels: policy.allowedModels,
+        },
+        { status: 403 },
+      );
+    }
+
+    const today = await this.usageFor(utcDate());
+    if (
+      today.requests >= policy.requestsPerDay ||
+      today.inputTokens + today.outputTokens >= policy.tokensPerDay
+    ) {
+      const retryAfter = secondsUntilUtcMidnight();
+      return Response.json(
+        {
+          error: "Daily AI quota exceeded",
+          quota: {
+            requestsPerDay: policy.requestsPerDay,
+            tokensPerDay: policy.tokensPerDay,
+          },
+          usage: today,
+          retryAfter,
+        },
+        { status: 429, headers: { "Retry-After": String(retryAfter) } },
+      );
+    }
+
+    // Streams are never cached; usage is recorded once the stream ends
+    if (input.stream) {
+      const stream = await this.env.AI.run(model, input);
+      return new Response(
+        this.meterStream(stream, { model, caseId, principalId, input }),
+        { headers: SSE_HEADERS },
+      );
+    }
+
+    const cacheKey = `cache:${await sha256Hex(JSON.stringify({ model, input }))}`;
+    if (cache && policy.cacheTtlSeconds > 0) {
+      const hit = await this.state.storage.get(cacheKey);
+      if (hit && hit.expiresAt > Date.now()) {
+        await this.recordUsage({ model, caseId, principalId, cached: true });
+        return Response.json({
+          result: hit.result,
+          usage: { inputTokens: 0, outputTokens: 0 },
+          cached: true,
+        });
+      }
+    }
+
+    const result = await this.env.AI.run(model, input);
+    const usage = measureUsage(input, result);
+
+    await this.recordUsage({ model, caseId, principalId, ...usage });
+    if (cache && policy.cacheTtlSeconds > 0) {
+      await this.state.storage.put(cacheKey, {
+        result,
+        expiresAt: Date.now() + policy.cacheTtlSeconds * 1000,
+      });
+      await this.scheduleCleanup();
+    }
+
+    return Response.json({ result, usage, cached: false });
+  }
+
+  // Pass a token stream through untouched while counting it, recording usage
+  // when it completes or the client goes away
+  meterStream(stream, { input, ...attribution }) {
+    const decoder = new TextDecoder();
+    const parser = new SSEParser();
+    let text = "";
+    let reported = null;
+    let recorded = false;
+
+    const record = async () => {
+      if (recorded) return;
+      recorded = true;
+      await this.recordUsage({
+        ...attribution,
+        ...measureUsage(input, { response: text, usage: reported }),
+      });
+    };
+
+    return stream.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          controller.enqueue(chunk);
+
+          for (const data of parser.push(
+            decoder.decode(chunk, { stream: true }),
+          )) {
+            if (data === "[DONE]") continue;
+            try {
+              const event = JSON.parse(data);
+              if (event.usage) reported = event.usage;
+              text += event.response || "";
+            } catch {
+              // Not a token event; nothing to count
+            }
+          }
+        },
+        flush: record,
+        cancel: record,
+      }),
+    );
+  }
+
+  // Daily totals between two YYYY-MM-DD dates, optionally for one case
+  async usageReport({ tenantId, from, to, caseId }) {
+    const end = to || utcDate();
+    const start = from || `${end.slice(0, 7)}-01`;
+    const days = await this.state.storage.list({
+      prefix: "usage:",
+      start: `usage:${start}`,
+      // Keys are "usage:YYYY-MM-DD"; the end bound is exclusive
+      end: `usage:${end}:`,
+    });
+
+    const daily = [...days.values()].map((day) =>
+      caseId
+        ? { date: day.date, ...(day.byCase[caseId] || emptyCounters()) }
+        : day,
+    );
+    const totals = daily.reduce(
+      (sum, day) => addCounters(sum, day),
+      emptyCounters(),
+    );
+    if (!caseId) {
+      totals.byModel = mergeBreakdowns(daily.map((day) => day.byModel));
+      totals.byCase = mergeBreakdowns(daily.map((day) => day.byCase));
+      totals.byPrincipal = mergeBreakdowns(daily.map((day) => day.byPrincipal));
+    }
+
+    return {
+      tenantId,
+      caseId: caseId || null,
+      from: start,
+      to: end,
+      totals,
+      daily,
+      policy: await tenantPolicy(this.env, tenantId),
+    };
+  }
+
+  async usageFor(date) {
+    return (
+      (await this.state.storage.get(`usage:${date}`)) || {
+        date,
+        ...emptyCounters(),
+        byModel: {},
+        byCase: {},
+        byPrincipal: {},
+      }
+    );
+  }
+
+  async recordUsage({
+    model,
+    caseId,
+    principalId,
+    inputTokens = 0,
+    outputTokens = 0,
+    cached = false,
+  }) {
+    const day = await this.usageFor(utcDate());
+    const delta = {
+      requests: 1,
+      cachedRequests: cached ? 1 : 0,
+      inputTokens,
+      outputTokens,
+    };
+
+    addCounters(day, delta);
+    day.byModel[model] = addCounters(
+      day.byModel[model] || emptyCounters(),
+      delta,
+    );
+    if (caseId) {
+      day.byCase[caseId] = addCounters(
+        day.byCase[caseId] || emptyCounters(),
+        delta,
+      );
+    }
+    if (principalId) {
+      day.byPrincipal[principalId] = addCounters(
+        day.byPrincipal[principalId] || emptyCounters(),
+        delta,
+      );
+    }
+
+    await this.state.storage.put(`usage:${day.date}`, day);
+  }
+
+  async scheduleCleanup() {
+    if (!(await this.state.storage.getAlarm())) {
+      await this.state.storage.setAlarm(Date.now() + CLEANUP_INTERVAL);
+    }
+  }
+
+  // Sweep expired cache entries and usage past the retention window
+  async alarm() {
+    const now = Date.now();
+    const cutoff = utcDate(new Date(now - USAGE_RETENTION_DAYS * 86400000));
+
+    const entries = await this.state.storage.list({ prefix: "cache:" });
+    const expired = [...entries]
+      .filter(([, entry]) => entry.expiresAt <= now)
+      .map(([key]) => key);
+
+    const usage = await this.state.storage.list({
+      prefix: "usage:",
+      end: `usage:${cutoff}`,
+    });
+    const stale = [...expired, ...usage.keys()];
+
+    // storage.delete() takes at most 128 keys per call
+    for (let index = 0; index < stale.length; index += 128) {
+      await this.state.storage.delete(stale.slice(index, index + 128));
+    }
+
+    if (entries.size > expired.length) {
+      await this.state.storage.setAlarm(now + CLEANUP_INTERVAL);
+    }
+  }
+}
+
+function emptyCounters() {
+  return { requests: 0, cachedRequests: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+function addCounters(target, delta) {
+  target.requests += delta.requests;
+  target.cachedRequests += delta.cachedRequests;
+  target.inputTokens += delta.inputTokens;
+  target.outputTokens += delta.outputTokens;
+  return target;
+}
+
+// Sum per-day { key: counters } maps into one map
+function mergeBreakdowns(breakdowns) {
+  const merged = {};
+  for (const breakdown of breakdowns) {
+    for (const [key, counters] of Object.entries(breakdown)) {
+      merged[key] = addCounters(merged[key] || emptyCounters(), counters);
+    }
+  }
+  return merged;
+}
+
+function utcDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1,
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
@@ -0,0 +1,77 @@
+/**
+ * ChittyOS Audit Trail
+ * Append-only entries stored one per key in KV_NAMESPACE, as
+ * audit:<entityType>:<entityId>:<newest-first sort key>:<uuid>, and served by
+ * GET /finance/audit/trail
+ */
+
+// Largest page KV lists at once
+const MAX_LIST_LIMIT = 1000;
+
+// Entry keys after the entity prefix: a 16-digit sort key and a UUID. Anything
+// else under the prefix belongs to an entity whose ID extends this one's.
+const ENTRY_SUFFIX = /^\d{16}:[0-9a-f-]{36}$/;
+
+export async function recordAuditEvent(env, entityType, entityId, entry) {
+  // Without a store there is nowhere to keep the entry; logging it instead
+  // would copy audit details into the worker logs
+  if (!env.KV_NAMESPACE) return;
+
+  // Every entry gets its own key, so concurrent events on one entity
+  // cannot overwrite each other
+  const timestamp = Date.now();
+  const sortKey = String(Number.MAX_SAFE_INTEGER - timestamp).padStart(16, "0");
+  await env.KV_NAMESPACE.put(
+    `${auditPrefix(entityType, entityId)}${sortKey}:${crypto.randomUUID()}`,
+    JSON.stringify({ timestamp: new Date(timestamp).toISOString(), ...entry }),
+  );
+}
+
+// An entity's trail as { entityType, entityId, entries }, newest first
+export async function readAuditTrail(
+  env,
+  entityType,
+  entityId,
+  { limit = 100 } = {},
+) {
+  const prefix = auditPrefix(entityType, entityId);
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.KV_NAMESPACE.list({
+      prefix,
+      cursor,
+      limit: MAX_LIST_LIMIT,
+    });
+    names.push(
+      ...page.keys
+        .map((key) => key.name)
+        .filter((name) => ENTRY_SUFFIX.test(name.slice(prefix.length))),
+    );
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && names.length < limit);
+
+  const entries = await Promise.all(
+    names.slice(0, limit).map((name) => env.KV_NAMESPACE.get(name, "json")),
+  );
+
+  // Trails written before entries had their own keys are one JSON value
+  // under the bare entity key, already newest first
+  const legacy = await env.KV_NAMESPACE.get(
+    `audit:${entityType}:${entityId}`,
+    "json",
+  );
+
+  return {
+    entityType,
+    entityId,
+    entries: [...entries.filter(Boolean), ...(legacy?.entries || [])].slice(
+      0,
+      limit,
+    ),
+  };
+}
+
+function auditPrefix(entityType, entityId) {
+  return `audit:${entityType}:${entityId}:`;
+}
@@ -0,0 +1,452 @@
+/**
+ * ChittyOS Authentication
+ * Hashed API keys in CHITTYROUTER_KV and HS256/RS256 JWTs verified with Web Crypto
+ */
+
+import { Router } from "./router.js";
+import { HttpError, getRequestContext, readJson } from "./middleware.js";
+import { ROLES } from "./rbac.js";
+import {
+  base64UrlDecode,
+  base64UrlDecodeText,
+  randomToken,
+  sha256Hex,
+} from "./crypto-utils.js";
+
+// Clock skew tolerated on exp/nbf checks, in seconds
+const JWT_LEEWAY_SECONDS = 60;
+
+// Required scopes per route prefix. `read` applies to GET/HEAD, `write` to
+// every other method, `all` to any method. The longest matching prefix wins;
+// paths without a policy require an authenticated caller but no scope.
+export const ROUTE_POLICIES = [
+  { prefix: "/", exact: true, public: true },
+  { prefix: "/health", public: true },
+  { prefix: "/openapi", public: true },
+  { prefix: "/openapi.json", public: true },
+  { prefix: "/openapi.yaml", public: true },
+  { prefix: "/api/openapi.json", public: true },
+  { prefix: "/api/openapi.yaml", public: true },
+  { prefix: "/api/schema", public: true },
+  { prefix: "/api/version", public: true },
+  { prefix: "/platform", read: "platform:read", write: "platform:write" },
+  { prefix: "/bridge", read: "bridge:read", write: "bridge:write" },
+  { prefix: "/consultant", read: "consultant:read", write: "consultant:write" },
+  { prefix: "/chain", read: "chain:read", write: "chain:write" },
+  { prefix: "/cto", read: "cto:read", write: "cto:write" },
+  { prefix: "/finance", read: "finance:read", write: "finance:write" },
+  { prefix: "/legal", read: "legal:read", write: "legal:write" },
+  { prefix: "/property", read: "property:read", write: "property:write" },
+  { prefix: "/assets", read: "assets:read", write: "assets:write" },
+  { prefix: "/session", read: "session:read", write: "session:write" },
+  { prefix: "/mobile", read: "session:read", write: "session:write" },
+  { prefix: "/db", read: "db:read", write: "db:write" },
+  { prefix: "/db/search", all: "db:read" },
+  { prefix: "/db/query", all: "admin" },
+  { prefix: "/db/agent/memory/recall", all: "db:read" },
+  { prefix: "/api/db", read: "db:read", write: "db:write" },
+  { prefix: "/api/db/search", all: "db:read" },
+  { prefix: "/api/db/query", all: "admin" },
+  { prefix: "/api/db/agent/memory/recall", all: "db:read" },
+  { prefix: "/analytics", all: "analytics:read" },
+  { prefix: "/api/ai", all: "ai:use" },
+  { prefix: "/api/ai/rag", all: ["ai:use", "vectors:read"] },
+  { prefix: "/v1", all: "ai:use" },
+  { prefix: "/api/search", all: "vectors:read" },
+  { prefix: "/api/vectors", read: "vectors:read", write: "vectors:write" },
+  {
+    prefix: "/api/ingest",
+    read: "vectors:read",
+    write: ["vectors:write", "ai:use"],
+  },
+  { prefix: "/api/workflow", read: "workflows:read", write: "workflows:write" },
+  { prefix: "/api/tenant", all: "platform:write" },
+  { prefix: "/api/events", all: "events:write" },
+  { prefix: "/auth/whoami", all: [] },
+  { prefix: "/auth/keys", all: "admin" },
+  { prefix: "/admin", all: "admin" },
+  { prefix: "/admin/services", read: "registry:read", write: "registry:write" },
+];
+
+// Resolve the caller from an API key or JWT. Returns null when no
+// credentials were sent and throws a 401 when they are invalid.
+export async function authenticate(request, env) {
+  const apiKey = request.headers.get("x-api-key");
+  const authorization = request.headers.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+
+  if (apiKey) {
+    return await verifyApiKey(apiKey, env);
+  }
+
+  if (!bearer) {
+    return null;
+  }
+
+  return bearer.split(".").length === 3
+    ? await verifyJwt(bearer, env)
+    : await verifyApiKey(bearer, env);
+}
+
+export function findRoutePolicy(path) {
+  let match = null;
+
+  for (const policy of ROUTE_POLICIES) {
+    const matches = policy.exact
+      ? path === policy.prefix
+      : path === policy.prefix || path.startsWith(`${policy.prefix}/`);
+
+    if (matches && (!match || policy.prefix.length > match.prefix.length)) {
+      match = policy;
+    }
+  }
+
+  return match;
+}
+
+export function requiredScopes(policy, method) {
+  if (!policy) return [];
+
+  const scopes =
+    policy.all ??
+    (method === "GET" || method === "HEAD" ? policy.read : policy.write);
+  return [].concat(scopes || []);
+}
+
+// A scope is granted by an exact match, a "resource:*" wildcard, "*" or admin
+export function hasScope(principal, scope) {
+  const granted = principal?.scopes || [];
+  const [resource] = scope.split(":");
+
+  return (
+    granted.includes(scope) ||
+    granted.includes(`${resource}:*`) ||
+    granted.includes("*") ||
+    granted.includes("admin")
+  );
+}
+
+// Middleware enforcing ROUTE_POLICIES; runs after auth() has resolved the
+// principal. resolvePath maps a request to its routed path (subdomain
+// requests are addressed as "/<service>/...").
+export function requireScopes(resolvePath) {
+  return async (request, env, ctx, next) => {
+    const policy = findRoutePolicy(resolvePath(request));
+    if (policy?.public) {
+      return await next();
+    }
+
+    const { principal } = getRequestContext(request);
+    if (!principal) {
+      throw unauthorized("Authentication required");
+    }
+
+    const missing = requiredScopes(policy, request.method).filter(
+      (scope) => !hasScope(principal, scope),
+    );
+    if (missing.length > 0) {
+      throw new HttpError(403, "Insufficient scope", { required: missing });
+    }
+
+    return await next();
+  };
+}
+
+export function isPublicRoute(path) {
+  return Boolean(findRoutePolicy(path)?.public);
+}
+
+export function unauthorized(message) {
+  return new HttpError(
+    401,
+    message,
+    {},
+    { "WWW-Authenticate": 'Bearer realm="chittyos"' },
+  );
+}
+
+// API keys are stored as apikey:<sha256(key)> so the plaintext never rests
+// in KV; apikey-id:<id> points back at the hash for revocation
+async function verifyApiKey(key, env) {
+  if (!env.CHITTYROUTER_KV) {
+    throw unauthorized("API key authentication is not configured");
+  }
+
+  const hash = await sha256Hex(key);
+  const record = await env.CHITTYROUTER_KV.get(`apikey:${hash}`, "json");
+
+  if (!record || record.revoked) {
+    throw unauthorized("Invalid API key");
+  }
+
+  if (record.expiresAt && Date.parse(record.expiresAt) < Date.now()) {
+    throw unauthorized("API key expired");
+  }
+
+  return {
+    type: "api_key",
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes || [],
+    roles: record.roles || [],
+    accounts: record.accounts || [],
+    tenantId: record.tenantId || null,
+  };
+}
+
+async function verifyJwt(token, env) {
+  const segments = token.split(".");
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  let header;
+  let claims;
+  let signature;
+  try {
+    if (segments.length !== 3) throw new Error("Expected three segments");
+    header = JSON.parse(base64UrlDecodeText(encodedHeader));
+    claims = JSON.parse(base64UrlDecodeText(encodedPayload));
+    signature = base64UrlDecode(encodedSignature);
+    if (!isObject(header) || !isObject(claims)) {
+      throw new Error("Header and claims must be objects");
+    }
+  } catch {
+    throw unauthorized("Malformed token");
+  }
+
+  const key = await importVerificationKey(header.alg, env);
+  const valid = await crypto.subtle.verify(
+    key.algorithm.name,
+    key,
+    signature,
+    new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`),
+  );
+
+  if (!valid) {
+    throw unauthorized("Invalid token signature");
+  }
+
+  // A malformed exp or nbf would otherwise never compare as expired
+  for (const claim of ["exp", "nbf"]) {
+    if (claims[claim] !== undefined && !Number.isFinite(claims[claim])) {
+      throw unauthorized(`Invalid ${claim} claim`);
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && claims.exp + JWT_LEEWAY_SECONDS < now) {
+    throw unauthorized("Token expired");
+  }
+  if (claims.nbf !== undefined && claims.nbf - JWT_LEEWAY_SECONDS > now) {
+    throw unauthorized("Token not yet valid");
+  }
+  if (env.AUTH_ISSUER && claims.iss !== env.AUTH_ISSUER) {
+    throw unauthorized("Invalid token issuer");
+  }
+  if (env.AUTH_AUDIENCE && ![].concat(claims.aud).includes(env.AUTH_AUDIENCE)) {
+    throw unauthorized("Invalid token audience");
+  }
+
+  return {
+    type: "jwt",
+    id: claims.sub,
+    name: claims.name,
+    scopes: Array.isArray(claims.scopes)
+      ? claims.scopes
+      : (claims.scope || "").split(" ").filter(Boolean),
+    roles: claims.roles || [],
+    accounts: claims.accounts || [],
+    tenantId: claims.tenant_id || claims.tenantId || null,
+    claims,
+  };
+}
+
+// Imported keys are cached per isolate; the secrets only change on deploy
+const keyCache = new Map();
+
+async function importVerificationKey(alg, env) {
+  if (alg === "HS256" && env.AUTH_SECRET) {
+    return await cachedKey(`HS256:${env.AUTH_SECRET}`, () =>
+      crypto.subtle.importKey(
+        "raw",
+        new TextEncoder().encode(env.AUTH_SECRET),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["verify"],
+      ),
+    );
+  }
+
+  if (alg === "RS256" && env.AUTH_PUBLIC_KEY) {
+    return await cachedKey(`RS256:${env.AUTH_PUBLIC_KEY}`, () =>
+      importRsaPublicKey(env.AUTH_PUBLIC_KEY),
+    );
+  }
+
+  // Anything else, including "none", is rejected outright
+  throw unauthorized(`Unsupported token algorithm: ${alg}`);
+}
+
+async function cachedKey(cacheKey, importKey) {
+  if (!keyCache.has(cacheKey)) {
+    keyCache.set(cacheKey, importKey());
+  }
+
+  try {
+    return await keyCache.get(cacheKey);
+  } catch (error) {
+    keyCache.delete(cacheKey);
+    throw error;
+  }
+}
+
+// AUTH_PUBLIC_KEY may be a JWK (JSON) or an SPKI PEM
+async function importRsaPublicKey(material) {
+  const algorithm = { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" };
+  const trimmed = material.trim();
+
+  if (trimmed.startsWith("{")) {
+    return await crypto.subtle.importKey(
+      "jwk",
+      JSON.parse(trimmed),
+      algorithm,
+      false,
+      ["verify"],
+    );
+  }
+
+  const base64 = trimmed
+    .replace(/-----(BEGIN|END) PUBLIC KEY-----/g, "")
+    .replace(/\s+/g, "");
+  const der = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  return await crypto.subtle.importKey("spki", der, algorithm, false, [
+    "verify",
+  ]);
+}
+
+// Key management and identity routes
+const authRoutes = new Router({ base: "/auth" })
+  .get("/whoami", async (request) => {
+    return Response.json({
+      success: true,
+      principal: getRequestContext(request).principal,
+    });
+  })
+  .post("/keys", async (request, env) => {
+    const payload = await readJson(request);
+
+    if (!Array.isArray(payload?.scopes) || !payload.name) {
+      return Response.json(
+        {
+          error: "Missing required fields: name, scopes",
+        },
+        { status: 400 },
+      );
+    }
+
+    const errors = validateKeyFields(payload);
+    if (errors.length > 0) {
+      return Response.json(
+        {
+          error: "Invalid API key",
+          details: errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const id = `key_${randomToken(9)}`;
+    const key = `chitty_${randomToken(32)}`;
+    const hash = await sha256Hex(key);
+    const record = {
+      id,
+      name: payload.name,
+      scopes: payload.scopes,
+      roles: payload.roles || [],
+      accounts: payload.accounts || [],
+      tenantId: payload.tenantId || null,
+      expiresAt: payload.expiresAt || null,
+      createdAt: new Date().toISOString(),
+      createdBy: getRequestContext(request).principal?.id,
+    };
+
+    await env.CHITTYROUTER_KV.put(`apikey:${hash}`, JSON.stringify(record));
+    await env.CHITTYROUTER_KV.put(`apikey-id:${id}`, hash);
+
+    // The plaintext key is only ever returned here
+    return Response.json({ success: true, key, apiKey: record });
+  })
+  .delete("/keys/:id", async (request, env) => {
+    const { id } = request.params;
+    const hash = await env.CHITTYROUTER_KV.get(`apikey-id:${id}`);
+
+    if (!hash) {
+      return Response.json(
+        {
+          error: "API key not found",
+        },
+        { status: 404 },
+      );
+    }
+
+    await env.CHITTYROUTER_KV.delete(`apikey:${hash}`);
+    await env.CHITTYROUTER_KV.delete(`apikey-id:${id}`);
+
+    return Response.json({ success: true, id, revoked: true });
+  });
+
+// Problems with the fields of a new key, empty when they are valid
+function validateKeyFields(payload) {
+  const isStringList = (value) =>
+    Array.isArray(value) && value.every((item) => typeof item === "string");
+  const errors = [];
+
+  if (typeof payload.name !== "string") {
+    errors.push("name must be a string");
+  }
+  if (!isStringList(payload.scopes)) {
+    errors.push("scopes must be an array of strings");
+  }
+  if (
+    payload.roles !== undefined &&
+    (!isStringList(payload.roles) ||
+      payload.roles.some((role) => !ROLES.includes(role)))
+  ) {
+    errors.push(`roles must be some of ${ROLES.join(", ")}`);
+  }
+  if (payload.accounts !== undefined && !isStringList(payload.accounts)) {
+    errors.push("accounts must be an array of account IDs");
+  }
+  if (
+    payload.tenantId !== undefined &&
+    payload.tenantId !== null &&
+    (typeof payload.tenantId !== "string" || !payload.tenantId)
+  ) {
+    errors.push("tenantId must be a non-empty string");
+  }
+  if (
+    payload.expiresAt !== undefined &&
+    payload.expiresAt !== null &&
+    Number.isNaN(Date.parse(payload.expiresAt))
+  ) {
+    errors.push("expiresAt must be an ISO 8601 date");
+  }
+
+  return errors;
+}
+
+export async function handleAuth(request, env) {
+  const response = await authRoutes.handle(request, env);
+  if (response) {
+    return response;
+  }
+
+  return Response.json(
+    {
+      error: "Auth endpoint not found",
+      available: authRoutes.paths(),
+    },
+    { status: 404 },
+  );
+}
@@ -0,0 +1,245 @@
+/**
+ * ChittyOS Circuit Breakers
+ * One breaker per service binding the gateway calls, kept in a
+ * CircuitBreakerState Durable Object so every isolate sees the same state
+ */
+
+import { Router } from "./router.js";
+import { DURABLE_OBJECT_MIDDLEWARE, compose } from "./middleware.js";
+
+// `failureThreshold` failed calls within `windowSeconds` open a breaker; an
+// open breaker refuses calls for `openSeconds`, then lets one probe through
+// (half-open) and closes again if it succeeds
+export const DEFAULT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  windowSeconds: 60,
+  openSeconds: 30,
+};
+
+// How long an isolate trusts a breaker it last saw closed before asking its
+// Durable Object again, in milliseconds. A breaker that opens elsewhere is
+// noticed within this time.
+const CLOSED_CACHE_TTL = 5 * 1000;
+
+// Internal routes, only reachable through stubs held by the worker
+const breakerRoutes = new Router()
+  .post("/admit", async (request, breaker) => {
+    const { options } = await request.json();
+    return Response.json(
+      await breaker.update((state) => admitCall(state, options)),
+    );
+  })
+  .post("/record", async (request, breaker) => {
+    const { ok, probe = false, options } = await request.json();
+    return Response.json(
+      await breaker.update((state) => recordOutcome(state, ok, probe, options)),
+    );
+  })
+  .get("/status", async (request, breaker) => {
+    return Response.json(await breaker.load());
+  });
+
+export class CircuitBreakerState {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.handler = compose(DURABLE_OBJECT_MIDDLEWARE, (request) =>
+      this.handleRequest(request),
+    );
+  }
+
+  async fetch(request) {
+    return await this.handler(request, this.env, this.state);
+  }
+
+  async handleRequest(request) {
+    const response = await breakerRoutes.handle(request, this);
+    if (response) {
+      return response;
+    }
+
+    return Response.json(
+      {
+        error: "Circuit breaker endpoint not found",
+        available: breakerRoutes.paths(),
+      },
+      { status: 404 },
+    );
+  }
+
+  async load() {
+    return (await this.state.storage.get("breaker")) || closedBreaker();
+  }
+
+  // Apply a transition to the stored breaker, returning the transition's
+  // result with the breaker's new state. Transitions return the breaker
+  // they were given when nothing changed, which is not written back.
+  async update(transition) {
+    const current = await this.load();
+    const { breaker, ...result } = transition(current);
+    if (breaker !== current) {
+      await this.state.storage.put("breaker", breaker);
+    }
+    return { ...result, state: breaker.state };
+  }
+}
+
+// Breakers this isolate last saw closed, by name, with when to ask again
+const closedUntil = new Map();
+
+// Worker-side handle on the breaker for one binding. Without the
+// CIRCUIT_BREAKER_STATE binding every call is admitted. While the breaker is
+// known to be closed, calls are admitted and successes go unreported
+// without a round trip to the Durable Object.
+export class CircuitBreaker {
+  constructor(env, name, options = {}) {
+    this.namespace = env.CIRCUIT_BREAKER_STATE;
+    this.name = name;
+    this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+  }
+
+  // Resolves to { allowed, probe, state, retryAfter }
+  async admit() {
+    if (!this.namespace) {
+      return { allowed: true, probe: false, state: "closed", retryAfter: 0 };
+    }
+
+    if (this.knownClosed()) {
+      return { allowed: true, probe: false, state: "closed", retryAfter: 0 };
+    }
+
+    try {
+      const admission = await this.call("/admit", { options: this.options });
+      this.remember(admission.state);
+      return admission;
+    } catch (error) {
+      // Fail open: an unavailable breaker must not take the service down
+      console.error(`Circuit breaker ${this.name} unavailable:`, error);
+      return { allowed: true, probe: false, state: "unknown", retryAfter: 0 };
+    }
+  }
+
+  async record(ok, probe = false) {
+    if (!this.namespace) return;
+    // A success changes nothing on a closed breaker
+    if (ok && !probe && this.knownClosed()) return;
+
+    try {
+      const { state } = await this.call("/record", {
+        ok,
+        probe,
+        options: this.options,
+      });
+      this.remember(state);
+    } catch (error) {
+      console.error(`Circuit breaker ${this.name} unavailable:`, error);
+    }
+  }
+
+  knownClosed() {
+    return (closedUntil.get(this.name) || 0) > Date.now();
+  }
+
+  remember(state) {
+    if (state === "closed") {
+      closedUntil.set(this.name, Date.now() + CLOSED_CACHE_TTL);
+    } else {
+      closedUntil.delete(this.name);
+    }
+  }
+
+  async call(path, body) {
+    const stub = this.namespace.get(
+      this.namespace.idFromName(`breaker:${this.name}`),
+    );
+    const response = await stub.fetch(`https://circuit-breaker${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new Error(`Circuit breaker responded ${response.status}`);
+    }
+    return await response.json();
+  }
+}
+
+// Breaker arithmetic, run inside the Durable Object that owns the breaker
+// so concurrent calls are serialized. A breaker is { state, failures,
+// openedAt, probeStartedAt }, with failures the timestamps of recent failed
+// calls.
+export function admitCall(breaker, options, now = Date.now()) {
+  const { openSeconds } = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+  const openMs = openSeconds * 1000;
+
+  if (breaker.state === "closed") {
+    return { breaker, allowed: true, probe: false, retryAfter: 0 };
+  }
+
+  // One probe at a time while half-open; a probe that never reported back
+  // is replaced after openSeconds
+  const waitUntil =
+    breaker.state === "open"
+      ? breaker.openedAt + openMs
+      : breaker.probeStartedAt + openMs;
+  if (now < waitUntil) {
+    return {
+      breaker,
+      allowed: false,
+      probe: false,
+      retryAfter: Math.ceil((waitUntil - now) / 1000),
+    };
+  }
+
+  return {
+    breaker: { ...breaker, state: "half-open", probeStartedAt: now },
+    allowed: true,
+    probe: true,
+    retryAfter: 0,
+  };
+}
+
+// Count one call's outcome. While half-open only the probe's outcome
+// counts; outcomes of calls admitted before the breaker opened are ignored
+// once it is open.
+export function recordOutcome(breaker, ok, probe, options, now = Date.now()) {
+  const { failureThreshold, windowSeconds } = {
+    ...DEFAULT_BREAKER_OPTIONS,
+    ...options,
+  };
+
+  if (breaker.state === "half-open") {
+    if (!probe) return { breaker };
+    return { breaker: ok ? closedBreaker() : openBreaker(now) };
+  }
+
+  if (breaker.state === "open" || ok) {
+    return { breaker };
+  }
+
+  const failures = [
+    ...breaker.failures.filter(
+      (failedAt) => failedAt > now - windowSeconds * 1000,
+    ),
+    now,
+  ];
+  return {
+    breaker:
+      failures.length >= failureThreshold
+        ? openBreaker(now)
+        : { ...breaker, failures },
+  };
+}
+
+function closedBreaker() {
+  return {
+    state: "closed",
+    failures: [],
+    openedAt: null,
+    probeStartedAt: null,
+  };
+}
+
+function openBreaker(now) {
+  return { state: "open", failures: [], openedAt: now, probeStartedAt: null };
+}
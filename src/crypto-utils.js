@@ -0,0 +1,37 @@
+// Web Crypto helpers shared across ChittyOS modules
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export async function sha256Hex(input) {
+  const data = typeof input === "string" ? encoder.encode(input) : input;
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+export function randomToken(bytes = 32) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+export function base64UrlEncode(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+export function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(
+    base64.length + ((4 - (base64.length % 4)) % 4),
+    "=",
+  );
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+}
+
+export function base64UrlDecodeText(value) {
+  return decoder.decode(base64UrlDecode(value));
+}
@@ -1,10 +1,208 @@
 // Neon + Hyperdrive Database Module for ChittyOS
 import { Client } from "@neondatabase/serverless";
+import { Router } from "./router.js";
+import { HttpError, getRequestContext, readJson } from "./middleware.js";
+import { hasScope } from "./auth.js";
+import { recordAuditEvent } from "./audit.js";
+import { base64UrlDecodeText, base64UrlEncode } from "./crypto-utils.js";
 
+// Embedding tables that requests and RAG config may name. Table names are
+// interpolated into SQL, so only these (plus any listed in the
+// comma-separated SEARCHABLE_TABLES var) are ever queried.
+export const SEARCHABLE_TABLES = ["embeddings"];
+
+// Tables with tenant_id, id and created_at columns that tenants may page
+// through; extended by the comma-separated TENANT_TABLES var
+export const TENANT_TABLES = [];
+
+// Text search configuration for hybrid search. The keyword side can use
+//   CREATE INDEX ON embeddings
+//     USING gin (to_tsvector('english', coalesce(metadata->>'text', '')))
+const TEXT_SEARCH_CONFIG = "english";
+
+// Reciprocal rank fusion damping constant: a row ranked r in one list
+// contributes 1 / (RRF_K + r) to its fused score
+const RRF_K = 60;
+
+// Page size bounds for tenant data listings
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Limits on the admin read-only query endpoint
+const QUERY_TIMEOUT_MS = 5000;
+const MAX_QUERY_ROWS = 1000;
+
+// withTransaction defaults: statement_timeout for every statement in the
+// transaction, and how often a serialization failure or deadlock is retried
+const TRANSACTION_TIMEOUT_MS = 10000;
+const TRANSACTION_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 25;
+
+const ISOLATION_LEVELS = ["read committed", "repeatable read", "serializable"];
+
+// SQLSTATE codes: integrity constraint violations by kind, the conflicts a
+// transaction can be retried after, and a cancelled (timed out) statement
+const CONSTRAINT_VIOLATIONS = {
+  23502: "not_null",
+  23503: "foreign_key",
+  23505: "unique",
+  23514: "check",
+  "23P01": "exclusion",
+};
+const RETRYABLE_CODES = ["40001", "40P01"];
+const QUERY_CANCELED = "57014";
+
+export function searchableTables(env) {
+  return allowedTables(SEARCHABLE_TABLES, env.SEARCHABLE_TABLES);
+}
+
+export function tenantTables(env) {
+  return allowedTables(TENANT_TABLES, env.TENANT_TABLES);
+}
+
+function allowedTables(builtIn, configured = "") {
+  const extra = configured
+    .split(",")
+    .map((table) => table.trim())
+    .filter(Boolean);
+
+  return [...new Set([...builtIn, ...extra])];
+}
+
+// Postgres errors as HTTP errors. `code` is the SQLSTATE; details name the
+// constraint and table but not the row values Postgres reports.
+export class DatabaseError extends HttpError {
+  constructor(status, message, error) {
+    super(status, message, {
+      code: error.code,
+      ...(error.constraint && { constraint: error.constraint }),
+      ...(error.table && { table: error.table }),
+    });
+    this.name = "DatabaseError";
+    this.code = error.code;
+    this.cause = error;
+  }
+}
+
+// A unique, foreign key, not-null, check or exclusion constraint refused a
+// write; `kind` says which
+export class ConstraintViolationError extends DatabaseError {
+  constructor(error) {
+    const kind = CONSTRAINT_VIOLATIONS[error.code];
+    super(
+      ["unique", "exclusion"].includes(kind) ? 409 : 422,
+      `Constraint violated: ${error.constraint || kind}`,
+      error,
+    );
+    this.name = "ConstraintViolationError";
+    this.kind = kind;
+  }
+}
+
+// A serialization failure or deadlock that persisted through every retry
+export class TransactionConflictError extends DatabaseError {
+  constructor(error) {
+    super(409, "Transaction conflicted with a concurrent update", error);
+    this.name = "TransactionConflictError";
+  }
+}
+
+export class QueryTimeoutError extends DatabaseError {
+  constructor(error) {
+    super(504, "Database statement timed out", error);
+    this.name = "QueryTimeoutError";
+  }
+}
+
+// The typed error for a Postgres error, or the error itself when it has no
+// typed counterpart
+export function toDatabaseError(error) {
+  if (error instanceof DatabaseError || !error?.code) return error;
+  if (error.code in CONSTRAINT_VIOLATIONS) {
+    return new ConstraintViolationError(error);
+  }
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return new TransactionConflictError(error);
+  }
+  if (error.code === QUERY_CANCELED) return new QueryTimeoutError(error);
+  return error;
+}
+
+// The handle withTransaction passes to its callback. Statements run in
+// order on the transaction's connection.
+class Transaction {
+  constructor(client) {
+    this.client = client;
+    this.savepoints = 0;
+  }
+
+  // Rows of one statement
+  async query(sql, params = []) {
+    return (await this.execute(sql, params)).rows;
+  }
+
+  // The full result of one statement (rows, rowCount, fields)
+  async execute(sql, params = []) {
+    try {
+      return await this.client.query(sql, params);
+    } catch (error) {
+      throw toDatabaseError(error);
+    }
+  }
+
+  // Run `callback(tx)` under a savepoint: if it throws, its statements are
+  // undone and the error rethrown, and the rest of the transaction can go on
+  async savepoint(callback) {
+    const name = `sp_${++this.savepoints}`;
+    await this.execute(`SAVEPOINT ${name}`);
+
+    try {
+      const result = await callback(this);
+      await this.execute(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (error) {
+      await this.client.query(`ROLLBACK TO SAVEPOINT ${name}`).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+// Every query runs in a transaction that first sets app.tenant_id (or
+// app.all_tenants), which the row-level security policies from the
+// 0004_row_level_security migration check. `scope` is { tenantId } for a
+// tenant's requests or { allTenants: true } for admins and system work;
+// without one, queries are refused.
 export class DatabaseService {
-  constructor(env) {
+  constructor(env, scope = {}) {
     // Hyperdrive automatically manages connection pooling
     this.hyperdrive = env.HYPERDRIVE;
+    this.searchableTables = searchableTables(env);
+    this.tenantTables = tenantTables(env);
+    this.scope = scope;
+  }
+
+  // Scoped to the authenticated caller's tenant, or to all tenants for
+  // admin keys
+  static forRequest(env, request) {
+    const { principal } = getRequestContext(request);
+
+    return new DatabaseService(
+      env,
+      hasScope(principal, "admin")
+        ? { allTenants: true }
+        : { tenantId: principal?.tenantId || "default" },
+    );
+  }
+
+  // The table name, if it is on the allow-list
+  searchableTable(tableName) {
+    if (!this.searchableTables.includes(tableName)) {
+      throw new HttpError(400, "Table is not searchable", {
+        table: tableName,
+        searchable: this.searchableTables,
+      });
+    }
+    return tableName;
   }
 
   // Get database client through Hyperdrive
@@ -17,58 +215,191 @@ export class DatabaseService {
     return new Client(this.hyperdrive.connectionString);
   }
 
-  // Execute query with automatic connection management
-  async query(sql, params = []) {
-    const client = this.getClient();
-
-    try {
-      await client.connect();
-      const result = await client.query(sql, params);
-      return result.rows;
-    } finally {
-      await client.end();
+  assertScoped() {
+    const { tenantId, allTenants = false } = this.scope;
+    if (!allTenants && (typeof tenantId !== "string" || !tenantId)) {
+      throw new Error(
+        "Database queries need a tenant scope: { tenantId } or { allTenants: true }",
+      );
     }
   }
 
-  // Batch queries for efficiency
-  async transaction(queries) {
-    const client = this.getClient();
+  // Open a transaction carrying the tenant settings the row-level security
+  // policies read. SET LOCAL semantics (set_config(..., true)) keep them from
+  // leaking to the next user of a pooled connection.
+  async begin(client, mode = "") {
+    const { tenantId, allTenants = false } = this.scope;
 
-    try {
+    await client.query(`BEGIN${mode}`);
+    await client.query(
+      "SELECT set_config('app.tenant_id', $1, true), set_config('app.all_tenants', $2, true)",
+      [allTenants ? "" : tenantId, allTenants ? "on" : "off"],
+    );
+  }
+
+  // Run `callback(tx)` in one transaction on its own connection and return
+  // its result. The transaction commits when the callback resolves and rolls
+  // back when it throws. tx.query(sql, params) resolves to rows,
+  // tx.execute(sql, params) to the full result and tx.savepoint(callback)
+  // nests a partial rollback. On a serialization failure or deadlock the
+  // whole transaction is retried with backoff, so the callback may run more
+  // than once and should only change the database. Postgres errors surface
+  // as ConstraintViolationError, TransactionConflictError or
+  // QueryTimeoutError.
+  async withTransaction(
+    callback,
+    {
+      isolation = "serializable",
+      readOnly = false,
+      retries = TRANSACTION_RETRIES,
+      timeoutMs = TRANSACTION_TIMEOUT_MS,
+    } = {},
+  ) {
+    this.assertScoped();
+    if (!ISOLATION_LEVELS.includes(isolation)) {
+      throw new Error(
+        `isolation must be one of ${ISOLATION_LEVELS.join(", ")}`,
+      );
+    }
+    const mode = ` ISOLATION LEVEL ${isolation.toUpperCase()}${readOnly ? " READ ONLY" : ""}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const client = this.getClient();
       await client.connect();
-      await client.query("BEGIN");
 
-      const results = [];
-      for (const { sql, params } of queries) {
-        results.push(await client.query(sql, params));
+      try {
+        await this.begin(client, mode);
+        await client.query(
+          `SET LOCAL statement_timeout = ${Math.floor(timeoutMs)}`,
+        );
+        const result = await callback(new Transaction(client));
+        await client.query("COMMIT");
+        return result;
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        if (RETRYABLE_CODES.includes(error.code) && attempt < retries) {
+          await retryDelay(attempt);
+          continue;
+        }
+        throw toDatabaseError(error);
+      } finally {
+        await client.end().catch(() => {});
       }
-
-      await client.query("COMMIT");
-      return results;
-    } catch (error) {
-      await client.query("ROLLBACK");
-      throw error;
-    } finally {
-      await client.end();
     }
   }
 
-  // Vector similarity search using pgvector
-  async vectorSearch(embedding, tableName = "embeddings", limit = 10) {
+  // Execute query with automatic connection management
+  async query(sql, params = []) {
+    return await this.withTransaction((tx) => tx.query(sql, params), {
+      isolation: "read committed",
+    });
+  }
+
+  // Run statements in order in one transaction, resolving to their results
+  async transaction(queries) {
+    return await this.withTransaction(
+      async (tx) => {
+        const results = [];
+        for (const { sql, params } of queries) {
+          results.push(await tx.execute(sql, params));
+        }
+        return results;
+      },
+      { isolation: "read committed" },
+    );
+  }
+
+  // Vector similarity search using pgvector. `filter` restricts rows to
+  // those whose metadata contains it (jsonb @>).
+  async vectorSearch(
+    embedding,
+    tableName = "embeddings",
+    limit = 10,
+    filter = null,
+  ) {
+    const table = this.searchableTable(tableName);
     const sql = `
       SELECT *, embedding <-> $1 as distance
-      FROM ${tableName}
+      FROM ${table}
+      ${filter ? "WHERE metadata @> $3::jsonb" : ""}
       ORDER BY embedding <-> $1
       LIMIT $2
     `;
 
-    return await this.query(sql, [embedding, limit]);
+    // pgvector parses "[1,2,3]", not the "{1,2,3}" arrays are sent as
+    const params = [JSON.stringify(embedding), limit];
+    if (filter) params.push(JSON.stringify(filter));
+
+    return await this.query(sql, params);
+  }
+
+  // Keyword + vector search merged by reciprocal rank fusion. The nearest
+  // `candidates` rows by embedding distance and the best `candidates` by
+  // full-text rank over metadata->>'text' are fused, so exact terms such as
+  // case numbers and citations surface even when their vectors are not close.
+  // Rows carry `score` (fused), `distance`, `vector_rank` and `keyword_rank`
+  // (null when absent from that list).
+  async hybridSearch(
+    embedding,
+    queryText,
+    { tableName = "embeddings", limit = 10, filter = null, candidates } = {},
+  ) {
+    const table = this.searchableTable(tableName);
+    const document = `to_tsvector('${TEXT_SEARCH_CONFIG}', coalesce(metadata->>'text', ''))`;
+    const where = filter ? "AND metadata @> $6::jsonb" : "";
+
+    const sql = `
+      WITH vector_hits AS (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY embedding <-> $1) AS rank
+        FROM ${table}
+        WHERE TRUE ${where}
+        ORDER BY embedding <-> $1
+        LIMIT $3
+      ),
+      keyword_hits AS (
+        SELECT id, ROW_NUMBER() OVER (
+          ORDER BY ts_rank_cd(${document}, query) DESC
+        ) AS rank
+        FROM ${table}, websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $2) query
+        WHERE ${document} @@ query ${where}
+        ORDER BY ts_rank_cd(${document}, query) DESC
+        LIMIT $3
+      ),
+      fused AS (
+        SELECT
+          COALESCE(v.id, k.id) AS id,
+          v.rank AS vector_rank,
+          k.rank AS keyword_rank,
+          COALESCE(1.0 / ($4 + v.rank), 0) +
+            COALESCE(1.0 / ($4 + k.rank), 0) AS score
+        FROM vector_hits v
+        FULL OUTER JOIN keyword_hits k ON k.id = v.id
+      )
+      SELECT t.id, t.metadata, t.embedding <-> $1 AS distance,
+        f.vector_rank, f.keyword_rank, f.score
+      FROM fused f
+      JOIN ${table} t ON t.id = f.id
+      ORDER BY f.score DESC
+      LIMIT $5
+    `;
+
+    const params = [
+      JSON.stringify(embedding),
+      queryText,
+      candidates || limit * 4,
+      RRF_K,
+      limit,
+    ];
+    if (filter) params.push(JSON.stringify(filter));
+
+    return await this.query(sql, params);
   }
 
   // Store embeddings with metadata
-  async storeEmbedding(id, embedding, metadata = {}) {
+  async storeEmbedding(id, embedding, metadata = {}, tableName = "embeddings") {
+    const table = this.searchableTable(tableName);
     const sql = `
-      INSERT INTO embeddings (id, embedding, metadata, created_at)
+      INSERT INTO ${table} (id, embedding, metadata, created_at)
       VALUES ($1, $2, $3, NOW())
       ON CONFLICT (id)
       DO UPDATE SET
@@ -77,103 +408,265 @@ export class DatabaseService {
         updated_at = NOW()
     `;
 
-    return await this.query(sql, [id, embedding, metadata]);
+    return await this.query(sql, [id, JSON.stringify(embedding), metadata]);
   }
 
-  // Multi-tenant data isolation
-  async getTenantData(tenantId, tableName) {
+  async deleteEmbeddings(ids, tableName = "embeddings") {
+    if (ids.length === 0) return [];
+
+    const table = this.searchableTable(tableName);
+    const sql = `DELETE FROM ${table} WHERE id = ANY($1)`;
+    return await this.query(sql, [ids]);
+  }
+
+  // Multi-tenant data isolation. Rows come newest first in pages of `limit`;
+  // pass the returned `nextCursor` back as `cursor` for the following page.
+  async getTenantData(
+    tenantId,
+    tableName,
+    { limit = DEFAULT_PAGE_SIZE, cursor } = {},
+  ) {
+    if (!this.tenantTables.includes(tableName)) {
+      throw new HttpError(400, "Table is not available for tenant listing", {
+        table: tableName,
+        available: this.tenantTables,
+      });
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
     const sql = `
       SELECT * FROM ${tableName}
       WHERE tenant_id = $1
-      ORDER BY created_at DESC
+      ${after ? "AND (created_at, id) < ($3::timestamptz, $4)" : ""}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
     `;
 
-    return await this.query(sql, [tenantId]);
-  }
+    // One extra row tells whether another page follows
+    const params = [tenantId, limit + 1];
+    if (after) params.push(after.createdAt, after.id);
 
-  // AI agent memory storage
-  async storeAgentMemory(sessionId, messages) {
-    const sql = `
-      INSERT INTO agent_sessions (session_id, messages, updated_at)
-      VALUES ($1, $2, NOW())
-      ON CONFLICT (session_id)
-      DO UPDATE SET
-        messages = $2,
-        updated_at = NOW()
-    `;
+    const rows = await this.query(sql, params);
+    const page = rows.slice(0, limit);
+    const last = page.at(-1);
 
-    return await this.query(sql, [sessionId, JSON.stringify(messages)]);
+    return {
+      rows: page,
+      nextCursor:
+        rows.length > limit
+          ? encodeCursor({ createdAt: last.created_at, id: last.id })
+          : null,
+    };
   }
 
-  // Get agent conversation history
-  async getAgentMemory(sessionId) {
-    const sql = `
-      SELECT messages FROM agent_sessions
-      WHERE session_id = $1
-    `;
-
-    const result = await this.query(sql, [sessionId]);
-    return result[0]?.messages || [];
+  // Run an arbitrary statement inside a READ ONLY transaction under a
+  // statement timeout. Resolves to the pg result.
+  async readOnlyQuery(sql, params = [], { timeoutMs = QUERY_TIMEOUT_MS } = {}) {
+    return await this.withTransaction((tx) => tx.execute(sql, params), {
+      isolation: "read committed",
+      readOnly: true,
+      retries: 0,
+      timeoutMs,
+    });
   }
 }
 
-// Database handler for API endpoints
-export async function handleDatabase(request, env) {
-  const db = new DatabaseService(env);
-  const url = new URL(request.url);
-  const pathname = url.pathname;
+// Database API routes, relative to /db (also served under /api/db)
+const databaseRoutes = new Router()
+  // Health check
+  .get("/health", async (request, db) => {
+    await db.query("SELECT 1");
+    return new Response(JSON.stringify({ status: "healthy" }), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  // Vector search endpoint. With `query` text the search is hybrid
+  // (keyword + vector); non-admin callers only see their tenant's rows.
+  .post("/search", async (request, db) => {
+    const {
+      embedding,
+      query,
+      limit = 10,
+      table = "embeddings",
+      filter = {},
+    } = await readJson(request);
 
-  try {
-    // Health check
-    if (pathname === "/api/db/health") {
-      await db.query("SELECT 1");
-      return new Response(JSON.stringify({ status: "healthy" }), {
-        headers: { "content-type": "application/json" },
-      });
+    const { principal } = getRequestContext(request);
+    const scoped = hasScope(principal, "admin")
+      ? filter
+      : { ...filter, tenantId: principal?.tenantId || "default" };
+
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      throw new HttpError(400, "Missing required field: embedding");
     }
 
-    // Vector search endpoint
-    if (pathname === "/api/db/search") {
-      const { embedding, limit } = await request.json();
-      const results = await db.vectorSearch(embedding, "embeddings", limit);
-      return new Response(JSON.stringify(results), {
-        headers: { "content-type": "application/json" },
-      });
+    const results = query
+      ? await db.hybridSearch(embedding, query, {
+          tableName: table,
+          limit,
+          filter: scoped,
+        })
+      : await db.vectorSearch(embedding, table, limit, scoped);
+    return new Response(JSON.stringify(results), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  // Store embedding
+  .post("/embed", async (request, db) => {
+    const { id, embedding, metadata } = await readJson(request);
+    const { principal } = getRequestContext(request);
+    await db.storeEmbedding(id, embedding, {
+      tenantId: principal?.tenantId || "default",
+      ...metadata,
+      ...(!hasScope(principal, "admin") && {
+        tenantId: principal?.tenantId || "default",
+      }),
+    });
+    return new Response(JSON.stringify({ success: true }), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  // Tenant data, newest first: ?limit=&cursor=. Callers may list their own
+  // tenant; admins may list any.
+  .get("/tenants/:tenantId/:table", async (request, db) => {
+    const { tenantId, table } = request.params;
+    const { principal } = getRequestContext(request);
+    if (
+      !hasScope(principal, "admin") &&
+      tenantId !== (principal?.tenantId || "default")
+    ) {
+      throw new HttpError(403, "Cannot read another tenant's data");
     }
 
-    // Store embedding
-    if (pathname === "/api/db/embed") {
-      const { id, embedding, metadata } = await request.json();
-      await db.storeEmbedding(id, embedding, metadata);
-      return new Response(JSON.stringify({ success: true }), {
-        headers: { "content-type": "application/json" },
-      });
+    const params = new URL(request.url).searchParams;
+    const limit = Number(params.get("limit") || DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new HttpError(
+        400,
+        `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+      );
     }
 
-    // Agent memory endpoints
-    if (pathname === "/api/db/agent/memory") {
-      if (request.method === "POST") {
-        const { sessionId, messages } = await request.json();
-        await db.storeAgentMemory(sessionId, messages);
-        return new Response(JSON.stringify({ success: true }), {
-          headers: { "content-type": "application/json" },
-        });
-      }
+    const page = await db.getTenantData(tenantId, table, {
+      limit,
+      cursor: params.get("cursor"),
+    });
+    return new Response(JSON.stringify({ tenantId, table, ...page }), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  // Read-only parameterized SQL for admin keys: { sql, params }. One query
+  // (SELECT, VALUES or WITH) per request; results are capped at
+  // MAX_QUERY_ROWS rows.
+  .post("/query", async (request, db, env) => {
+    const { sql, params = [] } = await readJson(request);
 
-      if (request.method === "GET") {
-        const sessionId = url.searchParams.get("sessionId");
-        const memory = await db.getAgentMemory(sessionId);
-        return new Response(JSON.stringify({ memory }), {
-          headers: { "content-type": "application/json" },
-        });
+    if (typeof sql !== "string" || !sql.trim()) {
+      throw new HttpError(400, "Missing required field: sql");
+    }
+    if (!Array.isArray(params)) {
+      throw new HttpError(400, "params must be an array");
+    }
+
+    // Without bind parameters the statement goes through the simple query
+    // protocol, which would run a second statement such as "COMMIT; ..."
+    const statement = sql.trim().replace(/;\s*$/, "");
+    if (statement.includes(";")) {
+      throw new HttpError(
+        400,
+        "Only a single statement is allowed; pass values as params",
+      );
+    }
+
+    // Cap the rows in SQL so Postgres never sends more than one past the
+    // limit. The newlines keep a trailing "-- comment" from swallowing the
+    // wrapper.
+    const capped = `SELECT * FROM (\n${statement}\n) AS query LIMIT ${MAX_QUERY_ROWS + 1}`;
+
+    let result;
+    try {
+      result = await db.readOnlyQuery(capped, params);
+    } catch (error) {
+      // Other Postgres errors (bad SQL, writes) carry a SQLSTATE code
+      if (error.code && !(error instanceof DatabaseError)) {
+        throw new HttpError(400, error.message, { code: error.code });
       }
+      throw error;
+    }
+
+    const { principal } = getRequestContext(request);
+    await recordAuditEvent(env, "database", "query", {
+      action: "read_only_query",
+      principalId: principal?.id || null,
+      sql: statement,
+      rowCount: Math.min(result.rows.length, MAX_QUERY_ROWS),
+    });
+
+    return new Response(
+      JSON.stringify({
+        rows: result.rows.slice(0, MAX_QUERY_ROWS),
+        fields: (result.fields || []).map((field) => field.name),
+        rowCount: Math.min(result.rows.length, MAX_QUERY_ROWS),
+        truncated: result.rows.length > MAX_QUERY_ROWS,
+      }),
+      {
+        headers: { "content-type": "application/json" },
+      },
+    );
+  });
+
+// Database handler for /db/* and /api/db/*
+export async function handleDatabase(
+  request,
+  env,
+  path = new URL(request.url).pathname,
+) {
+  const db = DatabaseService.forRequest(env, request);
+
+  try {
+    const response = await databaseRoutes.handlePath(
+      request,
+      path.replace(/^(\/api)?\/db(?=\/|$)/, "") || "/",
+      db,
+      env,
+    );
+    if (response) {
+      return response;
     }
 
-    return new Response("Database endpoint not found", { status: 404 });
+    return Response.json(
+      {
+        error: "Database endpoint not found",
+        available: databaseRoutes.paths(),
+      },
+      { status: 404 },
+    );
   } catch (error) {
+    if (error instanceof HttpError) throw error;
+
     return new Response(JSON.stringify({ error: error.message }), {
       status: 500,
       headers: { "content-type": "application/json" },
     });
   }
 }
+
+// Exponential backoff with jitter before retry `attempt` (0-based)
+function retryDelay(attempt) {
+  const delay = RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random());
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+function encodeCursor(position) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify(position)));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(base64UrlDecodeText(cursor));
+    if (position?.createdAt && position.id !== undefined) return position;
+  } catch {
+    // Reported below
+  }
+  throw new HttpError(400, "Invalid cursor");
+}
@@ -1,117 +1,404 @@
 // Gateway Worker - Routes requests to appropriate service workers
+import { Router, subdomainOf } from "./router.js";
+import {
+  HttpError,
+  compose,
+  errorHandler,
+  getRequestContext,
+  requestId,
+  withHeaders,
+} from "./middleware.js";
+import { CircuitBreaker } from "./circuit-breaker.js";
+import { handleHealth } from "./health.js";
+import {
+  loadServiceRegistry,
+  serviceForHost,
+  serviceForPath,
+} from "./service-registry.js";
+import {
+  loadShadowRules,
+  recordShadowComparison,
+  shouldMirror,
+} from "./shadow-mirror.js";
+import { TrafficSplit, loadTrafficRules } from "./traffic-split.js";
+
+export { CircuitBreakerState } from "./circuit-breaker.js";
+export { TrafficSplitState } from "./traffic-split.js";
+
+// How calls to a service are made unless its registry entry overrides them:
+// the timeout per attempt, retries for idempotent methods, and circuit
+// breaker options (see DEFAULT_BREAKER_OPTIONS)
+const DEFAULT_CALL_POLICY = { timeoutMs: 10000, retries: 2, breaker: {} };
+
+// Methods safe to send again after a failed attempt
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Responses worth another attempt; other statuses are returned as they are
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Base delay between attempts, doubled each retry with full jitter
+const RETRY_BASE_DELAY_MS = 100;
+
+// Routes the gateway serves itself; everything else goes to the service
+// registered for the host or path (see src/service-registry.js)
+const router = new Router()
+  // Health checks - probe every registered service
+  .get("/health/*", async (request, env) =>
+    handleHealth(
+      request,
+      env,
+      healthDependencies(await loadServiceRegistry(env)),
+    ),
+  )
+  // Service discovery endpoint
+  .get("/services", handleServiceDiscovery)
+  // Current traffic splits and canary error rates
+  .get("/traffic", handleTrafficStatus);
+
 export default {
-  async fetch(request, env, ctx) {
+  fetch: compose([requestId(), errorHandler()], async (request, env, ctx) => {
     const url = new URL(request.url);
-    const hostname = url.hostname;
-    const pathname = url.pathname;
+    const { services } = await loadServiceRegistry(env);
+
+    // Route to appropriate service worker based on hostname or path
+    const hosted = serviceForHost(
+      services,
+      url.hostname,
+      subdomainOf(url.hostname),
+    );
+    if (hosted) {
+      return await routeToService(request, env, ctx, hosted);
+    }
+
+    const response = await router.handle(request, env, ctx);
+    if (response) {
+      return response;
+    }
+
+    const service = serviceForPath(services, url.pathname);
+    if (service) {
+      return await routeToService(request, env, ctx, service);
+    }
+
+    // Default response
+    return new Response("ChittyOS Gateway - Service not found", {
+      status: 404,
+      headers: { "content-type": "text/plain" },
+    });
+  }),
+};
+
+// Send a request to the service. When the service's shadow rule samples
+// the request, a copy is replayed against the shadow after the client has
+// its response (see src/shadow-mirror.js).
+async function routeToService(request, env, ctx, service) {
+  const shadowRule = (await loadShadowRules(env))[service.name];
+  if (!shadowRule || !shouldMirror(shadowRule, service, request)) {
+    return await routeToVariant(request, env, ctx, service);
+  }
+
+  // Taken before the service reads the body
+  const shadowRequest = request.clone();
+  const response = await routeToVariant(request, env, ctx, service);
+  inBackground(
+    ctx,
+    mirrorToShadow(env, service, shadowRule, {
+      requestId: getRequestContext(request).requestId,
+      request: shadowRequest,
+      primary: response.clone(),
+    }),
+  );
+  return response;
+}
+
+// Send a request to the service, or to its canary when a traffic rule
+// assigns it there. Outcomes under a rule count toward the canary's
+// automatic rollback; responses say which variant answered.
+async function routeToVariant(request, env, ctx, service) {
+  const rule = (await loadTrafficRules(env))[service.name];
+  if (!rule) {
+    return await callService(request, env, ctx, service);
+  }
+
+  const split = new TrafficSplit(env, service.name, rule);
+  const variant = await split.assign(request);
+  const target =
+    variant === "canary"
+      ? {
+          ...service,
+          name: `${service.name}:canary`,
+          binding: rule.target.binding,
+          upstream: rule.target.upstream,
+          version: rule.version,
+        }
+      : service;
+
+  let response;
+  try {
+    response = await callService(request, env, ctx, target);
+  } catch (error) {
+    inBackground(ctx, split.record(variant, false));
+    throw error;
+  }
+
+  inBackground(ctx, split.record(variant, response.status < 500));
+  return withHeaders(response, {
+    "X-Chitty-Variant": variant,
+    ...(target.version && { "X-Chitty-Version": target.version }),
+  });
+}
+
+// Forward a request to a service through its circuit breaker. While
+// the breaker is open the call is refused with a 503 and Retry-After.
+// Idempotent requests are retried on network errors, timeouts and 502/503/504;
+// the final outcome (a throw or a 5xx) is counted against the breaker.
+async function callService(request, env, ctx, service) {
+  const target = serviceTarget(env, service);
+  if (!target) {
+    throw new HttpError(503, "Service not configured", {
+      service: service.name,
+    });
+  }
+
+  const policy = {
+    ...DEFAULT_CALL_POLICY,
+    ...(service.timeoutMs && { timeoutMs: service.timeoutMs }),
+    ...(service.retries !== undefined && { retries: service.retries }),
+  };
+  const breaker = new CircuitBreaker(env, service.name, policy.breaker);
+  const admission = await breaker.admit();
+  if (!admission.allowed) {
+    throw new HttpError(
+      503,
+      "Service unavailable",
+      {
+        service: service.name,
+        breaker: admission.state,
+        retryAfter: admission.retryAfter,
+      },
+      { "Retry-After": String(admission.retryAfter) },
+    );
+  }
+
+  const retries = IDEMPOTENT_METHODS.includes(request.method)
+    ? policy.retries
+    : 0;
+  // A streamed body can only be sent once; buffer it to send it again
+  const init =
+    retries > 0 && request.body ? { body: await request.arrayBuffer() } : {};
+
+  let response = null;
+  let failure = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await retryDelay(attempt);
+    }
 
     try {
-      // Route to appropriate service worker based on subdomain or path
-
-      // Platform service (main)
-      if (hostname.includes("platform") || pathname.startsWith("/platform")) {
-        return await env.PLATFORM.fetch(request);
-      }
-
-      // Bridge service
-      if (hostname.includes("bridge") || pathname.startsWith("/bridge")) {
-        return await env.BRIDGE.fetch(request);
-      }
-
-      // Consultant service
-      if (
-        hostname.includes("consultant") ||
-        pathname.startsWith("/consultant")
-      ) {
-        return await env.CONSULTANT.fetch(request);
-      }
-
-      // Chain service
-      if (hostname.includes("chain") || pathname.startsWith("/chain")) {
-        return await env.CHAIN.fetch(request);
-      }
-
-      // CTO MCP service
-      if (hostname.includes("cto") || pathname.startsWith("/cto")) {
-        return await env.CTO.fetch(request);
-      }
-
-      // Landing pages
-      if (hostname.includes("landing") || pathname === "/") {
-        return await env.LANDING.fetch(request);
-      }
-
-      // Health check - query all services
-      if (pathname === "/health") {
-        const services = [
-          "PLATFORM",
-          "BRIDGE",
-          "CONSULTANT",
-          "CHAIN",
-          "CTO",
-          "LANDING",
-        ];
-        const health = {};
-
-        for (const service of services) {
-          try {
-            if (env[service]) {
-              const response = await env[service].fetch(
-                new Request("https://internal/health"),
-              );
-              health[service.toLowerCase()] = response.ok
-                ? "healthy"
-                : "unhealthy";
-            } else {
-              health[service.toLowerCase()] = "not configured";
+      response = await fetchWithTimeout(
+        target,
+        new Request(request, init),
+        policy.timeoutMs,
+      );
+      failure = null;
+    } catch (error) {
+      response = null;
+      failure = error;
+      continue;
+    }
+
+    if (!RETRYABLE_STATUSES.includes(response.status) || attempt === retries) {
+      break;
+    }
+    await response.body?.cancel();
+  }
+
+  inBackground(
+    ctx,
+    breaker.record(!failure && response.status < 500, admission.probe),
+  );
+
+  if (failure) {
+    const timedOut = failure.name === "TimeoutError";
+    console.error(
+      `Gateway call to ${service.name} failed (${getRequestContext(request).requestId}):`,
+      failure,
+    );
+    throw new HttpError(
+      timedOut ? 504 : 502,
+      timedOut ? "Service timed out" : "Service call failed",
+      { service: service.name, attempts: retries + 1 },
+    );
+  }
+  return response;
+}
+
+// Replay a request against the service's shadow and record how its answer
+// differs from the primary one. The shadow gets no retries and no circuit
+// breaker, and its response never reaches the client.
+async function mirrorToShadow(
+  env,
+  service,
+  rule,
+  { requestId, request, primary },
+) {
+  const shadow = serviceTarget(env, rule.target);
+  const headers = new Headers(request.headers);
+  headers.set("X-Chitty-Shadow", "1");
+
+  const startedAt = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    if (!shadow) {
+      throw new Error(`Shadow binding ${rule.target.binding} not configured`);
+    }
+    response = await fetchWithTimeout(
+      shadow,
+      new Request(request, { headers }),
+      rule.timeoutMs || service.timeoutMs || DEFAULT_CALL_POLICY.timeoutMs,
+    );
+  } catch (failure) {
+    error =
+      failure.name === "TimeoutError" ? "Shadow timed out" : failure.message;
+  }
+
+  await recordShadowComparison(env, service.name, rule, {
+    requestId,
+    request,
+    primary,
+    shadow: response,
+    error,
+    latencyMs: Date.now() - startedAt,
+  });
+}
+
+// Finish bookkeeping (which never rejects) after the response is sent
+function inBackground(ctx, promise) {
+  ctx?.waitUntil?.(promise);
+}
+
+// Fetch through `target`, failing with a TimeoutError when no response
+// arrives within `timeoutMs`. The timer stops once the headers are in, so a
+// long streamed body is not cut off.
+async function fetchWithTimeout(target, request, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () =>
+      controller.abort(new DOMException("Request timed out", "TimeoutError")),
+    timeoutMs,
+  );
+  try {
+    return await target.fetch(
+      new Request(request, { signal: controller.signal }),
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Full jitter: a random delay up to the doubled base for retry `attempt`
+function retryDelay(attempt) {
+  const delay = Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+// A fetcher for the service: its service binding, or a proxy that sends
+// the request's path and query to its upstream URL. Null when the binding
+// is missing.
+function serviceTarget(env, service) {
+  if (service.binding) {
+    return env[service.binding] || null;
+  }
+
+  return {
+    fetch(request) {
+      const { pathname, search } = new URL(request.url);
+      const url = new URL(service.upstream);
+      url.pathname = `${url.pathname.replace(/\/$/, "")}${pathname}`;
+      url.search = search;
+      return fetch(new Request(url, request));
+    },
+  };
+}
+
+// Health dependencies per loaded registry, so health reports stay cached
+// until the registry changes. The gateway is ready while the landing service
+// answers.
+const dependencyLists = new WeakMap();
+
+function healthDependencies(registry) {
+  if (!dependencyLists.has(registry)) {
+    dependencyLists.set(
+      registry,
+      registry.services.map((service) => ({
+        name: service.name,
+        critical: service.name === "landing",
+        ...(service.binding
+          ? {
+              kind: "service",
+              binding: service.binding,
+              url: new URL(service.healthUrl || "/health", "https://internal")
+                .href,
             }
-          } catch (error) {
-            health[service.toLowerCase()] = "error";
-          }
-        }
+          : {
+              kind: "http",
+              url: new URL(service.healthUrl || "/health", service.upstream)
+                .href,
+            }),
+      })),
+    );
+  }
+  return dependencyLists.get(registry);
+}
 
-        return new Response(
-          JSON.stringify({
-            status: "gateway operational",
-            services: health,
-            timestamp: new Date().toISOString(),
-          }),
-          {
-            headers: { "content-type": "application/json" },
-          },
-        );
-      }
-
-      // Service discovery endpoint
-      if (pathname === "/services") {
-        return new Response(
-          JSON.stringify({
-            services: {
-              platform: "/platform",
-              bridge: "/bridge",
-              consultant: "/consultant",
-              chain: "/chain",
-              cto: "/cto",
-              landing: "/",
-            },
-            timestamp: new Date().toISOString(),
-          }),
+async function handleServiceDiscovery(request, env) {
+  const { services } = await loadServiceRegistry(env);
+
+  return new Response(
+    JSON.stringify({
+      services: Object.fromEntries(
+        services.map((service) => [
+          service.name,
           {
-            headers: { "content-type": "application/json" },
+            prefix: service.prefix,
+            hostnames: service.hostnames,
+            version: service.version || null,
+            owner: service.owner,
+            healthUrl: service.healthUrl || null,
           },
-        );
-      }
-
-      // Default response
-      return new Response("ChittyOS Gateway - Service not found", {
-        status: 404,
-        headers: { "content-type": "text/plain" },
-      });
-    } catch (error) {
-      return new Response(`Gateway error: ${error.message}`, {
-        status: 500,
-        headers: { "content-type": "text/plain" },
-      });
-    }
-  },
-};
+        ]),
+      ),
+      timestamp: new Date().toISOString(),
+    }),
+    {
+      headers: { "content-type": "application/json" },
+    },
+  );
+}
+
+async function handleTrafficStatus(request, env) {
+  const rules = await loadTrafficRules(env);
+
+  const splits = await Promise.all(
+    Object.entries(rules).map(async ([service, rule]) => ({
+      service,
+      target: rule.target,
+      version: rule.version || null,
+      percent: rule.percent,
+      header: rule.header || null,
+      cookie: rule.cookie || null,
+      tenants: rule.tenants || [],
+      rollback: rule.rollback,
+      revision: rule.revision,
+      status: await new TrafficSplit(env, service, rule).status(),
+    })),
+  );
+
+  return new Response(
+    JSON.stringify({ splits, timestamp: new Date().toISOString() }),
+    {
+      headers: { "content-type": "application/json" },
+    },
+  );
+}
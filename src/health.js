@@ -0,0 +1,202 @@
+/**
+ * ChittyOS Health Checks
+ * Probes a worker's bound dependencies in parallel, each under a timeout,
+ * for its liveness (/health/live) and readiness (/health, /health/ready)
+ * routes
+ */
+
+import { Router } from "./router.js";
+import { DatabaseService } from "./database.js";
+
+// How long one probe may take before its dependency is reported as timed out
+const CHECK_TIMEOUT_MS = 2000;
+
+// How long an isolate reuses a health report, in milliseconds, so frequent
+// polling does not turn into load on every dependency
+const HEALTH_CACHE_TTL = 10 * 1000;
+
+// Returned by a probe for a dependency that cannot be checked without side
+// effects, so it is only reported as bound
+const UNPROBED = Symbol("unprobed");
+
+// Probes by binding kind. A probe resolves when the dependency answers and
+// throws when it does not.
+const PROBES = {
+  kv: (kv) => kv.get("health:probe"),
+  d1: (db) => db.prepare("SELECT 1").first(),
+  hyperdrive: (hyperdrive, env) =>
+    new DatabaseService(env, { allTenants: true }).query("SELECT 1"),
+  vectorize: (index) => index.describe(),
+  r2: (bucket) => bucket.head("health:probe"),
+  // Running a model costs money; listing the catalog does not
+  ai: (ai) => (typeof ai.models === "function" ? ai.models() : UNPROBED),
+  // Producers can only send, and a probe message would be processed
+  queue: () => UNPROBED,
+  // A service binding's or upstream's health endpoint must answer 2xx
+  service: (service, env, { url = "https://internal/health" }) =>
+    expectOk(service.fetch(url)),
+  http: (target, env, { url }) => expectOk(fetch(url)),
+};
+
+// Dependencies of the unified worker. `critical` ones must be healthy for
+// the worker to be ready; the rest only degrade it. Entries are { binding,
+// kind, critical }, or { name, kind: "http", url } for a dependency reached
+// over the internet; "service" entries may set the `url` they are probed on.
+export const WORKER_DEPENDENCIES = [
+  { binding: "CHITTYROUTER_KV", kind: "kv", critical: true },
+  { binding: "KV_NAMESPACE", kind: "kv" },
+  { binding: "D1_DATABASE", kind: "d1" },
+  { binding: "HYPERDRIVE", kind: "hyperdrive" },
+  { binding: "VECTORIZE", kind: "vectorize" },
+  { binding: "AI", kind: "ai" },
+  { binding: "QUEUE", kind: "queue" },
+  { binding: "R2_BUCKET", kind: "r2" },
+];
+
+const healthRoutes = new Router()
+  // Liveness: the isolate is serving requests; dependencies are not checked
+  .get("/health/live", () =>
+    Response.json({ status: "alive", timestamp: new Date().toISOString() }),
+  )
+  .get("/health/ready", async (request, env, dependencies) => {
+    const report = await healthReport(env, dependencies);
+    return Response.json(
+      { status: report.status, checkedAt: report.checkedAt },
+      { status: report.status === "unavailable" ? 503 : 200 },
+    );
+  })
+  // Public, so checks carry no error messages: database and network errors
+  // can name hosts, users and tables. Admins get them from /admin/health.
+  .get("/health", async (request, env, dependencies) => {
+    const report = await healthReport(env, dependencies);
+    const checks = Object.fromEntries(
+      Object.entries(report.checks).map(([name, { error, ...check }]) => [
+        name,
+        check,
+      ]),
+    );
+    return Response.json(
+      { ...report, checks },
+      { status: report.status === "unavailable" ? 503 : 200 },
+    );
+  });
+
+// Handle /health, /health/live and /health/ready for a worker whose
+// dependencies are listed like WORKER_DEPENDENCIES
+export async function handleHealth(request, env, dependencies) {
+  const response = await healthRoutes.handle(request, env, dependencies);
+  if (response) {
+    return response;
+  }
+
+  return Response.json(
+    {
+      error: "Health endpoint not found",
+      available: healthRoutes.paths(),
+    },
+    { status: 404 },
+  );
+}
+
+// Reports are cached per dependency list; concurrent requests share the
+// checks in flight
+const reportCache = new WeakMap();
+
+// { status, checkedAt, checks: { <name or binding>: { kind, critical, status,
+// latencyMs, error } } }. A check's status is "ok", "failed", "timeout",
+// "unprobed" (bound, but not checkable) or "not_configured". The overall
+// status is "unavailable" when a critical dependency is not ok, "degraded"
+// when another one failed or timed out, and "ok" otherwise.
+export async function healthReport(env, dependencies) {
+  const cached = reportCache.get(dependencies);
+  if (cached && Date.now() < cached.expiresAt) {
+    return await cached.report;
+  }
+
+  const report = runChecks(env, dependencies);
+  reportCache.set(dependencies, {
+    report,
+    expiresAt: Date.now() + HEALTH_CACHE_TTL,
+  });
+  return await report;
+}
+
+async function runChecks(env, dependencies) {
+  const results = await Promise.all(
+    dependencies.map((dependency) => checkDependency(env, dependency)),
+  );
+
+  const checks = {};
+  dependencies.forEach(({ name, binding, kind, critical = false }, index) => {
+    checks[name || binding] = { kind, critical, ...results[index] };
+    // Errors stay out of the public report, so they are logged here
+    if (results[index].error) {
+      console.error(
+        `Health check ${name || binding} ${results[index].status}:`,
+        results[index].error,
+      );
+    }
+  });
+
+  const failed = (check) => ["failed", "timeout"].includes(check.status);
+  const all = Object.values(checks);
+  const status = all.some(
+    (check) =>
+      check.critical && (failed(check) || check.status === "not_configured"),
+  )
+    ? "unavailable"
+    : all.some(failed)
+      ? "degraded"
+      : "ok";
+
+  return { status, checkedAt: new Date().toISOString(), checks };
+}
+
+async function checkDependency(env, dependency) {
+  const { binding, kind } = dependency;
+  const target = binding ? env[binding] : null;
+  if (binding && !target) {
+    return { status: "not_configured" };
+  }
+
+  const startedAt = Date.now();
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve("timeout"), CHECK_TIMEOUT_MS);
+  });
+
+  try {
+    const outcome = await Promise.race([
+      Promise.resolve(PROBES[kind](target, env, dependency)).then((result) =>
+        result === UNPROBED ? "unprobed" : "ok",
+      ),
+      timeout,
+    ]);
+    if (outcome === "unprobed") {
+      return { status: outcome };
+    }
+    return {
+      status: outcome,
+      latencyMs: Date.now() - startedAt,
+      ...(outcome === "timeout" && {
+        error: `No answer within ${CHECK_TIMEOUT_MS}ms`,
+      }),
+    };
+  } catch (error) {
+    return {
+      status: "failed",
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function expectOk(responsePromise) {
+  const response = await responsePromise;
+  await response.body?.cancel();
+  if (!response.ok) {
+    throw new Error(`Health endpoint responded ${response.status}`);
+  }
+}
@@ -5,123 +5,183 @@ import { handleDatabase } from "./database.js";
 import { handleOpenAPISchema } from "./openapi-schema.js";
 import { SessionService } from "./session-service.js";
 import { MobileBridgeService } from "./mobile-bridge.js";
+import { financeHandler } from "./services/finance.js";
+import { legalHandler } from "./services/legal.js";
+import { propertyHandler } from "./services/property.js";
+import { assetsHandler } from "./services/assets.js";
+import { Router, subdomainOf } from "./router.js";
+import {
+  DURABLE_OBJECT_MIDDLEWARE,
+  auth,
+  compose,
+  cors,
+  errorHandler,
+  requestId,
+  responseHeaders,
+  timing,
+} from "./middleware.js";
+import {
+  authenticate,
+  handleAuth,
+  isPublicRoute,
+  requireScopes,
+} from "./auth.js";
+import { rateLimit } from "./rate-limit.js";
+import { handleAdmin } from "./admin.js";
+import { handleOpenAI } from "./openai.js";
+import { handleRag } from "./rag.js";
+import { handleIngest } from "./ingest.js";
+import { handleAgentMemory } from "./agent-memory.js";
+import { WORKER_DEPENDENCIES, handleHealth } from "./health.js";
+
+// Service mounts: reachable at /<name>/* or on the <name> subdomain.
+// Handlers are called as handler(request, env, ctx, path), where path is the
+// prefixed path ("/finance/transaction/create") for both kinds of request.
+const SERVICE_MOUNTS = {
+  platform: handlePlatform,
+  bridge: handleBridge,
+  consultant: handleConsultant,
+  chain: handleChain,
+  cto: handleCTO,
+  finance: (request, env, ctx, path) => financeHandler(request, env, path),
+  legal: (request, env, ctx, path) => legalHandler(request, env, path),
+  property: (request, env, ctx, path) => propertyHandler(request, env, path),
+  assets: (request, env, ctx, path) => assetsHandler(request, env, path),
+};
+
+const router = new Router()
+  // OpenAPI Schema routes (for ChatGPT integration)
+  .get("/openapi", handleOpenAPISchema)
+  .get("/openapi.json", handleOpenAPISchema)
+  .get("/openapi.yaml", handleOpenAPISchema)
+  .get("/api/openapi.json", handleOpenAPISchema)
+  .get("/api/openapi.yaml", handleOpenAPISchema)
+  .get("/api/schema", handleOpenAPISchema)
+  // Landing page routes
+  .get("/", handleLanding)
+  // Analytics endpoint
+  .get("/analytics", (request, env) => handleAnalytics(request, env))
+  // OpenAI-compatible endpoints
+  .all("/v1/*", (request, env) => handleOpenAI(request, env))
+  // Retrieval-augmented answers over Vectorize / pgvector
+  .post("/api/ai/rag", (request, env) => handleRag(request, env))
+  // Document ingestion into the retrieval stores
+  .all("/api/ingest/*", (request, env) => handleIngest(request, env))
+  // Agent conversation memory, also served under /db
+  .all("/api/db/agent/memory/*", (request, env, ctx) =>
+    handleAgentMemory(request, env, ctx),
+  )
+  // Database endpoints, also served under /db
+  .all("/api/db/*", (request, env) => handleDatabase(request, env))
+  // API services endpoints
+  .all("/api/*", (request, env) => handleServices(request, env))
+  // Session management endpoints
+  .all("/session/*", (request, env) =>
+    new SessionService(env).handleRequest(request),
+  )
+  // Mobile bridge endpoints
+  .all("/mobile/*", (request, env) =>
+    new MobileBridgeService(env).handleRequest(request),
+  )
+  // Database endpoints (Neon + Hyperdrive)
+  .all("/db/agent/memory/*", (request, env, ctx) =>
+    handleAgentMemory(request, env, ctx),
+  )
+  .all("/db/*", (request, env) => handleDatabase(request, env))
+  // API key management and identity
+  .all("/auth/*", (request, env) => handleAuth(request, env))
+  // Runtime configuration (admin only)
+  .all("/admin/*", (request, env) => handleAdmin(request, env))
+  // Health checks: /health (detailed), /health/live and /health/ready
+  .get("/health/*", (request, env) =>
+    handleHealth(request, env, WORKER_DEPENDENCIES),
+  );
+
+for (const [name, handler] of Object.entries(SERVICE_MOUNTS)) {
+  router.all(`/${name}/*`, (request, env, ctx) =>
+    handler(request, env, ctx, new URL(request.url).pathname),
+  );
+}
+
+// Worker pipeline: errors are normalized inside the decorating middleware so
+// error responses still get request IDs, CORS and standard headers
+const WORKER_MIDDLEWARE = [
+  requestId(),
+  timing(),
+  cors(),
+  responseHeaders(),
+  errorHandler(),
+  auth(authenticate, {
+    isPublic: (request) => isPublicRoute(resolveRoutePath(request)),
+  }),
+  requireScopes(resolveRoutePath),
+  rateLimit(resolveRoutePath),
+];
 
 export default {
-  async fetch(request, env, ctx) {
+  fetch: compose(WORKER_MIDDLEWARE, async (request, env, ctx) => {
     const url = new URL(request.url);
-    const hostname = url.hostname;
-    const pathname = url.pathname;
-
-    // Route based on subdomain or path
-    try {
-      // OpenAPI Schema routes (for ChatGPT integration)
-      if (
-        hostname.includes("ai.chitty.cc") ||
-        pathname.startsWith("/openapi")
-      ) {
-        const schemaResponse = await handleOpenAPISchema(request);
-        if (schemaResponse) {
-          return schemaResponse;
-        }
-      }
-
-      // Platform routes (main chittyos-platform-live functionality)
-      if (hostname.includes("platform") || pathname.startsWith("/platform")) {
-        return await handlePlatform(request, env, ctx);
-      }
-
-      // Bridge service routes
-      if (hostname.includes("bridge") || pathname.startsWith("/bridge")) {
-        return await handleBridge(request, env, ctx);
-      }
-
-      // Consultant service routes
-      if (
-        hostname.includes("consultant") ||
-        pathname.startsWith("/consultant")
-      ) {
-        return await handleConsultant(request, env, ctx);
-      }
-
-      // Chain service routes
-      if (hostname.includes("chain") || pathname.startsWith("/chain")) {
-        return await handleChain(request, env, ctx);
-      }
-
-      // CTO MCP routes
-      if (hostname.includes("cto") || pathname.startsWith("/cto")) {
-        return await handleCTO(request, env, ctx);
-      }
-
-      // Landing page routes
-      if (hostname.includes("landing") || pathname === "/") {
-        return await handleLanding(request, env, ctx);
-      }
-
-      // Analytics endpoint
-      if (pathname === "/analytics") {
-        return await handleAnalytics(request, env);
-      }
-
-      // API services endpoints
-      if (pathname.startsWith("/api/")) {
-        return await handleServices(request, env);
-      }
-
-      // Session management endpoints
-      if (pathname.startsWith("/session")) {
-        const sessionService = new SessionService(env);
-        return await sessionService.handleRequest(request);
-      }
-
-      // Mobile bridge endpoints
-      if (pathname.startsWith("/mobile")) {
-        const mobileBridgeService = new MobileBridgeService(env);
-        return await mobileBridgeService.handleRequest(request);
-      }
-
-      // Database endpoints (Neon + Hyperdrive)
-      if (pathname.startsWith("/db/")) {
-        return await handleDatabase(request, env);
-      }
-
-      // Health check endpoint
-      if (pathname === "/health") {
-        return new Response(
-          JSON.stringify({
-            status: "healthy",
-            services: [
-              "platform",
-              "bridge",
-              "consultant",
-              "chain",
-              "cto",
-              "landing",
-              "analytics",
-              "ai",
-              "workflows",
-              "vectorize",
-              "session",
-              "mobile",
-            ],
-            timestamp: new Date().toISOString(),
-          }),
-          {
-            headers: { "content-type": "application/json" },
-          },
-        );
-      }
-
-      // Default fallback
-      return new Response("ChittyOS Unified Worker - Service not found", {
-        status: 404,
-      });
-    } catch (error) {
-      return new Response(`Error: ${error.message}`, { status: 500 });
+    const subdomain = subdomainOf(url.hostname);
+
+    // Subdomain routing (finance.chitty.cc, landing.chitty.cc, ...)
+    if (subdomain === "landing") {
+      return await handleLanding(request, env, ctx);
+    }
+
+    // ai.chitty.cc (ChatGPT integration) answers its root with the OpenAPI
+    // schema; its other paths route as on any host
+    if (subdomain === "ai" && url.pathname === "/") {
+      return await handleOpenAPISchema(
+        new Request(new URL("/openapi.json", url), request),
+      );
+    }
+
+    if (Object.hasOwn(SERVICE_MOUNTS, subdomain)) {
+      return await SERVICE_MOUNTS[subdomain](
+        request,
+        env,
+        ctx,
+        resolveRoutePath(request),
+      );
+    }
+
+    // Path routing
+    const response = await router.handle(request, env, ctx);
+    if (response) {
+      return response;
     }
-  },
+
+    // Default fallback
+    return new Response(
+      JSON.stringify({
+        error: "ChittyOS Unified Worker - Service not found",
+        available: router.paths(),
+      }),
+      {
+        status: 404,
+        headers: { "content-type": "application/json" },
+      },
+    );
+  }),
 };
 
+// The path a request is routed on: subdomain requests are addressed as
+// "/<service>/..." so auth policies see the same path either way
+function resolveRoutePath(request) {
+  const url = new URL(request.url);
+  const subdomain = subdomainOf(url.hostname);
+
+  if (subdomain === "landing") {
+    return "/";
+  }
+
+  if (Object.hasOwn(SERVICE_MOUNTS, subdomain)) {
+    return `/${subdomain}${url.pathname}`;
+  }
+
+  return url.pathname;
+}
+
 // Platform handler (chittyos-platform-live functionality)
 async function handlePlatform(request, env, ctx) {
   // This will contain the main platform logic with AI, KV, and Durable Objects
@@ -181,25 +241,22 @@ async function handleLanding(request, env, ctx) {
 }
 
 // Durable Object classes (from chittyos-platform-live)
-export class AIGatewayState {
-  constructor(state, env) {
-    this.state = state;
-    this.env = env;
-  }
-
-  async fetch(request) {
-    // TODO: Add AI Gateway logic
-    return new Response("AI Gateway State");
-  }
-}
+export { AIGatewayState } from "./ai-gateway-state.js";
 
 export class ChittyOSPlatformState {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    this.handler = compose(DURABLE_OBJECT_MIDDLEWARE, (request) =>
+      this.handleRequest(request),
+    );
   }
 
   async fetch(request) {
+    return await this.handler(request, this.env, this.state);
+  }
+
+  async handleRequest(request) {
     // TODO: Add Platform State logic
     return new Response("Platform State");
   }
@@ -209,9 +266,16 @@ export class SyncState {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    this.handler = compose(DURABLE_OBJECT_MIDDLEWARE, (request) =>
+      this.handleRequest(request),
+    );
   }
 
   async fetch(request) {
+    return await this.handler(request, this.env, this.state);
+  }
+
+  async handleRequest(request) {
     // TODO: Add Sync State logic
     return new Response("Sync State");
   }
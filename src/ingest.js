@@ -0,0 +1,601 @@
+/**
+ * ChittyOS Document Ingestion
+ * Extracts text from text, Markdown, HTML and PDF uploads, splits it into
+ * overlapping token-sized chunks, embeds them in batches and upserts them into
+ * the tenant's retrieval store. A manifest of chunk hashes per document lets
+ * re-ingestion replace only the chunks whose text changed.
+ */
+
+import { Router } from "./router.js";
+import { AIService, VectorStore } from "./services.js";
+import { DatabaseService } from "./database.js";
+import { brokerContext, estimateTokens } from "./ai-broker.js";
+import { readJson } from "./middleware.js";
+import { ragSettings } from "./rag.js";
+import { authorizeCase } from "./services/legal.js";
+import { sha256Hex } from "./crypto-utils.js";
+
+// Uploads larger than this are rejected, in bytes
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Chunk sizing in (estimated) tokens
+const CHUNK_TOKENS = 400;
+const OVERLAP_TOKENS = 50;
+
+// Texts per embedding call
+const EMBED_BATCH_SIZE = 50;
+
+const CONTENT_TYPES = {
+  txt: "text/plain",
+  md: "text/markdown",
+  markdown: "text/markdown",
+  html: "text/html",
+  htm: "text/html",
+  pdf: "application/pdf",
+};
+
+const ingestRoutes = new Router({ base: "/api/ingest" })
+  // multipart/form-data with a `file` part, or JSON { content, contentType }.
+  // Other fields: documentId, namespace, caseId, title, source.
+  .post("/", async (request, env) => {
+    const upload = await readUpload(request);
+    if (upload.error) {
+      return Response.json({ error: upload.error }, { status: upload.status });
+    }
+
+    const { documentId, namespace = "default", caseId } = upload.fields;
+    if (!documentId) {
+      return Response.json(
+        {
+          error: "Missing required field: documentId",
+        },
+        { status: 400 },
+      );
+    }
+
+    if (caseId) {
+      const denied = await authorizeCase(request, env, caseId, "case:work");
+      if (denied) return denied;
+    }
+
+    // Re-ingesting replaces the document's chunks, so the caller must also
+    // be able to work on the case it belonged to
+    const { tenantId } = brokerContext(request);
+    const previous = await loadManifest(env, tenantId, documentId);
+    if (previous?.caseId && previous.caseId !== caseId) {
+      const denied = await authorizeCase(
+        request,
+        env,
+        previous.caseId,
+        "case:work",
+      );
+      if (denied) return denied;
+    }
+
+    const text = await extractText(upload.bytes, upload.contentType);
+    if (!text.trim()) {
+      return Response.json(
+        {
+          error: "No text could be extracted from the document",
+          contentType: upload.contentType,
+        },
+        { status: 422 },
+      );
+    }
+
+    const context = brokerContext(request, caseId);
+    const result = await ingestDocument(env, context, {
+      ...upload.fields,
+      namespace,
+      contentType: upload.contentType,
+      text,
+    });
+
+    return Response.json({ success: true, ...result });
+  })
+  .get("/:documentId", async (request, env) => {
+    const { tenantId } = brokerContext(request);
+    const manifest = await loadManifest(
+      env,
+      tenantId,
+      request.params.documentId,
+    );
+
+    if (!manifest) {
+      return Response.json(
+        {
+          error: "Document not found",
+        },
+        { status: 404 },
+      );
+    }
+
+    if (manifest.caseId) {
+      const denied = await authorizeCase(
+        request,
+        env,
+        manifest.caseId,
+        "case:read",
+      );
+      if (denied) return denied;
+    }
+
+    return Response.json({ success: true, document: manifest });
+  })
+  .delete("/:documentId", async (request, env) => {
+    const { tenantId } = brokerContext(request);
+    const { documentId } = request.params;
+    const manifest = await loadManifest(env, tenantId, documentId);
+
+    if (!manifest) {
+      return Response.json(
+        {
+          error: "Document not found",
+        },
+        { status: 404 },
+      );
+    }
+
+    if (manifest.caseId) {
+      const denied = await authorizeCase(
+        request,
+        env,
+        manifest.caseId,
+        "case:work",
+      );
+      if (denied) return denied;
+    }
+
+    await deleteChunks(
+      env,
+      manifest,
+      manifest.chunks.map((chunk) => chunk.id),
+    );
+    await env.KV_NAMESPACE.delete(manifestKey(tenantId, documentId));
+
+    return Response.json({
+      success: true,
+      documentId,
+      deleted: manifest.chunks.length,
+    });
+  });
+
+export async function handleIngest(request, env) {
+  const response = await ingestRoutes.handle(request, env);
+  if (response) {
+    return response;
+  }
+
+  return Response.json(
+    {
+      error: "Ingest endpoint not found",
+      available: ingestRoutes.paths(),
+    },
+    { status: 404 },
+  );
+}
+
+// Chunk, embed and store a document's text, reusing unchanged chunks from
+// the previous ingestion
+export async function ingestDocument(env, context, document) {
+  const { tenantId } = context;
+  const { documentId, namespace } = document;
+  const settings = await ragSettings(env, tenantId, namespace);
+
+  // Chunk IDs are content-addressed so an unchanged passage keeps its vector
+  // when text is inserted before it
+  const chunks = await Promise.all(
+    chunkText(document.text).map(async (text, index) => {
+      const hash = await sha256Hex(text);
+      const id = (await sha256Hex(`${tenantId}:${documentId}:${hash}`)).slice(
+        0,
+        40,
+      );
+      return { id, hash, index, text };
+    }),
+  );
+
+  // Chunks can only be reused where they already live and with the same
+  // case; moved documents have their old chunks removed from the old store
+  const previous = await loadManifest(env, tenantId, documentId);
+  const sameLocation =
+    previous?.store === settings.store &&
+    previous?.table === settings.table &&
+    previous?.namespace === namespace;
+  const kept = new Set(
+    sameLocation && previous.caseId === (document.caseId || null)
+      ? previous.chunks.map((chunk) => chunk.id)
+      : [],
+  );
+
+  const current = new Set(chunks.map((chunk) => chunk.id));
+  const changed = [
+    ...new Map(
+      chunks
+        .filter((chunk) => !kept.has(chunk.id))
+        .map((chunk) => [chunk.id, chunk]),
+    ).values(),
+  ];
+  const stale = previous
+    ? previous.chunks
+        .map((chunk) => chunk.id)
+        .filter((id) => !sameLocation || !current.has(id))
+    : [];
+
+  const aiService = new AIService(env, context);
+  const ingestedAt = new Date().toISOString();
+
+  for (let start = 0; start < changed.length; start += EMBED_BATCH_SIZE) {
+    const batch = changed.slice(start, start + EMBED_BATCH_SIZE);
+    const vectors = await aiService.embedBatch(
+      batch.map((chunk) => chunk.text),
+    );
+
+    await storeChunks(
+      env,
+      tenantId,
+      settings,
+      namespace,
+      batch.map((chunk, offset) => ({
+        id: chunk.id,
+        values: vectors[offset],
+        metadata: {
+          documentId,
+          tenantId,
+          caseId: document.caseId || null,
+          title: document.title || null,
+          source: document.source || null,
+          contentType: document.contentType,
+          chunkIndex: chunk.index,
+          text: chunk.text,
+          ingestedAt,
+        },
+      })),
+    );
+  }
+
+  if (previous) {
+    await deleteChunks(env, previous, stale);
+  }
+
+  const manifest = {
+    documentId,
+    tenantId,
+    namespace,
+    store: settings.store,
+    table: settings.table,
+    caseId: document.caseId || null,
+    title: document.title || null,
+    source: document.source || null,
+    contentType: document.contentType,
+    chunks: chunks.map(({ id, hash, index }) => ({ id, hash, index })),
+    ingestedAt: previous?.ingestedAt || ingestedAt,
+    updatedAt: ingestedAt,
+  };
+  await env.KV_NAMESPACE.put(
+    manifestKey(tenantId, documentId),
+    JSON.stringify(manifest),
+  );
+
+  return {
+    documentId,
+    store: settings.store,
+    namespace,
+    chunks: chunks.length,
+    embedded: changed.length,
+    unchanged: chunks.filter((chunk) => kept.has(chunk.id)).length,
+    deleted: stale.length,
+  };
+}
+
+// Split text into chunks of about `chunkTokens`, breaking at paragraph and
+// sentence boundaries and repeating up to `overlapTokens` of trailing
+// sentences at the start of the next chunk
+export function chunkText(
+  text,
+  { chunkTokens = CHUNK_TOKENS, overlapTokens = OVERLAP_TOKENS } = {},
+) {
+  const units = text
+    .split(/\n\s*\n/)
+    .flatMap((paragraph) =>
+      paragraph
+        .replace(/\s+/g, " ")
+        .trim()
+        .split(/(?<=[.!?])\s+/),
+    )
+    .filter(Boolean)
+    .flatMap((unit) => splitLongUnit(unit, chunkTokens));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const unit of units) {
+    const tokens = estimateTokens(unit);
+
+    if (current.length > 0 && currentTokens + tokens > chunkTokens) {
+      chunks.push(current.join(" "));
+
+      const overlap = [];
+      let overlapCount = 0;
+      for (let index = current.length - 1; index >= 0; index--) {
+        const unitTokens = estimateTokens(current[index]);
+        if (overlapCount + unitTokens > overlapTokens) break;
+        overlap.unshift(current[index]);
+        overlapCount += unitTokens;
+      }
+
+      current = overlap;
+      currentTokens = overlapCount;
+    }
+
+    current.push(unit);
+    currentTokens += tokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join(" "));
+  }
+
+  return chunks;
+}
+
+export async function extractText(bytes, contentType) {
+  switch (contentType) {
+    case "application/pdf":
+      return await extractPdfText(bytes);
+    case "text/html":
+      return htmlToText(new TextDecoder().decode(bytes));
+    case "text/markdown":
+      return markdownToText(new TextDecoder().decode(bytes));
+    default:
+      return new TextDecoder().decode(bytes);
+  }
+}
+
+async function readUpload(request) {
+  const requestType = request.headers.get("content-type") || "";
+
+  if (requestType.startsWith("multipart/form-data")) {
+    const form = await request.formData();
+    const file = form.get("file");
+    if (!file || typeof file === "string") {
+      return { error: "Missing file upload", status: 400 };
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      return { error: "File too large", status: 413 };
+    }
+
+    const fields = Object.fromEntries(
+      [...form.entries()].filter(([, value]) => typeof value === "string"),
+    );
+    return {
+      bytes: new Uint8Array(await file.arrayBuffer()),
+      contentType: resolveContentType(
+        fields.contentType || file.type,
+        file.name,
+      ),
+      fields: { source: file.name, ...fields },
+    };
+  }
+
+  const { content, contentType, ...fields } = await readJson(request);
+  if (typeof content !== "string") {
+    return { error: "Missing required field: content", status: 400 };
+  }
+
+  const bytes = new TextEncoder().encode(content);
+  if (bytes.length > MAX_UPLOAD_BYTES) {
+    return { error: "Content too large", status: 413 };
+  }
+
+  return {
+    bytes,
+    contentType: resolveContentType(contentType, fields.source),
+    fields,
+  };
+}
+
+function resolveContentType(declared, filename = "") {
+  const type = (declared || "").split(";")[0].trim().toLowerCase();
+  if (Object.values(CONTENT_TYPES).includes(type)) return type;
+
+  const extension = filename.split(".").pop().toLowerCase();
+  return CONTENT_TYPES[extension] || "text/plain";
+}
+
+async function storeChunks(env, tenantId, settings, namespace, vectors) {
+  if (settings.store === "pgvector") {
+    const db = new DatabaseService(env, { tenantId });
+    for (const vector of vectors) {
+      await db.storeEmbedding(
+        vector.id,
+        vector.values,
+        vector.metadata,
+        settings.table,
+      );
+    }
+    return;
+  }
+
+  await new VectorStore(env).upsert(vectors, namespace);
+}
+
+async function deleteChunks(env, manifest, ids) {
+  if (ids.length === 0) return;
+
+  if (manifest.store === "pgvector") {
+    await new DatabaseService(env, {
+      tenantId: manifest.tenantId,
+    }).deleteEmbeddings(ids, manifest.table);
+    return;
+  }
+
+  await new VectorStore(env).deleteByIds(ids);
+}
+
+async function loadManifest(env, tenantId, documentId) {
+  return await env.KV_NAMESPACE.get(manifestKey(tenantId, documentId), "json");
+}
+
+function manifestKey(tenantId, documentId) {
+  return `document:${tenantId}:${documentId}`;
+}
+
+// Sentences longer than a chunk are cut at word boundaries
+function splitLongUnit(unit, chunkTokens) {
+  if (estimateTokens(unit) <= chunkTokens) return [unit];
+
+  const pieces = [];
+  let piece = "";
+  for (const word of unit.split(" ")) {
+    if (piece && estimateTokens(`${piece} ${word}`) > chunkTokens) {
+      pieces.push(piece);
+      piece = word;
+    } else {
+      piece = piece ? `${piece} ${word}` : word;
+    }
+  }
+  if (piece) pieces.push(piece);
+
+  return pieces;
+}
+
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(
+        /<\/?(p|div|section|article|li|tr|h[1-6]|blockquote|pre)\b[^>]*>/gi,
+        "\n\n",
+      )
+      .replace(/<[^>]+>/g, " "),
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n\s*/g, "\n\n")
+    .trim();
+}
+
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^```.*$/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, "$2")
+    .trim();
+}
+
+function decodeEntities(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      // Out-of-range and surrogate code points become U+FFFD, as in browsers
+      const valid = point <= 0x10ffff && !(point >= 0xd800 && point <= 0xdfff);
+      return String.fromCodePoint(valid ? point : 0xfffd);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Best-effort PDF text extraction: inflates FlateDecode content streams and
+// collects the strings shown by Tj/TJ/'/" operators. Scanned (image-only)
+// and encrypted PDFs yield no text, and fonts with custom encodings may come
+// out garbled.
+async function extractPdfText(bytes) {
+  const raw = latin1(bytes);
+  const pages = [];
+  // Not the "stream" at the end of "endstream"
+  const streamPattern = /(?<!end)stream\r?\n/g;
+
+  let match;
+  while ((match = streamPattern.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end === -1) break;
+
+    const dictionary = raw.slice(
+      raw.lastIndexOf("obj", match.index),
+      match.index,
+    );
+    streamPattern.lastIndex = end;
+
+    if (
+      /\/Subtype\s*\/Image|\/(DCT|JPX|CCITTFax|JBIG2)Decode/.test(dictionary)
+    ) {
+      continue;
+    }
+
+    let content = bytes.subarray(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = await inflate(content);
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    const text = textFromContentStream(latin1(content));
+    if (text.trim()) pages.push(text);
+  }
+
+  return pages.join("\n\n");
+}
+
+async function inflate(data) {
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function textFromContentStream(content) {
+  let text = "";
+  const tokens =
+    /\((?:\\.|[^\\)])*\)\s*(?:Tj|'|")|\[(?:\((?:\\.|[^\\)])*\)|[^\]])*\]\s*TJ|T\*|-?\d*\.?\d+\s+-?\d*\.?\d+\s+T[dD]|ET/g;
+
+  for (const [token] of content.matchAll(tokens)) {
+    if (token.endsWith("TJ")) {
+      for (const [, literal] of token.matchAll(/\(((?:\\.|[^\\)])*)\)/g)) {
+        text += unescapePdfString(literal);
+      }
+    } else if (token.startsWith("(")) {
+      if (!token.endsWith("Tj")) text += "\n";
+      text += unescapePdfString(token.slice(1, token.lastIndexOf(")")));
+    } else if (token === "ET" || token === "T*" || /\s-/.test(token)) {
+      // End of a text object or a move down the page starts a new line
+      text += "\n";
+    } else {
+      text += " ";
+    }
+  }
+
+  return text.replace(/[ \t]+/g, " ").replace(/\n\s*\n+/g, "\n");
+}
+
+function unescapePdfString(literal) {
+  return literal.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (_, code) => {
+    const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+    if (escapes[code]) return escapes[code];
+    if (/^[0-7]/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    if (code.startsWith("\r") || code.startsWith("\n")) return "";
+    return code;
+  });
+}
+
+function latin1(bytes) {
+  let result = "";
+  for (let index = 0; index < bytes.length; index += 8192) {
+    result += String.fromCharCode(...bytes.subarray(index, index + 8192));
+  }
+  return result;
+}
@@ -0,0 +1,248 @@
+/**
+ * Middleware Pipeline for ChittyOS Workers
+ * Composable cross-cutting policies wrapped around fetch handlers
+ */
+
+// Standard headers added to every response by responseHeaders()
+const SECURITY_HEADERS = {
+  "Strict-Transport-Security": "max-age=31536000; includeSubDomains",
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "strict-origin-when-cross-origin",
+};
+
+// Response headers browsers may read on cross-origin responses
+const EXPOSED_HEADERS = [
+  "X-Request-Id",
+  "Server-Timing",
+  "X-Response-Time",
+  "Retry-After",
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+];
+
+// Per-request state shared between middleware and handlers (request ID,
+// authenticated principal, ...). Keyed by the Request so nothing is copied
+// onto the platform object itself.
+const requestContexts = new WeakMap();
+
+export function getRequestContext(request) {
+  let context = requestContexts.get(request);
+  if (!context) {
+    context = {};
+    requestContexts.set(request, context);
+  }
+  return context;
+}
+
+// Error carrying an HTTP status, turned into a JSON body by errorHandler()
+export class HttpError extends Error {
+  constructor(status, message, details = {}, headers = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+// A request's JSON body. A body that does not parse is the caller's mistake,
+// so it is a 400 rather than an unhandled SyntaxError.
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new HttpError(400, "Request body must be valid JSON");
+  }
+}
+
+// Compose middleware around a handler. A middleware is
+// `async (request, env, ctx, next) => Response` and calls next() to continue;
+// the handler is `async (request, env, ctx) => Response`.
+export function compose(middlewares, handler) {
+  return (request, env, ctx) => {
+    const dispatch = async (index) => {
+      if (index === middlewares.length) {
+        return await handler(request, env, ctx);
+      }
+      return await middlewares[index](request, env, ctx, () =>
+        dispatch(index + 1),
+      );
+    };
+
+    return dispatch(0);
+  };
+}
+
+// Copy a response with extra headers; responses from fetch() and service
+// bindings have immutable headers
+export function withHeaders(response, headers) {
+  if (response.status === 101 || response.webSocket) {
+    return response;
+  }
+
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    copy.headers.set(name, value);
+  }
+  return copy;
+}
+
+// Accept an incoming X-Request-Id (e.g. from the worker calling a Durable
+// Object) or mint one, and echo it on the response
+export function requestId() {
+  return async (request, env, ctx, next) => {
+    const context = getRequestContext(request);
+    context.requestId =
+      request.headers.get("x-request-id") || crypto.randomUUID();
+
+    const response = await next();
+    return withHeaders(response, { "X-Request-Id": context.requestId });
+  };
+}
+
+export function timing() {
+  return async (request, env, ctx, next) => {
+    const startedAt = Date.now();
+    const response = await next();
+    const duration = Date.now() - startedAt;
+
+    return withHeaders(response, {
+      "Server-Timing": `total;dur=${duration}`,
+      "X-Response-Time": `${duration}ms`,
+    });
+  };
+}
+
+// Authentication slot: `authenticator(request, env)` resolves a principal or
+// null. Requests without one are rejected unless isPublic(request) is true.
+export function auth(authenticator, { isPublic = () => false } = {}) {
+  return async (request, env, ctx, next) => {
+    const principal = await authenticator(request, env);
+    if (principal) {
+      getRequestContext(request).principal = principal;
+    } else if (!isPublic(request)) {
+      throw new HttpError(
+        401,
+        "Authentication required",
+        {},
+        { "WWW-Authenticate": 'Bearer realm="chittyos"' },
+      );
+    }
+
+    return await next();
+  };
+}
+
+// CORS with preflight handling. Allowed origins come from the comma-separated
+// CORS_ORIGINS var, defaulting to any origin.
+export function cors({
+  methods = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  headers = ["Authorization", "Content-Type", "X-API-Key", "X-Request-Id"],
+  maxAge = 86400,
+} = {}) {
+  return async (request, env, ctx, next) => {
+    const origin = request.headers.get("origin");
+    const allowedOrigin = origin && resolveCorsOrigin(origin, env);
+
+    if (
+      request.method === "OPTIONS" &&
+      origin &&
+      request.headers.has("access-control-request-method")
+    ) {
+      if (!allowedOrigin) {
+        return new Response(null, { status: 403 });
+      }
+
+      return new Response(null, {
+        status: 204,
+        headers: {
+          "Access-Control-Allow-Origin": allowedOrigin,
+          "Access-Control-Allow-Methods": methods.join(", "),
+          "Access-Control-Allow-Headers": headers.join(", "),
+          "Access-Control-Max-Age": String(maxAge),
+          Vary: "Origin",
+        },
+      });
+    }
+
+    const response = await next();
+    if (!allowedOrigin) {
+      return response;
+    }
+
+    return withHeaders(response, {
+      "Access-Control-Allow-Origin": allowedOrigin,
+      "Access-Control-Expose-Headers": EXPOSED_HEADERS.join(", "),
+      Vary: "Origin",
+    });
+  };
+}
+
+// Turn thrown errors into the standard JSON error body
+export function errorHandler() {
+  return async (request, env, ctx, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status >= 500) {
+        console.error("Unhandled error:", error);
+      }
+
+      return errorResponse(
+        request,
+        status,
+        error.message,
+        error.details,
+        error.headers,
+      );
+    }
+  };
+}
+
+export function responseHeaders(headers = SECURITY_HEADERS) {
+  return async (request, env, ctx, next) => {
+    const response = await next();
+    return withHeaders(response, headers);
+  };
+}
+
+// Durable Objects are only reached through the worker, so they skip CORS
+export const DURABLE_OBJECT_MIDDLEWARE = [
+  requestId(),
+  timing(),
+  errorHandler(),
+];
+
+export function errorResponse(
+  request,
+  status,
+  message,
+  details = {},
+  headers = {},
+) {
+  return new Response(
+    JSON.stringify({
+      error: message,
+      status,
+      requestId: getRequestContext(request).requestId,
+      ...details,
+    }),
+    {
+      status,
+      headers: { ...headers, "content-type": "application/json" },
+    },
+  );
+}
+
+function resolveCorsOrigin(origin, env) {
+  const allowed = (env.CORS_ORIGINS || "*")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (allowed.includes("*")) return "*";
+  return allowed.includes(origin) ? origin : null;
+}
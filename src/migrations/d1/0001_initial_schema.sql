@@ -0,0 +1,59 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS transactions (
+  transaction_id TEXT PRIMARY KEY,
+  amount REAL NOT NULL,
+  currency TEXT NOT NULL,
+  from_account TEXT,
+  to_account TEXT,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  metadata TEXT
+);
+
+CREATE INDEX IF NOT EXISTS transactions_status_idx
+  ON transactions (status, created_at);
+
+CREATE TABLE IF NOT EXISTS cases (
+  case_id TEXT PRIMARY KEY,
+  client_name TEXT NOT NULL,
+  case_type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  metadata TEXT
+);
+
+CREATE INDEX IF NOT EXISTS cases_status_idx ON cases (status, created_at);
+
+CREATE TABLE IF NOT EXISTS properties (
+  listing_id TEXT PRIMARY KEY,
+  address TEXT NOT NULL,
+  price REAL,
+  type TEXT,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  details TEXT,
+  location TEXT
+);
+
+CREATE INDEX IF NOT EXISTS properties_status_idx
+  ON properties (status, created_at);
+
+CREATE TABLE IF NOT EXISTS assets (
+  asset_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  owner TEXT,
+  status TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  value TEXT,
+  metadata TEXT
+);
+
+CREATE INDEX IF NOT EXISTS assets_owner_idx ON assets (owner, created_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS assets;
+DROP TABLE IF EXISTS properties;
+DROP TABLE IF EXISTS cases;
+DROP TABLE IF EXISTS transactions;
@@ -0,0 +1,104 @@
+-- migrate:up
+-- Whole records for the storage repositories (src/storage). Rows written
+-- before this migration are backfilled from their columns.
+ALTER TABLE cases ADD COLUMN data TEXT;
+ALTER TABLE cases ADD COLUMN updated_at TEXT;
+UPDATE cases SET data = json_object('caseId', case_id, 'clientName', client_name, 'caseType', case_type, 'status', status, 'createdAt', created_at, 'metadata', json(metadata)), updated_at = created_at
+  WHERE data IS NULL;
+
+ALTER TABLE transactions ADD COLUMN data TEXT;
+ALTER TABLE transactions ADD COLUMN updated_at TEXT;
+UPDATE transactions SET data = json_object('transactionId', transaction_id, 'amount', amount, 'currency', currency, 'from', from_account, 'to', to_account, 'type', type, 'status', status, 'createdAt', created_at, 'metadata', json(metadata)), updated_at = created_at
+  WHERE data IS NULL;
+
+ALTER TABLE properties ADD COLUMN data TEXT;
+ALTER TABLE properties ADD COLUMN updated_at TEXT;
+UPDATE properties SET data = json_object('listingId', listing_id, 'address', address, 'price', price, 'type', type, 'status', status, 'createdAt', created_at, 'details', json(details), 'location', json(location)), updated_at = created_at
+  WHERE data IS NULL;
+
+ALTER TABLE assets ADD COLUMN data TEXT;
+ALTER TABLE assets ADD COLUMN updated_at TEXT;
+UPDATE assets SET data = json_object('assetId', asset_id, 'name', name, 'type', type, 'owner', owner, 'status', status, 'createdAt', created_at, 'value', json(value), 'metadata', json(metadata)), updated_at = created_at
+  WHERE data IS NULL;
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS escrows (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS deeds (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS leases (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS transfers (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS nfts (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS custody (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS tokenizations (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS tokenizations;
+DROP TABLE IF EXISTS custody;
+DROP TABLE IF EXISTS nfts;
+DROP TABLE IF EXISTS transfers;
+DROP TABLE IF EXISTS leases;
+DROP TABLE IF EXISTS deeds;
+DROP TABLE IF EXISTS escrows;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS invoices;
+ALTER TABLE assets DROP COLUMN updated_at;
+ALTER TABLE assets DROP COLUMN data;
+ALTER TABLE properties DROP COLUMN updated_at;
+ALTER TABLE properties DROP COLUMN data;
+ALTER TABLE transactions DROP COLUMN updated_at;
+ALTER TABLE transactions DROP COLUMN data;
+ALTER TABLE cases DROP COLUMN updated_at;
+ALTER TABLE cases DROP COLUMN data;
@@ -0,0 +1,27 @@
+/**
+ * Schema migrations bundled into the worker
+ * One file per version and dialect, named <version>_<name>.sql with
+ * "-- migrate:up" and "-- migrate:down" sections. Wrangler imports .sql files
+ * as text (see the [[rules]] entry in wrangler.toml); scripts/migrate.js reads
+ * the same files from disk.
+ */
+
+import postgresInitialSchema from "./postgres/0001_initial_schema.sql";
+import postgresStorageRepositories from "./postgres/0002_storage_repositories.sql";
+import postgresAgentMemory from "./postgres/0003_agent_memory.sql";
+import postgresRowLevelSecurity from "./postgres/0004_row_level_security.sql";
+import d1InitialSchema from "./d1/0001_initial_schema.sql";
+import d1StorageRepositories from "./d1/0002_storage_repositories.sql";
+
+export const MIGRATION_FILES = {
+  postgres: {
+    "0001_initial_schema.sql": postgresInitialSchema,
+    "0002_storage_repositories.sql": postgresStorageRepositories,
+    "0003_agent_memory.sql": postgresAgentMemory,
+    "0004_row_level_security.sql": postgresRowLevelSecurity,
+  },
+  d1: {
+    "0001_initial_schema.sql": d1InitialSchema,
+    "0002_storage_repositories.sql": d1StorageRepositories,
+  },
+};
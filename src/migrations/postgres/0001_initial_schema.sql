@@ -0,0 +1,33 @@
+-- migrate:up
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Chunks and embeddings for /api/search, /api/db/search and RAG. Metadata
+-- carries tenantId, documentId, caseId and the chunk text.
+CREATE TABLE IF NOT EXISTS embeddings (
+  id TEXT PRIMARY KEY,
+  embedding vector(768) NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS embeddings_embedding_idx
+  ON embeddings USING hnsw (embedding vector_l2_ops);
+
+CREATE INDEX IF NOT EXISTS embeddings_metadata_idx
+  ON embeddings USING gin (metadata jsonb_path_ops);
+
+CREATE INDEX IF NOT EXISTS embeddings_text_idx
+  ON embeddings USING gin (to_tsvector('english', coalesce(metadata->>'text', '')));
+
+-- Conversation history for AI agents
+CREATE TABLE IF NOT EXISTS agent_sessions (
+  session_id TEXT PRIMARY KEY,
+  messages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS agent_sessions;
+DROP TABLE IF EXISTS embeddings;
@@ -0,0 +1,162 @@
+-- migrate:up
+-- Domain tables for the storage repositories (src/storage), matching the D1
+-- schema with JSONB in place of JSON text
+
+CREATE TABLE IF NOT EXISTS cases (
+  case_id TEXT PRIMARY KEY,
+  client_name TEXT NOT NULL,
+  case_type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  metadata JSONB,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS cases_data_idx ON cases USING gin (data jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS cases_status_idx ON cases (status, created_at);
+
+CREATE TABLE IF NOT EXISTS transactions (
+  transaction_id TEXT PRIMARY KEY,
+  amount DOUBLE PRECISION NOT NULL,
+  currency TEXT NOT NULL,
+  from_account TEXT,
+  to_account TEXT,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  metadata JSONB,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS transactions_data_idx ON transactions USING gin (data jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS transactions_status_idx ON transactions (status, created_at);
+
+CREATE TABLE IF NOT EXISTS properties (
+  listing_id TEXT PRIMARY KEY,
+  address TEXT NOT NULL,
+  price DOUBLE PRECISION,
+  type TEXT,
+  status TEXT NOT NULL,
+  details JSONB,
+  location JSONB,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS properties_data_idx ON properties USING gin (data jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS properties_status_idx ON properties (status, created_at);
+
+CREATE TABLE IF NOT EXISTS assets (
+  asset_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  owner TEXT,
+  status TEXT NOT NULL,
+  value JSONB,
+  metadata JSONB,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS assets_data_idx ON assets USING gin (data jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS assets_owner_idx ON assets (owner, created_at);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS invoices_data_idx ON invoices USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_data_idx ON payments USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS escrows (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS escrows_data_idx ON escrows USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS deeds (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS deeds_data_idx ON deeds USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS leases (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS leases_data_idx ON leases USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS transfers (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS transfers_data_idx ON transfers USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS nfts (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS nfts_data_idx ON nfts USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS custody (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS custody_data_idx ON custody USING gin (data jsonb_path_ops);
+
+CREATE TABLE IF NOT EXISTS tokenizations (
+  id TEXT PRIMARY KEY,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS tokenizations_data_idx ON tokenizations USING gin (data jsonb_path_ops);
+
+-- migrate:down
+DROP TABLE IF EXISTS tokenizations;
+DROP TABLE IF EXISTS custody;
+DROP TABLE IF EXISTS nfts;
+DROP TABLE IF EXISTS transfers;
+DROP TABLE IF EXISTS leases;
+DROP TABLE IF EXISTS deeds;
+DROP TABLE IF EXISTS escrows;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS assets;
+DROP TABLE IF EXISTS properties;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS cases;
@@ -0,0 +1,78 @@
+-- migrate:up
+-- Append-only agent memory: one row per message with an embedding for
+-- recall, and the rolling summaries that replace older messages in the
+-- context window. agent_sessions.summarized_through is the seq of the last
+-- message folded into its current summary.
+ALTER TABLE agent_sessions
+  ADD COLUMN IF NOT EXISTS tenant_id TEXT NOT NULL DEFAULT 'default',
+  ADD COLUMN IF NOT EXISTS summary TEXT,
+  ADD COLUMN IF NOT EXISTS summarized_through BIGINT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS agent_messages (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES agent_sessions (session_id) ON DELETE CASCADE,
+  seq BIGINT GENERATED ALWAYS AS IDENTITY,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  tokens INTEGER NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  embedding vector(768),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS agent_messages_session_idx
+  ON agent_messages (session_id, seq);
+
+CREATE INDEX IF NOT EXISTS agent_messages_embedding_idx
+  ON agent_messages USING hnsw (embedding vector_l2_ops);
+
+CREATE TABLE IF NOT EXISTS agent_summaries (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES agent_sessions (session_id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  through_seq BIGINT NOT NULL,
+  tokens INTEGER NOT NULL,
+  model TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS agent_summaries_session_idx
+  ON agent_summaries (session_id, through_seq);
+
+-- Messages stored as a JSONB array become rows, in order and unembedded
+INSERT INTO agent_messages (id, session_id, role, content, tokens, created_at)
+SELECT
+  'msg_' || gen_random_uuid(),
+  s.session_id,
+  coalesce(m.value->>'role', 'user'),
+  coalesce(m.value->>'content', m.value #>> '{}'),
+  ceil(length(coalesce(m.value->>'content', m.value #>> '{}')) / 4.0),
+  s.updated_at
+FROM agent_sessions s
+CROSS JOIN LATERAL jsonb_array_elements(s.messages) WITH ORDINALITY AS m (value, position)
+ORDER BY s.session_id, m.position;
+
+ALTER TABLE agent_sessions DROP COLUMN IF EXISTS messages;
+
+-- migrate:down
+ALTER TABLE agent_sessions
+  ADD COLUMN IF NOT EXISTS messages JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+UPDATE agent_sessions s
+SET messages = m.messages
+FROM (
+  SELECT
+    session_id,
+    jsonb_agg(jsonb_build_object('role', role, 'content', content) ORDER BY seq) AS messages
+  FROM agent_messages
+  GROUP BY session_id
+) m
+WHERE m.session_id = s.session_id;
+
+DROP TABLE IF EXISTS agent_summaries;
+DROP TABLE IF EXISTS agent_messages;
+
+ALTER TABLE agent_sessions
+  DROP COLUMN IF EXISTS summarized_through,
+  DROP COLUMN IF EXISTS summary,
+  DROP COLUMN IF EXISTS tenant_id;
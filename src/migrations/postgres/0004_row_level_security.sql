@@ -0,0 +1,70 @@
+-- migrate:up
+-- Tenant isolation enforced by Postgres. DatabaseService sets app.tenant_id
+-- (or app.all_tenants = 'on' for admin and system access) at the start of
+-- every transaction; rows of other tenants are invisible and cannot be
+-- written. FORCE applies the policies to the table owner too, but roles with
+-- BYPASSRLS (and superusers) still skip them, so the worker must connect as a
+-- role without it.
+CREATE OR REPLACE FUNCTION app_tenant_visible(tenant TEXT) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT coalesce(current_setting('app.all_tenants', true), '') = 'on'
+    OR tenant = nullif(current_setting('app.tenant_id', true), '')
+$$;
+
+-- Embeddings stored before tenants were stamped belong to "default"
+UPDATE embeddings
+SET metadata = metadata || '{"tenantId": "default"}'::jsonb
+WHERE NOT metadata ? 'tenantId';
+
+CREATE INDEX IF NOT EXISTS embeddings_tenant_idx
+  ON embeddings ((metadata->>'tenantId'));
+
+ALTER TABLE embeddings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE embeddings FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON embeddings
+  USING (app_tenant_visible(metadata->>'tenantId'))
+  WITH CHECK (app_tenant_visible(metadata->>'tenantId'));
+
+CREATE INDEX IF NOT EXISTS agent_sessions_tenant_idx
+  ON agent_sessions (tenant_id);
+
+ALTER TABLE agent_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_sessions FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON agent_sessions
+  USING (app_tenant_visible(tenant_id))
+  WITH CHECK (app_tenant_visible(tenant_id));
+
+-- Messages and summaries follow their session, which the subquery can only
+-- see under the agent_sessions policy
+ALTER TABLE agent_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_messages FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON agent_messages
+  USING (session_id IN (SELECT session_id FROM agent_sessions))
+  WITH CHECK (session_id IN (SELECT session_id FROM agent_sessions));
+
+ALTER TABLE agent_summaries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_summaries FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON agent_summaries
+  USING (session_id IN (SELECT session_id FROM agent_sessions))
+  WITH CHECK (session_id IN (SELECT session_id FROM agent_sessions));
+
+-- migrate:down
+DROP POLICY IF EXISTS tenant_isolation ON agent_summaries;
+ALTER TABLE agent_summaries NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE agent_summaries DISABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON agent_messages;
+ALTER TABLE agent_messages NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE agent_messages DISABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON agent_sessions;
+ALTER TABLE agent_sessions NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE agent_sessions DISABLE ROW LEVEL SECURITY;
+DROP INDEX IF EXISTS agent_sessions_tenant_idx;
+
+DROP POLICY IF EXISTS tenant_isolation ON embeddings;
+ALTER TABLE embeddings NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE embeddings DISABLE ROW LEVEL SECURITY;
+DROP INDEX IF EXISTS embeddings_tenant_idx;
+
+DROP FUNCTION IF EXISTS app_tenant_visible(TEXT);
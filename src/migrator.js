@@ -0,0 +1,286 @@
+/**
+ * ChittyOS Schema Migrations
+ * Applies, lists and rolls back versioned SQL migrations against Neon
+ * (through Hyperdrive) and D1. Applied versions are tracked with a checksum
+ * in a schema_migrations table in each database.
+ */
+
+import { HttpError } from "./middleware.js";
+import { sha256Hex } from "./crypto-utils.js";
+
+export const DIALECTS = ["postgres", "d1"];
+
+// Key for pg_advisory_xact_lock, so concurrent runners apply each migration
+// once
+const POSTGRES_LOCK_KEY = 72646101;
+
+const MIGRATION_TABLE_SQL = {
+  postgres: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `,
+  d1: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )
+  `,
+};
+
+// Parse { "<version>_<name>.sql": sql } into migrations sorted by version
+export async function loadMigrations(files) {
+  const migrations = await Promise.all(
+    Object.entries(files).map(([filename, sql]) =>
+      parseMigration(filename, sql),
+    ),
+  );
+
+  return migrations.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+export async function parseMigration(filename, sql) {
+  const match = filename.match(/^(\d+)_([\w-]+)\.sql$/);
+  if (!match) {
+    throw new Error(
+      `Migration file must be named <version>_<name>.sql: ${filename}`,
+    );
+  }
+
+  const up = section(sql, "up");
+  if (!up) {
+    throw new Error(`Migration ${filename} has no "-- migrate:up" section`);
+  }
+
+  return {
+    version: match[1],
+    name: match[2],
+    up,
+    down: section(sql, "down"),
+    checksum: await sha256Hex(sql),
+  };
+}
+
+export class Migrator {
+  constructor(adapter, migrations) {
+    this.adapter = adapter;
+    this.migrations = migrations;
+  }
+
+  // Every known migration with whether (and when) it was applied, plus
+  // applied versions that have no file
+  async status() {
+    await this.adapter.ensureTable();
+    const applied = new Map(
+      (await this.adapter.applied()).map((row) => [row.version, row]),
+    );
+
+    const migrations = this.migrations.map(({ version, name, checksum }) => {
+      const row = applied.get(version);
+      return {
+        version,
+        name,
+        applied: Boolean(row),
+        appliedAt: row?.applied_at ?? null,
+        modified: Boolean(row) && row.checksum !== checksum,
+      };
+    });
+
+    return {
+      dialect: this.adapter.dialect,
+      current: [...applied.keys()].sort().at(-1) ?? null,
+      pending: migrations.filter((migration) => !migration.applied).length,
+      migrations,
+      unknown: [...applied.keys()].filter(
+        (version) => !this.migrations.some((m) => m.version === version),
+      ),
+    };
+  }
+
+  // Apply pending migrations in version order, up to and including `to`.
+  // Refuses to run when an applied migration's file has since been edited.
+  async migrate({ to } = {}) {
+    const { migrations } = await this.status();
+    const target = to ?? this.migrations.at(-1)?.version;
+    this.assertKnown(target);
+
+    const modified = migrations.filter((migration) => migration.modified);
+    if (modified.length > 0) {
+      throw new HttpError(409, "Applied migrations have been modified", {
+        versions: modified.map((migration) => migration.version),
+      });
+    }
+
+    const pending = this.migrations.filter(
+      (migration, index) =>
+        !migrations[index].applied && migration.version <= target,
+    );
+
+    const applied = [];
+    for (const migration of pending) {
+      if (await this.adapter.apply(migration, "up")) {
+        applied.push(migration.version);
+      }
+    }
+    return applied;
+  }
+
+  // Roll back the latest `steps` applied migrations, or every applied
+  // migration newer than `to`
+  async rollback({ steps = 1, to } = {}) {
+    const { migrations } = await this.status();
+    if (to !== undefined) this.assertKnown(to);
+
+    const applied = this.migrations
+      .filter((migration, index) => migrations[index].applied)
+      .reverse();
+    const targets =
+      to !== undefined
+        ? applied.filter((migration) => migration.version > to)
+        : applied.slice(0, steps);
+
+    const irreversible = targets.filter((migration) => !migration.down);
+    if (irreversible.length > 0) {
+      throw new HttpError(409, "Migrations have no down section", {
+        versions: irreversible.map((migration) => migration.version),
+      });
+    }
+
+    const rolledBack = [];
+    for (const migration of targets) {
+      if (await this.adapter.apply(migration, "down")) {
+        rolledBack.push(migration.version);
+      }
+    }
+    return rolledBack;
+  }
+
+  assertKnown(version) {
+    if (
+      version !== undefined &&
+      !this.migrations.some((migration) => migration.version === version)
+    ) {
+      throw new HttpError(400, "Unknown migration version", {
+        version,
+        available: this.migrations.map((migration) => migration.version),
+      });
+    }
+  }
+}
+
+// Adapter over a connected pg-compatible client (Neon Client). Each
+// migration runs in its own transaction under an advisory lock and is
+// skipped if another runner already applied it.
+export function postgresAdapter(client) {
+  return {
+    dialect: "postgres",
+
+    async ensureTable() {
+      await client.query(MIGRATION_TABLE_SQL.postgres);
+    },
+
+    async applied() {
+      const result = await client.query(
+        "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version",
+      );
+      return result.rows;
+    },
+
+    async apply(migration, direction) {
+      await client.query("BEGIN");
+
+      try {
+        await client.query("SELECT pg_advisory_xact_lock($1)", [
+          POSTGRES_LOCK_KEY,
+        ]);
+        // Data changes in migrations see every tenant's rows
+        await client.query("SELECT set_config('app.all_tenants', 'on', true)");
+
+        const existing = await client.query(
+          "SELECT 1 FROM schema_migrations WHERE version = $1",
+          [migration.version],
+        );
+        const recorded = existing.rows.length > 0;
+        if (recorded === (direction === "up")) {
+          await client.query("ROLLBACK");
+          return false;
+        }
+
+        // Without parameters the script runs as one multi-statement query
+        await client.query(migration[direction]);
+        await client.query(...recordStatement(migration, direction));
+        await client.query("COMMIT");
+        return true;
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw error;
+      }
+    },
+  };
+}
+
+// Adapter over a D1 binding. A migration's statements and its bookkeeping
+// row go in one batch, which D1 runs as a transaction. Statements are split
+// at semicolons that end a line, so D1 migrations cannot contain trigger
+// bodies or other statements with a line-ending semicolon inside them.
+export function d1Adapter(db) {
+  return {
+    dialect: "d1",
+
+    async ensureTable() {
+      await db.prepare(MIGRATION_TABLE_SQL.d1).run();
+    },
+
+    async applied() {
+      const { results } = await db
+        .prepare(
+          "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version",
+        )
+        .all();
+      return results;
+    },
+
+    async apply(migration, direction) {
+      const [sql, params] = recordStatement(migration, direction);
+
+      await db.batch([
+        ...splitStatements(migration[direction]).map((statement) =>
+          db.prepare(statement),
+        ),
+        db.prepare(sql.replace(/\$\d+/g, "?")).bind(...params),
+      ]);
+      return true;
+    },
+  };
+}
+
+function recordStatement(migration, direction) {
+  return direction === "up"
+    ? [
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+        [migration.version, migration.name, migration.checksum],
+      ]
+    : ["DELETE FROM schema_migrations WHERE version = $1", [migration.version]];
+}
+
+// The body of a "-- migrate:up" or "-- migrate:down" section
+function section(sql, name) {
+  const pattern = new RegExp(
+    `^--\\s*migrate:${name}\\s*$([\\s\\S]*?)(?=^--\\s*migrate:|(?![\\s\\S]))`,
+    "m",
+  );
+  return sql.match(pattern)?.[1].trim() || "";
+}
+
+function splitStatements(sql) {
+  return sql
+    .replace(/^\s*--.*$/gm, "")
+    .split(/;\s*$/m)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+}
@@ -3,34 +3,30 @@
  * Optimized for mobile AI platforms and cross-platform handoff
  */
 
+import { Router } from "./router.js";
+
 export class MobileBridgeService {
   constructor(env) {
     this.env = env;
     this.kv = env.CHITTYROUTER_KV;
     this.memoryStore = new Map();
+
+    // Mobile-optimized routes
+    this.router = new Router({ base: "/mobile" })
+      .get("/", () => this.getMobileInfo())
+      .post("/quick-start", (request) => this.quickStart(request))
+      .post("/handoff", (request) => this.createMobileHandoff(request))
+      .get("/continue/:id", (request) =>
+        this.continueMobileSession(request.params.id),
+      )
+      .get("/status", () => this.getMobileStatus());
   }
 
   async handleRequest(request) {
-    const url = new URL(request.url);
-    const method = request.method;
-    const pathParts = url.pathname.split("/").filter(Boolean);
-
     try {
-      // Mobile-optimized routes
-      if (pathParts[1] === "quick-start" && method === "POST") {
-        return await this.quickStart(request);
-      }
-
-      if (pathParts[1] === "handoff" && method === "POST") {
-        return await this.createMobileHandoff(request);
-      }
-
-      if (pathParts[1] === "continue" && pathParts[2] && method === "GET") {
-        return await this.continueMobileSession(pathParts[2]);
-      }
-
-      if (pathParts[1] === "status" && method === "GET") {
-        return await this.getMobileStatus();
+      const response = await this.router.handle(request);
+      if (response) {
+        return response;
       }
 
       // Default mobile info
@@ -0,0 +1,197 @@
+/**
+ * ChittyOS Model Registry
+ * Workers AI models with aliases, per-model defaults, capability tags and
+ * fallbacks, stored in CHITTYROUTER_KV and edited through /admin/models
+ */
+
+import { HttpError } from "./middleware.js";
+
+// KV key holding registry overrides
+export const MODEL_REGISTRY_KEY = "ai:models";
+
+// How long an isolate reuses the registry it read from KV, in milliseconds
+const REGISTRY_CACHE_TTL = 30 * 1000;
+
+export const CAPABILITIES = ["chat", "embedding", "vision"];
+
+// `fallbacks` are tried in order when a model errors. `defaults` names the
+// model used for each capability when the caller does not pick one.
+export const DEFAULT_MODEL_REGISTRY = {
+  models: {
+    "@cf/meta/llama-3.1-8b-instruct": {
+      capabilities: ["chat"],
+      maxTokens: 1000,
+      temperature: 0.7,
+      fallbacks: ["@cf/meta/llama-2-7b-chat-int8"],
+    },
+    "@cf/meta/llama-2-7b-chat-int8": {
+      capabilities: ["chat"],
+      maxTokens: 1000,
+      temperature: 0.7,
+      fallbacks: [],
+    },
+    "@cf/baai/bge-base-en-v1.5": {
+      capabilities: ["embedding"],
+      dimensions: 768,
+      fallbacks: [],
+    },
+    "@cf/llava-hf/llava-1.5-7b-hf": {
+      capabilities: ["vision"],
+      maxTokens: 512,
+      fallbacks: [],
+    },
+  },
+  aliases: {
+    "chitty-fast": "@cf/meta/llama-3.1-8b-instruct",
+    "chitty-embed": "@cf/baai/bge-base-en-v1.5",
+    "chitty-vision": "@cf/llava-hf/llava-1.5-7b-hf",
+  },
+  defaults: {
+    chat: "chitty-fast",
+    embedding: "chitty-embed",
+    vision: "chitty-vision",
+  },
+};
+
+let cachedRegistry = null;
+let cachedAt = 0;
+
+// Effective registry: built-in entries with KV overrides merged per model,
+// alias and default
+export async function loadModelRegistry(env, { fresh = false } = {}) {
+  if (!fresh && cachedRegistry && Date.now() - cachedAt < REGISTRY_CACHE_TTL) {
+    return cachedRegistry;
+  }
+
+  const overrides =
+    (await env.CHITTYROUTER_KV?.get(MODEL_REGISTRY_KEY, "json")) || {};
+
+  cachedRegistry = {
+    models: { ...DEFAULT_MODEL_REGISTRY.models, ...overrides.models },
+    aliases: { ...DEFAULT_MODEL_REGISTRY.aliases, ...overrides.aliases },
+    defaults: { ...DEFAULT_MODEL_REGISTRY.defaults, ...overrides.defaults },
+  };
+  cachedAt = Date.now();
+  return cachedRegistry;
+}
+
+export async function saveModelRegistry(env, overrides) {
+  await env.CHITTYROUTER_KV.put(MODEL_REGISTRY_KEY, JSON.stringify(overrides));
+  return await loadModelRegistry(env, { fresh: true });
+}
+
+// Resolve a model ID or alias (or the capability's default when `name` is
+// empty) to { id, ...entry }. Unknown models and models lacking the
+// capability are rejected with a 400.
+export function resolveModel(registry, name, capability) {
+  const requested = name || registry.defaults[capability];
+  const id = registry.aliases[requested] || requested;
+  const entry = registry.models[id];
+
+  if (!entry) {
+    throw new HttpError(400, "Unknown model", {
+      model: requested,
+      available: [
+        ...Object.keys(registry.aliases),
+        ...Object.keys(registry.models),
+      ],
+    });
+  }
+
+  if (capability && !entry.capabilities.includes(capability)) {
+    throw new HttpError(400, `Model does not support ${capability}`, {
+      model: requested,
+      capabilities: entry.capabilities,
+    });
+  }
+
+  return { id, ...entry };
+}
+
+// The model followed by its fallbacks that share the capability
+export function modelCandidates(registry, model, capability) {
+  const fallbacks = (model.fallbacks || [])
+    .map((id) => ({ id, ...registry.models[id] }))
+    .filter((entry) => entry.capabilities?.includes(capability));
+
+  return [model, ...fallbacks];
+}
+
+// Registry entries and aliases whose model is in `allowedModels`
+export function listModels(registry, allowedModels) {
+  const models = Object.entries(registry.models)
+    .filter(([id]) => allowedModels.includes(id))
+    .map(([id, entry]) => ({ id, ...entry }));
+
+  const aliases = Object.entries(registry.aliases)
+    .filter(([, id]) => allowedModels.includes(id))
+    .map(([alias, id]) => ({ id: alias, aliasOf: id, ...registry.models[id] }));
+
+  return [...aliases, ...models];
+}
+
+// Problems with a registry override, checked against the merged result
+export function validateModelRegistry(overrides) {
+  if (!overrides || typeof overrides !== "object") {
+    return ["Body must be an object with models, aliases and/or defaults"];
+  }
+
+  const errors = [];
+  const merged = {
+    models: { ...DEFAULT_MODEL_REGISTRY.models, ...overrides.models },
+    aliases: { ...DEFAULT_MODEL_REGISTRY.aliases, ...overrides.aliases },
+    defaults: { ...DEFAULT_MODEL_REGISTRY.defaults, ...overrides.defaults },
+  };
+
+  for (const [id, entry] of Object.entries(overrides.models || {})) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`models.${id} must be an object`);
+      continue;
+    }
+    if (
+      !Array.isArray(entry.capabilities) ||
+      entry.capabilities.some((tag) => !CAPABILITIES.includes(tag))
+    ) {
+      errors.push(
+        `models.${id}.capabilities must list ${CAPABILITIES.join(", ")}`,
+      );
+    }
+    if (entry.maxTokens !== undefined && !(entry.maxTokens > 0)) {
+      errors.push(`models.${id}.maxTokens must be a positive number`);
+    }
+    if (
+      entry.temperature !== undefined &&
+      !(entry.temperature >= 0 && entry.temperature <= 2)
+    ) {
+      errors.push(`models.${id}.temperature must be between 0 and 2`);
+    }
+    if (
+      entry.fallbacks !== undefined &&
+      (!Array.isArray(entry.fallbacks) ||
+        entry.fallbacks.some((fallback) => typeof fallback !== "string"))
+    ) {
+      errors.push(`models.${id}.fallbacks must be an array of model IDs`);
+    } else {
+      for (const fallback of entry.fallbacks || []) {
+        if (!merged.models[fallback]) {
+          errors.push(`models.${id}.fallbacks: unknown model ${fallback}`);
+        }
+      }
+    }
+  }
+
+  for (const [alias, id] of Object.entries(overrides.aliases || {})) {
+    if (!merged.models[id]) {
+      errors.push(`aliases.${alias}: unknown model ${id}`);
+    }
+  }
+
+  for (const [capability, name] of Object.entries(merged.defaults)) {
+    const id = merged.aliases[name] || name;
+    if (!merged.models[id]?.capabilities?.includes(capability)) {
+      errors.push(`defaults.${capability}: ${name} does not support it`);
+    }
+  }
+
+  return errors;
+}
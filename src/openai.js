@@ -0,0 +1,217 @@
+/**
+ * OpenAI-compatible API
+ * /v1/chat/completions and /v1/models as advertised in the OpenAPI schema,
+ * backed by Workers AI through AIService
+ */
+
+import { Router } from "./router.js";
+import { HttpError } from "./middleware.js";
+import { AIService } from "./services.js";
+import { listModels, loadModelRegistry } from "./model-registry.js";
+import { brokerContext, tenantPolicy } from "./ai-broker.js";
+import { openAIChunks, sseResponse } from "./streaming.js";
+
+const MESSAGE_ROLES = ["system", "user", "assistant"];
+
+// OpenAI error types for statuses raised by the broker
+const ERROR_TYPES = {
+  400: "invalid_request_error",
+  403: "permission_error",
+  429: "rate_limit_exceeded",
+};
+
+const openAIRoutes = new Router({ base: "/v1" })
+  .post("/chat/completions", async (request, env) => {
+    const body = await request.json().catch(() => null);
+    const invalid = validateCompletionRequest(body);
+    if (invalid) {
+      return openAIError(400, invalid.message, "invalid_request_error", {
+        param: invalid.param,
+      });
+    }
+
+    const aiService = new AIService(env, brokerContext(request));
+    const options = {
+      model: body.model,
+      temperature: body.temperature,
+      maxTokens: body.max_tokens,
+    };
+    const id = `chatcmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    if (body.stream) {
+      const { stream, model, maxTokens } = await aiService.streamChat(
+        body.messages,
+        options,
+      );
+      return sseResponse(
+        openAIChunks(
+          stream,
+          { messages: body.messages },
+          {
+            id,
+            model,
+            created,
+            maxTokens,
+            includeUsage: Boolean(body.stream_options?.include_usage),
+          },
+        ),
+        {
+          onError: (error) => ({
+            error: { message: error.message, type: "api_error" },
+          }),
+        },
+      );
+    }
+
+    const { content, usage, model, finishReason } = await aiService.chat(
+      body.messages,
+      options,
+    );
+
+    return Response.json({
+      id,
+      object: "chat.completion",
+      created,
+      model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content },
+          finish_reason: finishReason,
+        },
+      ],
+      usage: {
+        prompt_tokens: usage.inputTokens,
+        completion_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens,
+      },
+    });
+  })
+  // Registry models and aliases the caller's tenant is permitted to use
+  .get("/models", async (request, env) => {
+    return Response.json({
+      object: "list",
+      data: (await permittedModels(request, env)).map(modelObject),
+    });
+  })
+  // Model IDs contain slashes ("@cf/meta/llama-3.1-8b-instruct")
+  .get("/models/*model", async (request, env) => {
+    const { model } = request.params;
+    const entry = (await permittedModels(request, env)).find(
+      (candidate) => candidate.id === model,
+    );
+
+    if (!entry) {
+      return openAIError(
+        404,
+        `The model '${model}' does not exist`,
+        "invalid_request_error",
+        { param: "model", code: "model_not_found" },
+      );
+    }
+
+    return Response.json(modelObject(entry));
+  });
+
+// Errors use OpenAI's { error: { message, type, param, code } } shape so
+// OpenAI client libraries can surface them
+export async function handleOpenAI(request, env) {
+  try {
+    const response = await openAIRoutes.handle(request, env);
+    if (response) {
+      return response;
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error;
+
+    return openAIError(
+      error.status,
+      error.message,
+      ERROR_TYPES[error.status] || "api_error",
+      {},
+      error.headers,
+    );
+  }
+
+  return openAIError(
+    404,
+    `Unknown endpoint: ${new URL(request.url).pathname}`,
+    "invalid_request_error",
+  );
+}
+
+function validateCompletionRequest(body) {
+  if (!body || typeof body !== "object") {
+    return { message: "Request body must be a JSON object", param: null };
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { message: "messages must be a non-empty array", param: "messages" };
+  }
+
+  const badMessage = body.messages.findIndex(
+    (message) =>
+      !MESSAGE_ROLES.includes(message?.role) ||
+      typeof message.content !== "string",
+  );
+  if (badMessage !== -1) {
+    return {
+      message: `messages[${badMessage}] needs a role of ${MESSAGE_ROLES.join(", ")} and string content`,
+      param: `messages[${badMessage}]`,
+    };
+  }
+
+  if (
+    body.temperature !== undefined &&
+    !(body.temperature >= 0 && body.temperature <= 2)
+  ) {
+    return {
+      message: "temperature must be between 0 and 2",
+      param: "temperature",
+    };
+  }
+
+  if (
+    body.max_tokens !== undefined &&
+    !(Number.isInteger(body.max_tokens) && body.max_tokens > 0)
+  ) {
+    return {
+      message: "max_tokens must be a positive integer",
+      param: "max_tokens",
+    };
+  }
+
+  return null;
+}
+
+async function permittedModels(request, env) {
+  const { allowedModels } = await tenantPolicy(
+    env,
+    brokerContext(request).tenantId,
+  );
+  return listModels(await loadModelRegistry(env), allowedModels);
+}
+
+function modelObject(entry) {
+  const id = entry.aliasOf || entry.id;
+
+  return {
+    id: entry.id,
+    object: "model",
+    created: 0,
+    // "@cf/meta/llama-3.1-8b-instruct" is published by "meta"; aliases are ours
+    owned_by: entry.aliasOf ? "chittyos" : id.split("/")[1] || "cloudflare",
+    root: id,
+    capabilities: entry.capabilities,
+  };
+}
+
+function openAIError(status, message, type, fields = {}, headers = {}) {
+  return Response.json(
+    {
+      error: { message, type, param: null, code: null, ...fields },
+    },
+    { status, headers },
+  );
+}
@@ -0,0 +1,261 @@
+/**
+ * ChittyOS Retrieval-Augmented Generation
+ * Embeds a question, retrieves chunks from Vectorize or pgvector, and answers
+ * from those chunks only, citing the source documents
+ */
+
+import { AIService, VectorStore } from "./services.js";
+import { DatabaseService } from "./database.js";
+import { brokerContext } from "./ai-broker.js";
+import { readJson } from "./middleware.js";
+import { authorizeCase, withoutUnreadableCases } from "./services/legal.js";
+
+// KV key (CHITTYROUTER_KV) holding store selection per tenant and namespace
+export const RAG_CONFIG_KEY = "rag:config";
+
+// How long an isolate reuses the config it read from KV, in milliseconds
+const CONFIG_CACHE_TTL = 30 * 1000;
+
+// Settings resolve as defaults, then the tenant's entry, then the
+// namespace's. `store` is "vectorize" or "pgvector"; `table` and `mode`
+// ("vector", or "hybrid" to fuse in keyword matches) apply to pgvector only.
+export const DEFAULT_RAG_CONFIG = {
+  defaults: {
+    store: "vectorize",
+    table: "embeddings",
+    mode: "vector",
+    topK: 5,
+  },
+  tenants: {},
+  namespaces: {},
+};
+
+// Upper bound on retrieved text placed in the prompt, in characters
+const MAX_CONTEXT_CHARS = 12000;
+
+const MAX_TOP_K = 20;
+
+const SYSTEM_PROMPT = [
+  "You answer questions for ChittyOS using only the numbered sources provided.",
+  "Cite the sources you rely on inline as [1], [2], and so on.",
+  "If the sources do not contain the answer, say that you cannot find it in the provided documents.",
+].join(" ");
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+export async function loadRagConfig(env, { fresh = false } = {}) {
+  if (!fresh && cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_TTL) {
+    return cachedConfig;
+  }
+
+  const stored = (await env.CHITTYROUTER_KV?.get(RAG_CONFIG_KEY, "json")) || {};
+
+  cachedConfig = {
+    defaults: { ...DEFAULT_RAG_CONFIG.defaults, ...stored.defaults },
+    tenants: stored.tenants || {},
+    namespaces: stored.namespaces || {},
+  };
+  cachedAt = Date.now();
+  return cachedConfig;
+}
+
+export async function saveRagConfig(env, config) {
+  await env.CHITTYROUTER_KV.put(RAG_CONFIG_KEY, JSON.stringify(config));
+  return await loadRagConfig(env, { fresh: true });
+}
+
+export async function ragSettings(env, tenantId, namespace) {
+  const config = await loadRagConfig(env);
+  return {
+    ...config.defaults,
+    ...config.tenants[tenantId],
+    ...config.namespaces[namespace],
+  };
+}
+
+// POST /api/ai/rag { question, namespace?, caseId?, filter?, topK?, model? }
+export async function handleRag(request, env) {
+  const {
+    question,
+    namespace = "default",
+    caseId,
+    filter,
+    topK,
+    model,
+  } = await readJson(request);
+
+  if (typeof question !== "string" || !question.trim()) {
+    return Response.json(
+      {
+        error: "Missing required field: question",
+      },
+      { status: 400 },
+    );
+  }
+
+  if (
+    filter !== undefined &&
+    (filter === null || typeof filter !== "object" || Array.isArray(filter))
+  ) {
+    return Response.json(
+      {
+        error: "filter must be an object of metadata fields",
+      },
+      { status: 400 },
+    );
+  }
+
+  // Questions scoped to a case may only read that case's documents
+  if (caseId) {
+    const denied = await authorizeCase(request, env, caseId, "case:read");
+    if (denied) return denied;
+  }
+
+  const context = brokerContext(request, caseId);
+  const settings = await ragSettings(env, context.tenantId, namespace);
+  const aiService = new AIService(env, context);
+
+  const embeddings = await aiService.generateEmbeddings(question);
+  const vector = embeddings.data?.[0];
+  if (!vector) {
+    return Response.json(
+      {
+        error: "Embedding model unavailable",
+      },
+      { status: 503 },
+    );
+  }
+
+  const hits = await retrieve(env, settings, vector, {
+    question,
+    namespace,
+    topK: Math.min(topK || settings.topK, MAX_TOP_K),
+    // Retrieval never crosses tenants, whatever filter the caller sends
+    filter: {
+      ...filter,
+      ...(caseId && { caseId }),
+      tenantId: context.tenantId,
+    },
+  });
+  // Nor does it reach documents of cases the caller cannot read
+  const sources = (
+    await withoutUnreadableCases(
+      request,
+      env,
+      hits,
+      (hit) => hit.metadata.caseId,
+    )
+  ).map(toSource);
+
+  if (sources.length === 0) {
+    return Response.json({
+      answer: "I cannot find anything relevant in the provided documents.",
+      citations: [],
+      sources: [],
+      store: settings.store,
+    });
+  }
+
+  const answer = await aiService.chat(
+    [
+      { role: "system", content: SYSTEM_PROMPT },
+      {
+        role: "user",
+        content: `Sources:\n\n${formatSources(sources)}\n\nQuestion: ${question}`,
+      },
+    ],
+    { model, temperature: 0 },
+  );
+
+  return Response.json({
+    answer: answer.content,
+    citations: citedSources(answer.content, sources),
+    sources: sources.map(({ text, ...source }) => source),
+    store: settings.store,
+    model: answer.model,
+    usage: answer.usage,
+  });
+}
+
+// Top-k chunks as { id, metadata, relevance }
+async function retrieve(
+  env,
+  settings,
+  vector,
+  { question, namespace, topK, filter },
+) {
+  if (settings.store === "pgvector") {
+    const db = new DatabaseService(env, { tenantId: filter.tenantId });
+    const rows =
+      settings.mode === "hybrid"
+        ? await db.hybridSearch(vector, question, {
+            tableName: settings.table,
+            limit: topK,
+            filter,
+          })
+        : await db.vectorSearch(vector, settings.table, topK, filter);
+
+    return rows.map((row) => ({
+      id: row.id,
+      metadata: row.metadata || {},
+      relevance: {
+        distance: Number(row.distance),
+        ...(row.score !== undefined && { score: Number(row.score) }),
+      },
+    }));
+  }
+
+  const { matches = [] } = await new VectorStore(env).search(
+    vector,
+    namespace,
+    { topK, filter },
+  );
+
+  return matches.map((match) => ({
+    id: match.id,
+    metadata: match.metadata || {},
+    relevance: { score: match.score },
+  }));
+}
+
+// Chunks are expected to carry their text and source document in metadata.
+// Sources are numbered from 1 in retrieval order.
+function toSource({ id, metadata, relevance }, index) {
+  return {
+    index: index + 1,
+    id,
+    documentId: metadata.documentId || id,
+    title: metadata.title || null,
+    ...relevance,
+    text: metadata.text || metadata.content || "",
+  };
+}
+
+function formatSources(sources) {
+  let budget = MAX_CONTEXT_CHARS;
+
+  return sources
+    .map((source) => {
+      const text = source.text.slice(0, Math.max(budget, 0));
+      budget -= text.length;
+      return `[${source.index}] (document ${source.documentId}${
+        source.title ? `, "${source.title}"` : ""
+      })\n${text}`;
+    })
+    .join("\n\n");
+}
+
+// Sources referenced as [n] in the answer, with a snippet of each
+function citedSources(answer, sources) {
+  const cited = new Set(
+    [...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1])),
+  );
+
+  return sources
+    .filter((source) => cited.has(source.index))
+    .map(({ text, ...source }) => ({
+      ...source,
+      snippet: text.length > 240 ? `${text.slice(0, 240)}…` : text,
+    }));
+}
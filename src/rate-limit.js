@@ -0,0 +1,180 @@
+/**
+ * ChittyOS Rate Limiting
+ * Token buckets per API key, tenant or IP, kept in AIGatewayState Durable Objects
+ */
+
+import { HttpError, getRequestContext, withHeaders } from "./middleware.js";
+
+// KV key holding runtime overrides, edited through /admin/rate-limits
+export const RATE_LIMIT_CONFIG_KEY = "ratelimit:config";
+
+// How long an isolate reuses the config it read from KV, in milliseconds
+const CONFIG_CACHE_TTL = 30 * 1000;
+
+// Built-in limits per route group. `capacity` is the burst size,
+// `refillPerMinute` the sustained rate and `keyBy` the identity buckets are
+// keyed on ("key" falls back to tenant, then IP, for anonymous callers).
+export const DEFAULT_RATE_LIMITS = {
+  groups: {
+    ai: { capacity: 20, refillPerMinute: 20, keyBy: "key" },
+    db: { capacity: 60, refillPerMinute: 60, keyBy: "key" },
+    default: { capacity: 120, refillPerMinute: 120, keyBy: "key" },
+  },
+  routes: [
+    { prefix: "/api/ai", group: "ai" },
+    { prefix: "/v1", group: "ai" },
+    { prefix: "/api/ingest", group: "ai" },
+    { prefix: "/db", group: "db" },
+    { prefix: "/api/db", group: "db" },
+  ],
+};
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+// Effective config: built-in defaults with KV overrides merged per group
+export async function loadRateLimitConfig(env, { fresh = false } = {}) {
+  if (!fresh && cachedConfig && Date.now() - cachedAt < CONFIG_CACHE_TTL) {
+    return cachedConfig;
+  }
+
+  const overrides =
+    (await env.CHITTYROUTER_KV?.get(RATE_LIMIT_CONFIG_KEY, "json")) || {};
+
+  cachedConfig = {
+    groups: { ...DEFAULT_RATE_LIMITS.groups, ...overrides.groups },
+    routes: overrides.routes || DEFAULT_RATE_LIMITS.routes,
+  };
+  cachedAt = Date.now();
+  return cachedConfig;
+}
+
+export async function saveRateLimitConfig(env, overrides) {
+  await env.CHITTYROUTER_KV.put(
+    RATE_LIMIT_CONFIG_KEY,
+    JSON.stringify(overrides),
+  );
+  return await loadRateLimitConfig(env, { fresh: true });
+}
+
+// Middleware: take a token from the caller's bucket for the route group,
+// answering 429 with Retry-After when it is empty. Runs after auth so API
+// key and tenant identities are known. Skipped when the binding is missing.
+export function rateLimit(resolvePath) {
+  return async (request, env, ctx, next) => {
+    if (!env.AI_GATEWAY_STATE) {
+      return await next();
+    }
+
+    const config = await loadRateLimitConfig(env);
+    const path = resolvePath(request);
+    const route = findRouteGroup(config.routes, path);
+    const group = route?.group || "default";
+    const limit = config.groups[group] || config.groups.default;
+
+    if (!limit || limit.disabled) {
+      return await next();
+    }
+
+    const identity = resolveIdentity(request, limit.keyBy);
+    const bucket = `${group}:${identity}`;
+    const stub = env.AI_GATEWAY_STATE.get(
+      env.AI_GATEWAY_STATE.idFromName(`ratelimit:${bucket}`),
+    );
+
+    let result;
+    try {
+      const response = await stub.fetch(
+        "https://ai-gateway/rate-limit/consume",
+        {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            "x-request-id": getRequestContext(request).requestId || "",
+          },
+          body: JSON.stringify({
+            bucket,
+            capacity: limit.capacity,
+            refillPerSecond: limit.refillPerMinute / 60,
+            cost: 1,
+          }),
+        },
+      );
+      if (!response.ok) {
+        throw new Error(`Rate limiter responded ${response.status}`);
+      }
+      result = await response.json();
+    } catch (error) {
+      // Fail open: an unavailable limiter must not take the API down with it
+      console.error("Rate limiter unavailable:", error);
+      return await next();
+    }
+
+    const headers = {
+      "RateLimit-Limit": String(limit.capacity),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.resetSeconds),
+    };
+
+    if (!result.allowed) {
+      throw new HttpError(
+        429,
+        "Rate limit exceeded",
+        { group, retryAfter: result.retryAfter },
+        { ...headers, "Retry-After": String(result.retryAfter) },
+      );
+    }
+
+    return withHeaders(await next(), headers);
+  };
+}
+
+// Token bucket arithmetic, run inside the Durable Object that owns the
+// bucket so concurrent requests are serialized
+export function consumeToken(bucket, { capacity, refillPerSecond, cost }) {
+  const now = Date.now();
+  const elapsed = bucket ? (now - bucket.updatedAt) / 1000 : 0;
+  const available = bucket
+    ? Math.min(capacity, bucket.tokens + elapsed * refillPerSecond)
+    : capacity;
+
+  const allowed = available >= cost;
+  const tokens = allowed ? available - cost : available;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetSeconds: Math.ceil((capacity - tokens) / refillPerSecond),
+    retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / refillPerSecond),
+  };
+}
+
+function findRouteGroup(routes, path) {
+  let match = null;
+
+  for (const route of routes) {
+    const matches =
+      path === route.prefix || path.startsWith(`${route.prefix}/`);
+    if (matches && (!match || route.prefix.length > match.prefix.length)) {
+      match = route;
+    }
+  }
+
+  return match;
+}
+
+function resolveIdentity(request, keyBy = "key") {
+  const { principal } = getRequestContext(request);
+  const ip = request.headers.get("cf-connecting-ip") || "unknown";
+
+  if (keyBy === "key" && principal?.id) {
+    return `key:${principal.id}`;
+  }
+
+  if ((keyBy === "key" || keyBy === "tenant") && principal?.tenantId) {
+    return `tenant:${principal.tenantId}`;
+  }
+
+  return `ip:${ip}`;
+}
@@ -0,0 +1,271 @@
+/**
+ * ChittyOS Role-Based Access Control
+ * Role, ownership and assignment policies evaluated before each domain operation
+ */
+
+import { getRequestContext } from "./middleware.js";
+import { recordAuditEvent } from "./audit.js";
+import { MAX_PAGE_SIZE } from "./storage/query.js";
+
+export const ROLES = [
+  "admin",
+  "attorney",
+  "paralegal",
+  "client",
+  "tenant",
+  "landlord",
+  "custodian",
+];
+
+// Policies per resource and action. Each rule gets the principal and the
+// record being acted on (or the request payload for creates); admins are
+// allowed everything before any rule runs. `entityType` names the audit trail
+// denials are written to.
+const POLICIES = {
+  case: {
+    entityType: "case",
+    create: (principal) => hasRole(principal, "attorney", "paralegal"),
+    read: (principal, legalCase) =>
+      isAssigned(principal, legalCase) || legalCase.clientId === principal.id,
+    update: (principal, legalCase) =>
+      hasRole(principal, "attorney", "paralegal") &&
+      isAssigned(principal, legalCase),
+    // Document analysis, compliance, contract review and discovery on a case
+    work: (principal, legalCase) =>
+      hasRole(principal, "attorney", "paralegal") &&
+      isAssigned(principal, legalCase),
+  },
+  transaction: {
+    entityType: "transaction",
+    create: (principal, transaction) =>
+      ownsAccount(principal, transaction.from),
+    verify: (principal, transaction) =>
+      ownsAccount(principal, transaction.from),
+  },
+  account: {
+    entityType: "account",
+    read: (principal, account) =>
+      ownsAccount(principal, account.accountId) ||
+      account.ownerId === principal.id,
+    pay: (principal, account) => ownsAccount(principal, account.accountId),
+  },
+  invoice: {
+    entityType: "invoice",
+    create: (principal) => hasRole(principal, "attorney"),
+  },
+  escrow: {
+    entityType: "escrow",
+    create: (principal, escrow) =>
+      hasRole(principal, "attorney") || escrow.buyer === principal.id,
+  },
+  report: {
+    entityType: "report",
+    read: (principal) => hasRole(principal, "attorney"),
+  },
+  audit: {
+    entityType: "audit",
+    read: () => false,
+  },
+  listing: {
+    entityType: "listing",
+    create: (principal) => hasRole(principal, "landlord"),
+  },
+  lease: {
+    entityType: "lease",
+    create: (principal, lease) =>
+      hasRole(principal, "landlord") && lease.landlord === principal.id,
+  },
+  deed: {
+    entityType: "deed",
+    create: (principal) => hasRole(principal, "attorney"),
+  },
+  inspection: {
+    entityType: "inspection",
+    create: (principal) => hasRole(principal, "landlord", "tenant"),
+  },
+  title: {
+    entityType: "title",
+    verify: (principal) => hasRole(principal, "attorney", "paralegal"),
+  },
+  asset: {
+    entityType: "asset",
+    create: (principal, asset) =>
+      hasRole(principal, "custodian") || asset.owner === principal.id,
+    read: (principal, asset) =>
+      asset.owner === principal.id || isCustodian(principal, asset),
+    transfer: (principal, asset) =>
+      asset.owner === principal.id || isCustodian(principal, asset),
+    manage: (principal, asset) => asset.owner === principal.id,
+    verify: (principal, asset) =>
+      asset.owner === principal.id ||
+      isCustodian(principal, asset) ||
+      hasRole(principal, "attorney"),
+  },
+  portfolio: {
+    entityType: "portfolio",
+    read: (principal, portfolio) => portfolio.owner === principal.id,
+  },
+};
+
+// Fields each role may change through /legal/case/update
+const CASE_UPDATE_FIELDS = {
+  admin: [
+    "clientName",
+    "clientId",
+    "caseType",
+    "status",
+    "metadata",
+    "assignedTo",
+    "notes",
+  ],
+  attorney: ["caseType", "status", "metadata", "assignedTo", "notes"],
+  paralegal: ["notes", "metadata.tags"],
+};
+
+export function hasRole(principal, ...roles) {
+  const held = rolesOf(principal);
+  return roles.some((role) => held.includes(role));
+}
+
+// The principal's roles. An "admin" or "*" scope, which hasScope() grants
+// every scope, also carries the admin role, so an admin key passes both
+// the scope and the role checks.
+function rolesOf(principal) {
+  const roles = principal?.roles || [];
+  const scopes = principal?.scopes || [];
+  return scopes.includes("admin") || scopes.includes("*")
+    ? [...roles, "admin"]
+    : roles;
+}
+
+// Evaluate a policy such as "case:update" against a record
+export function can(principal, permission, resource = {}) {
+  if (!principal) return false;
+  if (hasRole(principal, "admin")) return true;
+
+  const [resourceType, action] = permission.split(":");
+  const rule = POLICIES[resourceType]?.[action];
+  return Boolean(rule && rule(principal, resource));
+}
+
+// Check a permission for the request's principal. Returns null when allowed,
+// otherwise the 403 response from deny().
+export async function authorize(request, env, permission, resource, entityId) {
+  const { principal } = getRequestContext(request);
+
+  if (can(principal, permission, resource)) {
+    return null;
+  }
+
+  return await deny(request, env, permission, entityId);
+}
+
+// Write an access denial to the audit trail and build the 403 response
+export async function deny(request, env, permission, entityId, details = {}) {
+  const { principal, requestId } = getRequestContext(request);
+  const [resourceType] = permission.split(":");
+
+  await recordAuditEvent(
+    env,
+    POLICIES[resourceType]?.entityType || resourceType,
+    entityId || "new",
+    {
+      action: "ACCESS_DENIED",
+      actor: principal?.id || "anonymous",
+      details: `Denied ${permission}`,
+      permission,
+      roles: principal?.roles || [],
+      requestId,
+      ...details,
+    },
+  );
+
+  return Response.json(
+    {
+      error: "Forbidden",
+      permission,
+      requestId,
+      ...details,
+    },
+    { status: 403 },
+  );
+}
+
+// Keep only the records the principal may see, for list endpoints
+export function filterPermitted(request, permission, records) {
+  const { principal } = getRequestContext(request);
+  return records.filter((record) => can(principal, permission, record));
+}
+
+// Repository pages a list request reads while filling one page, so a caller
+// who may see few records cannot make a single request scan the whole store
+const MAX_PERMITTED_PAGES = 10;
+
+// A page of repo.query(filter) holding only records the principal may see,
+// as { items, cursor }. Records are filtered before the page is cut, so a
+// short page means the store (or the scan budget) ran out, not that other
+// callers' records took the room.
+export async function queryPermitted(
+  request,
+  permission,
+  repo,
+  filter,
+  { limit, cursor } = {},
+) {
+  const size = Math.min(limit, MAX_PAGE_SIZE);
+  const items = [];
+  let next = cursor || null;
+  let pages = 0;
+
+  do {
+    const page = await repo.query(filter, {
+      limit: size - items.length,
+      cursor: next || undefined,
+    });
+    items.push(...filterPermitted(request, permission, page.items));
+    next = page.cursor;
+    pages++;
+  } while (next && items.length < size && pages < MAX_PERMITTED_PAGES);
+
+  return { items, cursor: next };
+}
+
+// Fields of `updates` the principal's roles do not permit. Nested fields
+// such as "metadata.tags" permit only that key of the object.
+export function forbiddenCaseFields(request, updates) {
+  const { principal } = getRequestContext(request);
+  const permitted = new Set(
+    rolesOf(principal).flatMap((role) => CASE_UPDATE_FIELDS[role] || []),
+  );
+
+  return Object.entries(updates).flatMap(([field, value]) => {
+    if (permitted.has(field)) return [];
+
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return Object.keys(value)
+        .map((key) => `${field}.${key}`)
+        .filter((path) => !permitted.has(path));
+    }
+
+    return [field];
+  });
+}
+
+function isAssigned(principal, legalCase) {
+  return (
+    legalCase.ownerId === principal.id ||
+    (legalCase.assignedTo || []).includes(principal.id)
+  );
+}
+
+function isCustodian(principal, asset) {
+  return (
+    hasRole(principal, "custodian") &&
+    asset.custody?.inCustody &&
+    asset.custody.custodian === principal.id
+  );
+}
+
+function ownsAccount(principal, accountId) {
+  return Boolean(accountId) && (principal.accounts || []).includes(accountId);
+}
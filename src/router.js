@@ -0,0 +1,257 @@
+/**
+ * Declarative Router for ChittyOS Workers
+ * Route tables with typed path params, method matching and 405/HEAD/OPTIONS handling
+ */
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Path param types, used as `:name<type>` in a pattern. A converter returns
+// undefined when the segment does not fit the type, so the route is skipped.
+const PARAM_TYPES = {
+  string: (value) => value,
+  int: (value) => (/^-?\d+$/.test(value) ? parseInt(value, 10) : undefined),
+  number: (value) =>
+    value !== "" && Number.isFinite(Number(value)) ? Number(value) : undefined,
+  uuid: (value) => (UUID_PATTERN.test(value) ? value : undefined),
+};
+
+// Segment ranks used to pick the most specific pattern for a path. A
+// wildcard ranks below a pattern that simply ends, so "/session" beats
+// "/session/*" for the path "/session".
+const SEGMENT_RANK = {
+  static: 3,
+  typed: 2,
+  param: 1,
+  end: 0,
+  wildcard: -1,
+};
+
+export class Router {
+  constructor({ base = "" } = {}) {
+    this.base = base;
+    this.routes = [];
+  }
+
+  get(pattern, handler) {
+    return this.on("GET", pattern, handler);
+  }
+
+  post(pattern, handler) {
+    return this.on("POST", pattern, handler);
+  }
+
+  put(pattern, handler) {
+    return this.on("PUT", pattern, handler);
+  }
+
+  patch(pattern, handler) {
+    return this.on("PATCH", pattern, handler);
+  }
+
+  delete(pattern, handler) {
+    return this.on("DELETE", pattern, handler);
+  }
+
+  all(pattern, handler) {
+    return this.on("ALL", pattern, handler);
+  }
+
+  // Register a handler; it is called as handler(request, ...args) with the
+  // matched path params available on request.params
+  on(method, pattern, handler) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      pattern,
+      segments: compilePattern(`${this.base}${pattern}`),
+      handler,
+    });
+    return this;
+  }
+
+  // Registered patterns (without the base), for "available" listings
+  paths() {
+    return [...new Set(this.routes.map((route) => route.pattern))];
+  }
+
+  async handle(request, ...args) {
+    const { pathname } = new URL(request.url);
+    return await this.handlePath(request, pathname, ...args);
+  }
+
+  // Dispatch using an explicit path instead of the request URL. Returns null
+  // when no pattern matches so callers can fall through to their own 404.
+  async handlePath(request, path, ...args) {
+    const match = this.match(path);
+    if (!match) {
+      return null;
+    }
+
+    const method = request.method.toUpperCase();
+    const allowed = allowedMethods(match.routes);
+    let route = match.routes.find(
+      (candidate) => candidate.method === method || candidate.method === "ALL",
+    );
+    let headOnly = false;
+
+    if (!route && method === "HEAD") {
+      route = match.routes.find((candidate) => candidate.method === "GET");
+      headOnly = Boolean(route);
+    }
+
+    if (!route && method === "OPTIONS") {
+      return new Response(null, {
+        status: 204,
+        headers: { Allow: allowed.join(", ") },
+      });
+    }
+
+    if (!route) {
+      return new Response(
+        JSON.stringify({
+          error: "Method not allowed",
+          method,
+          allowed,
+        }),
+        {
+          status: 405,
+          headers: {
+            Allow: allowed.join(", "),
+            "content-type": "application/json",
+          },
+        },
+      );
+    }
+
+    request.params = match.params;
+    const response = await route.handler(request, ...args);
+
+    if (headOnly && response) {
+      return new Response(null, response);
+    }
+
+    return response;
+  }
+
+  // Find the most specific pattern matching the path, with every route
+  // registered on that pattern
+  match(path) {
+    const pathSegments = path.split("/").filter(Boolean);
+    let best = null;
+
+    for (const route of this.routes) {
+      const params = matchSegments(route.segments, pathSegments);
+      if (!params) continue;
+
+      if (!best || compareSpecificity(route.segments, best.segments) > 0) {
+        best = { segments: route.segments, params, routes: [route] };
+      } else if (route.pattern === best.routes[0].pattern) {
+        best.routes.push(route);
+      }
+    }
+
+    return best;
+  }
+}
+
+// First label of a service hostname ("chain.chitty.cc" -> "chain"), or null
+// for apex and two-label hosts. Avoids substring matches like "blockchain".
+export function subdomainOf(hostname) {
+  const labels = hostname.split(".");
+  return labels.length > 2 ? labels[0] : null;
+}
+
+function compilePattern(pattern) {
+  const parts = pattern.split("/").filter(Boolean);
+
+  return parts.map((part, index) => {
+    if (part.startsWith("*")) {
+      if (index !== parts.length - 1) {
+        throw new Error(`Wildcard must be the last segment: ${pattern}`);
+      }
+      return { kind: "wildcard", name: part.slice(1) || "path" };
+    }
+
+    if (part.startsWith(":")) {
+      const typed = part.match(/^:(\w+)<(\w+)>$/);
+      if (typed) {
+        const convert = PARAM_TYPES[typed[2]];
+        if (!convert) {
+          throw new Error(`Unknown param type "${typed[2]}" in ${pattern}`);
+        }
+        return { kind: "typed", name: typed[1], convert };
+      }
+      return {
+        kind: "param",
+        name: part.slice(1),
+        convert: PARAM_TYPES.string,
+      };
+    }
+
+    return { kind: "static", value: part };
+  });
+}
+
+function matchSegments(segments, pathSegments) {
+  const params = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+
+    if (segment.kind === "wildcard") {
+      params[segment.name] = pathSegments.slice(i).join("/");
+      return params;
+    }
+
+    const value = pathSegments[i];
+    if (value === undefined) return null;
+
+    if (segment.kind === "static") {
+      if (segment.value !== value) return null;
+      continue;
+    }
+
+    let decoded;
+    try {
+      decoded = decodeURIComponent(value);
+    } catch {
+      return null;
+    }
+
+    const converted = segment.convert(decoded);
+    if (converted === undefined) return null;
+    params[segment.name] = converted;
+  }
+
+  return segments.length === pathSegments.length ? params : null;
+}
+
+function compareSpecificity(a, b) {
+  const length = Math.max(a.length, b.length);
+
+  for (let i = 0; i < length; i++) {
+    const rankA = SEGMENT_RANK[a[i] ? a[i].kind : "end"];
+    const rankB = SEGMENT_RANK[b[i] ? b[i].kind : "end"];
+    if (rankA !== rankB) return rankA - rankB;
+  }
+
+  return 0;
+}
+
+function allowedMethods(routes) {
+  const methods = new Set();
+
+  for (const { method } of routes) {
+    if (method === "ALL") {
+      ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"].forEach((m) =>
+        methods.add(m),
+      );
+    } else {
+      methods.add(method);
+      if (method === "GET") methods.add("HEAD");
+    }
+  }
+
+  methods.add("OPTIONS");
+  return [...methods];
+}
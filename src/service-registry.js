@@ -0,0 +1,226 @@
+/**
+ * ChittyOS Service Registry
+ * Downstream services the gateway worker routes to, registered in
+ * CHITTYROUTER_KV through /admin/services so a new service needs no gateway
+ * redeploy
+ */
+
+// KV keys are registry:service:<name>, one per registered service
+export const SERVICE_REGISTRY_PREFIX = "registry:service:";
+
+// Fields a registration may set
+const SERVICE_FIELDS = [
+  "name",
+  "prefix",
+  "hostnames",
+  "binding",
+  "upstream",
+  "version",
+  "healthUrl",
+  "owner",
+  "timeoutMs",
+  "retries",
+];
+
+// How long an isolate reuses the registry it read from KV, in milliseconds
+const REGISTRY_CACHE_TTL = 30 * 1000;
+
+// Path prefixes the gateway serves itself
+const RESERVED_PREFIXES = ["/health", "/services", "/traffic"];
+
+const SERVICE_NAME = /^[a-z][a-z0-9-]{0,62}$/;
+const BINDING_NAME = /^[A-Z][A-Z0-9_]*$/;
+
+// Services the gateway routes to with an empty registry. A registered
+// service with the same name replaces the built-in one.
+//
+// A service is reached on its `prefix` (longest match wins; "/" matches only
+// the root path), on any of its `hostnames`, or on the subdomain named after
+// it, through the service binding `binding` or by proxying to `upstream`.
+// `timeoutMs` and `retries` override the gateway's call policy.
+export const DEFAULT_SERVICES = [
+  { name: "landing", prefix: "/", binding: "LANDING", timeoutMs: 5000 },
+  { name: "platform", prefix: "/platform", binding: "PLATFORM" },
+  { name: "bridge", prefix: "/bridge", binding: "BRIDGE" },
+  { name: "consultant", prefix: "/consultant", binding: "CONSULTANT" },
+  // Writes wait for chain confirmation
+  {
+    name: "chain",
+    prefix: "/chain",
+    binding: "CHAIN",
+    timeoutMs: 30000,
+    retries: 1,
+  },
+  { name: "cto", prefix: "/cto", binding: "CTO" },
+].map((service) => ({ hostnames: [], owner: "chittyos", ...service }));
+
+let cachedRegistry = null;
+let cachedAt = 0;
+
+// Effective registry: built-in services with registered ones merged by name,
+// as { services, registered }
+export async function loadServiceRegistry(env, { fresh = false } = {}) {
+  if (!fresh && cachedRegistry && Date.now() - cachedAt < REGISTRY_CACHE_TTL) {
+    return cachedRegistry;
+  }
+
+  const registered = await registeredServices(env);
+  const byName = new Map(
+    [...DEFAULT_SERVICES, ...registered].map((service) => [
+      service.name,
+      service,
+    ]),
+  );
+
+  cachedRegistry = { services: [...byName.values()], registered };
+  cachedAt = Date.now();
+  return cachedRegistry;
+}
+
+async function registeredServices(env) {
+  const kv = env.CHITTYROUTER_KV;
+  if (!kv) return [];
+
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: SERVICE_REGISTRY_PREFIX, cursor });
+    keys.push(...page.keys.map((key) => key.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const services = await Promise.all(keys.map((key) => kv.get(key, "json")));
+  return services.filter(Boolean);
+}
+
+export async function saveService(env, service) {
+  const existing = await env.CHITTYROUTER_KV.get(
+    `${SERVICE_REGISTRY_PREFIX}${service.name}`,
+    "json",
+  );
+  const now = new Date().toISOString();
+  const entry = {
+    ...Object.fromEntries(
+      SERVICE_FIELDS.filter((field) => service[field] !== undefined).map(
+        (field) => [field, service[field]],
+      ),
+    ),
+    hostnames: service.hostnames || [],
+    registeredAt: existing?.registeredAt || now,
+    updatedAt: now,
+  };
+
+  await env.CHITTYROUTER_KV.put(
+    `${SERVICE_REGISTRY_PREFIX}${service.name}`,
+    JSON.stringify(entry),
+  );
+  await loadServiceRegistry(env, { fresh: true });
+  return entry;
+}
+
+export async function deleteService(env, name) {
+  await env.CHITTYROUTER_KV.delete(`${SERVICE_REGISTRY_PREFIX}${name}`);
+  await loadServiceRegistry(env, { fresh: true });
+}
+
+// The service a hostname is routed to: one listing it in `hostnames`, or
+// else the one its subdomain is named after
+export function serviceForHost(services, hostname, subdomain) {
+  return (
+    services.find((service) => service.hostnames.includes(hostname)) ||
+    services.find((service) => service.name === subdomain) ||
+    null
+  );
+}
+
+// The service with the longest prefix matching a path
+export function serviceForPath(services, pathname) {
+  let match = null;
+  for (const service of services) {
+    const matches =
+      service.prefix === "/"
+        ? pathname === "/"
+        : pathname === service.prefix ||
+          pathname.startsWith(`${service.prefix}/`);
+    if (matches && (!match || service.prefix.length > match.prefix.length)) {
+      match = service;
+    }
+  }
+  return match;
+}
+
+// Problems with a registration, empty when it is valid
+export function validateService(service) {
+  if (!service || typeof service !== "object") {
+    return ["Body must be a service object"];
+  }
+
+  const errors = [];
+  const isUrl = (value) => {
+    try {
+      return ["https:", "http:"].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  };
+
+  if (!SERVICE_NAME.test(service.name || "")) {
+    errors.push("name must be lowercase letters, digits and dashes");
+  }
+  if (
+    typeof service.prefix !== "string" ||
+    !/^\/[\w\-/]*$/.test(service.prefix) ||
+    (service.prefix.length > 1 && service.prefix.endsWith("/"))
+  ) {
+    errors.push('prefix must be a path such as "/billing"');
+  } else if (
+    RESERVED_PREFIXES.some(
+      (reserved) =>
+        service.prefix === reserved ||
+        service.prefix.startsWith(`${reserved}/`),
+    )
+  ) {
+    errors.push(`prefix must not be one of ${RESERVED_PREFIXES.join(", ")}`);
+  }
+  if (Boolean(service.binding) === Boolean(service.upstream)) {
+    errors.push("Exactly one of binding and upstream is required");
+  } else if (service.binding && !BINDING_NAME.test(service.binding)) {
+    errors.push("binding must be a binding name such as BILLING");
+  } else if (
+    service.upstream &&
+    !(isUrl(service.upstream) && service.upstream.startsWith("https://"))
+  ) {
+    errors.push("upstream must be an https:// URL");
+  }
+  if (
+    service.hostnames !== undefined &&
+    (!Array.isArray(service.hostnames) ||
+      service.hostnames.some((hostname) => typeof hostname !== "string"))
+  ) {
+    errors.push("hostnames must be an array of hostnames");
+  }
+  if (typeof service.version !== "string" || !service.version) {
+    errors.push("version is required");
+  }
+  if (typeof service.owner !== "string" || !service.owner) {
+    errors.push("owner is required");
+  }
+  if (
+    service.healthUrl !== undefined &&
+    !service.healthUrl.startsWith?.("/") &&
+    !isUrl(service.healthUrl)
+  ) {
+    errors.push("healthUrl must be a path or URL");
+  }
+  if (service.timeoutMs !== undefined && !(service.timeoutMs > 0)) {
+    errors.push("timeoutMs must be a positive number");
+  }
+  if (
+    service.retries !== undefined &&
+    !(Number.isInteger(service.retries) && service.retries >= 0)
+  ) {
+    errors.push("retries must be a non-negative integer");
+  }
+
+  return errors;
+}
@@ -1,4 +1,23 @@
 // Comprehensive Cloudflare Services Integration Module for ChittyOS
+import { Router } from "./router.js";
+import { getRequestContext, HttpError, readJson } from "./middleware.js";
+import { hasScope } from "./auth.js";
+import { authorizeCase, withoutUnreadableCases } from "./services/legal.js";
+import {
+  brokerContext,
+  brokerRun,
+  brokerStream,
+  brokerUsage,
+  measureUsage,
+  tenantPolicy,
+} from "./ai-broker.js";
+import { chatEvents, sseResponse } from "./streaming.js";
+import {
+  listModels,
+  loadModelRegistry,
+  modelCandidates,
+  resolveModel,
+} from "./model-registry.js";
 
 // Version Management - Handle deployments and rollbacks
 export class VersionManager {
@@ -8,8 +27,8 @@ export class VersionManager {
 
   async getVersion() {
     return {
-      version: env.VERSION || "v1.0.0",
-      deployment: env.CF_VERSION_METADATA || {},
+      version: this.env.VERSION || "v1.0.0",
+      deployment: this.env.CF_VERSION_METADATA || {},
       timestamp: new Date().toISOString(),
     };
   }
@@ -21,50 +40,200 @@ export class VectorStore {
     this.vectorize = env.VECTORIZE;
   }
 
-  async search(query, namespace = "default") {
+  async search(query, namespace = "default", { topK = 10, filter } = {}) {
     if (!this.vectorize) return [];
 
-    return await this.vectorize.query({
-      vector: query,
+    return await this.vectorize.query(query, {
       namespace,
-      topK: 10,
+      topK,
+      filter,
+      returnMetadata: "all",
     });
   }
 
   async insert(vectors, namespace = "default") {
     if (!this.vectorize) return;
 
-    return await this.vectorize.insert({
-      vectors,
-      namespace,
-    });
+    return await this.vectorize.insert(
+      vectors.map((vector) => ({ namespace, ...vector })),
+    );
+  }
+
+  // Insert or replace vectors by ID
+  async upsert(vectors, namespace = "default") {
+    if (!this.vectorize) return;
+
+    return await this.vectorize.upsert(
+      vectors.map((vector) => ({ namespace, ...vector })),
+    );
+  }
+
+  async getByIds(ids) {
+    if (!this.vectorize || ids.length === 0) return [];
+
+    return await this.vectorize.getByIds(ids);
+  }
+
+  async deleteByIds(ids) {
+    if (!this.vectorize || ids.length === 0) return;
+
+    return await this.vectorize.deleteByIds(ids);
   }
 }
 
-// Workers AI - AI model inference
+// Vectorize caps topK at 20 when metadata is returned
+const MAX_SEARCH_TOP_K = 20;
+
+// Most IDs accepted by one vector get, upsert or delete request
+const MAX_VECTOR_BATCH = 100;
+
+// Length of the text excerpt returned with each search result
+const SNIPPET_LENGTH = 240;
+
+// Workers AI - AI model inference. Models are named by registry ID or alias
+// and fall back along the registry's fallback list when they error. Calls go
+// through the tenant's AIGatewayState broker when it is bound, so quotas,
+// caching and usage accounting apply; `context` says who the call is billed to.
 export class AIService {
-  constructor(env) {
+  constructor(env, context = {}) {
+    this.env = env;
     this.ai = env.AI;
+    this.context = { tenantId: "default", ...context };
+  }
+
+  async run(model, input) {
+    if (this.env.AI_GATEWAY_STATE) {
+      return await brokerRun(this.env, this.context, model, input);
+    }
+
+    const result = await this.ai.run(model, input);
+    return { result, usage: measureUsage(input, result), cached: false };
   }
 
-  async generateText(prompt, model = "@cf/meta/llama-2-7b-chat-int8") {
+  // Resolves to the model's SSE token stream ("data: {response}" events)
+  async stream(model, input) {
+    if (this.env.AI_GATEWAY_STATE) {
+      return await brokerStream(this.env, this.context, model, input);
+    }
+
+    return await this.ai.run(model, { ...input, stream: true });
+  }
+
+  async generateText(prompt, model, options = {}) {
     if (!this.ai) return "AI service not configured";
 
-    const response = await this.ai.run(model, {
-      prompt,
-      max_tokens: 256,
+    const { content } = await this.complete({ prompt }, model, options);
+    return content;
+  }
+
+  async streamText(prompt, model, options = {}) {
+    const { stream } = await this.completeStream({ prompt }, model, options);
+    return stream;
+  }
+
+  // Chat over a message list; resolves to
+  // { content, usage, cached, model, finishReason }
+  async chat(messages, { model, ...options } = {}) {
+    return await this.complete({ messages }, model, options);
+  }
+
+  // Resolves to { stream, model, maxTokens }
+  async streamChat(messages, { model, ...options } = {}) {
+    return await this.completeStream({ messages }, model, options);
+  }
+
+  // Text generation from a prompt or message list, filling temperature and
+  // max_tokens from the model's registry defaults
+  async complete(input, name, { temperature, maxTokens } = {}) {
+    if (!this.ai) throw new HttpError(503, "AI service not configured");
+
+    const candidates = await this.candidates(name, "chat");
+
+    return await this.withFallbacks(candidates, async (model) => {
+      const limit = maxTokens ?? model.maxTokens;
+      const { result, usage, cached } = await this.run(model.id, {
+        ...input,
+        temperature: temperature ?? model.temperature,
+        max_tokens: limit,
+      });
+
+      return {
+        content: result.response ?? "",
+        usage,
+        cached,
+        model: model.id,
+        finishReason: usage.outputTokens >= limit ? "length" : "stop",
+      };
     });
+  }
+
+  async completeStream(input, name, { temperature, maxTokens } = {}) {
+    if (!this.ai) throw new HttpError(503, "AI service not configured");
+
+    const candidates = await this.candidates(name, "chat");
+
+    return await this.withFallbacks(candidates, async (model) => {
+      const limit = maxTokens ?? model.maxTokens;
+      const stream = await this.stream(model.id, {
+        ...input,
+        temperature: temperature ?? model.temperature,
+        max_tokens: limit,
+      });
+
+      return { stream, model: model.id, maxTokens: limit };
+    });
+  }
 
-    return response.response;
+  // Embed several texts in one model call; resolves to one vector per text
+  async embedBatch(texts, name) {
+    if (!this.ai) throw new HttpError(503, "AI service not configured");
+
+    const candidates = await this.candidates(name, "embedding");
+    return await this.withFallbacks(candidates, async (model) => {
+      const { result } = await this.run(model.id, { text: texts });
+      return result.data;
+    });
   }
 
-  async generateEmbeddings(text) {
+  async generateEmbeddings(text, name) {
     if (!this.ai) return [];
 
-    return await this.ai.run("@cf/baai/bge-base-en-v1.5", {
-      text: [text],
+    const candidates = await this.candidates(name, "embedding");
+    return await this.withFallbacks(candidates, async (model) => {
+      const { result } = await this.run(model.id, { text: [text] });
+      return result;
     });
   }
+
+  // The resolved model followed by its fallbacks
+  async candidates(name, capability) {
+    const registry = await loadModelRegistry(this.env);
+    const model = resolveModel(registry, name, capability);
+    return modelCandidates(registry, model, capability);
+  }
+
+  // Call each candidate in turn until one succeeds. Policy refusals from the
+  // broker (4xx) are final for the requested model; fallbacks the tenant may
+  // not use are skipped. The first failure is rethrown if none succeed.
+  async withFallbacks(candidates, call) {
+    let firstError;
+
+    for (const [index, model] of candidates.entries()) {
+      try {
+        return await call(model);
+      } catch (error) {
+        const refused = error instanceof HttpError && error.status < 500;
+        if (refused && !(index > 0 && error.status === 403)) {
+          throw error;
+        }
+
+        console.warn(`Model ${model.id} failed:`, error.message);
+        firstError ??= error;
+      }
+    }
+
+    throw firstError;
+  }
 }
 
 // Workers for Platforms - Multi-tenant worker management
@@ -149,98 +318,363 @@ export class DataPipeline {
   }
 }
 
-// Integrated service handler
-export async function handleServices(request, env) {
-  const url = new URL(request.url);
-  const pathname = url.pathname;
-
+// Integrated service routes
+const serviceRoutes = new Router({ base: "/api" })
   // Version endpoint
-  if (pathname === "/api/version") {
+  .get("/version", async (request, env) => {
     const versionManager = new VersionManager(env);
     const version = await versionManager.getVersion();
     return new Response(JSON.stringify(version), {
       headers: { "content-type": "application/json" },
     });
-  }
-
-  // AI endpoint
-  if (pathname.startsWith("/api/ai/")) {
-    const aiService = new AIService(env);
-
-    if (pathname === "/api/ai/chat") {
-      const { prompt } = await request.json();
-      const response = await aiService.generateText(prompt);
-      return new Response(JSON.stringify({ response }), {
-        headers: { "content-type": "application/json" },
-      });
+  })
+  // AI endpoints
+  .post("/ai/chat", async (request, env) => {
+    const { prompt, model, caseId, stream, max_tokens } =
+      await readJson(request);
+    const aiService = new AIService(env, brokerContext(request, caseId));
+    const options = { maxTokens: max_tokens };
+
+    // Token-by-token delivery as SSE: { response } events, then
+    // { done, usage }, then [DONE]
+    if (stream) {
+      const source = await aiService.streamText(prompt, model, options);
+      return sseResponse(chatEvents(source, { prompt }));
     }
 
-    if (pathname === "/api/ai/embed") {
-      const { text } = await request.json();
-      const embeddings = await aiService.generateEmbeddings(text);
-      return new Response(JSON.stringify({ embeddings }), {
+    const response = await aiService.generateText(prompt, model, options);
+    return new Response(JSON.stringify({ response }), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  .post("/ai/embed", async (request, env) => {
+    const { text, model, caseId } = await readJson(request);
+    const aiService = new AIService(env, brokerContext(request, caseId));
+    const embeddings = await aiService.generateEmbeddings(text, model);
+    return new Response(JSON.stringify({ embeddings }), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  // Registry models and aliases the caller's tenant may use
+  .get("/ai/models", async (request, env) => {
+    const registry = await loadModelRegistry(env);
+    const { allowedModels } = await tenantPolicy(
+      env,
+      brokerContext(request).tenantId,
+    );
+
+    return new Response(
+      JSON.stringify({
+        models: listModels(registry, allowedModels),
+        defaults: registry.defaults,
+      }),
+      {
         headers: { "content-type": "application/json" },
-      });
+      },
+    );
+  })
+  // AI spend per tenant, model and case. Admins may report on any tenant.
+  .get("/ai/usage", async (request, env) => {
+    if (!env.AI_GATEWAY_STATE) {
+      throw new HttpError(503, "AI usage accounting is not configured");
     }
-  }
 
-  // Vector search endpoint
-  if (pathname === "/api/search") {
-    const vectorStore = new VectorStore(env);
-    const { query, namespace } = await request.json();
-    const results = await vectorStore.search(query, namespace);
-    return new Response(JSON.stringify({ results }), {
+    const params = new URL(request.url).searchParams;
+    const { principal } = getRequestContext(request);
+    const tenantId =
+      (hasScope(principal, "admin") && params.get("tenantId")) ||
+      brokerContext(request).tenantId;
+
+    const report = await brokerUsage(env, tenantId, {
+      from: params.get("from"),
+      to: params.get("to"),
+      caseId: params.get("caseId"),
+    });
+    return new Response(JSON.stringify(report), {
       headers: { "content-type": "application/json" },
     });
-  }
+  })
+  // Vector search by text (embedded with the default or given embedding
+  // model) or by vector. Non-admin callers only see their tenant's vectors.
+  .post("/search", async (request, env) => {
+    requireVectorize(env);
+
+    const {
+      query,
+      vector,
+      namespace = "default",
+      topK = 10,
+      filter = {},
+      minScore,
+      model,
+      caseId,
+    } = await readJson(request);
+
+    if (!Number.isInteger(topK) || topK < 1 || topK > MAX_SEARCH_TOP_K) {
+      throw new HttpError(
+        400,
+        `topK must be an integer between 1 and ${MAX_SEARCH_TOP_K}`,
+      );
+    }
+    if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+      throw new HttpError(400, "filter must be an object");
+    }
+    if (minScore !== undefined && typeof minScore !== "number") {
+      throw new HttpError(400, "minScore must be a number");
+    }
 
-  // Workflow endpoint
-  if (pathname.startsWith("/api/workflow/")) {
-    const workflowEngine = new WorkflowEngine(env);
+    const caseFilter = caseId || filter.caseId;
+    if (typeof caseFilter === "string") {
+      const denied = await authorizeCase(request, env, caseFilter, "case:read");
+      if (denied) return denied;
+    }
 
-    if (pathname === "/api/workflow/start") {
-      const { workflowId, params } = await request.json();
-      const result = await workflowEngine.startWorkflow(workflowId, params);
-      return new Response(JSON.stringify(result), {
-        headers: { "content-type": "application/json" },
-      });
+    let values = vector;
+    if (typeof query === "string" && query.trim()) {
+      const aiService = new AIService(env, brokerContext(request, caseId));
+      values = (await aiService.generateEmbeddings(query, model)).data?.[0];
+    }
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new HttpError(400, "Provide a text query or a vector");
     }
 
-    if (pathname.includes("/status/")) {
-      const instanceId = pathname.split("/").pop();
-      const status = await workflowEngine.getWorkflowStatus(instanceId);
-      return new Response(JSON.stringify(status), {
+    const { matches = [] } = await new VectorStore(env).search(
+      values,
+      namespace,
+      {
+        topK,
+        filter: {
+          ...filter,
+          ...(caseId && { caseId }),
+          ...tenantFilter(request),
+        },
+      },
+    );
+
+    // Vectors of cases the caller cannot read are left out
+    const readable = await withoutUnreadableCases(
+      request,
+      env,
+      matches,
+      (match) => match.metadata?.caseId,
+    );
+    const results = readable
+      .filter((match) => minScore === undefined || match.score >= minScore)
+      .map(toSearchResult);
+
+    return new Response(
+      JSON.stringify({ results, count: results.length, namespace, topK }),
+      {
         headers: { "content-type": "application/json" },
+      },
+    );
+  })
+  // Vector maintenance. GET ?ids=a,b fetches vectors, POST { vectors,
+  // namespace } upserts them stamped with the caller's tenant, DELETE { ids }
+  // removes them. Vectors of other tenants are reported as not found.
+  .get("/vectors", async (request, env) => {
+    requireVectorize(env);
+
+    const ids = vectorIds(
+      new URL(request.url).searchParams.get("ids")?.split(","),
+    );
+    const vectors = await ownedVectors(request, env, ids);
+
+    return new Response(
+      JSON.stringify({
+        vectors,
+        notFound: ids.filter((id) => !vectors.some((v) => v.id === id)),
+      }),
+      {
+        headers: { "content-type": "application/json" },
+      },
+    );
+  })
+  .post("/vectors", async (request, env) => {
+    requireVectorize(env);
+
+    const { vectors, namespace } = await readJson(request);
+    if (
+      !Array.isArray(vectors) ||
+      vectors.length === 0 ||
+      vectors.length > MAX_VECTOR_BATCH
+    ) {
+      throw new HttpError(
+        400,
+        `vectors must be a list of 1 to ${MAX_VECTOR_BATCH} vectors`,
+      );
+    }
+
+    const invalid = vectors.findIndex(
+      (vector) =>
+        typeof vector?.id !== "string" ||
+        !vector.id ||
+        !Array.isArray(vector.values) ||
+        vector.values.some((value) => typeof value !== "number"),
+    );
+    if (invalid !== -1) {
+      throw new HttpError(
+        400,
+        "Each vector needs a string id and numeric values",
+        {
+          index: invalid,
+        },
+      );
+    }
+
+    // An upsert may not take over another tenant's vector
+    const taken = await foreignVectorIds(
+      request,
+      env,
+      vectors.map((vector) => vector.id),
+    );
+    if (taken.length > 0) {
+      throw new HttpError(403, "Vector IDs belong to another tenant", {
+        ids: taken,
       });
     }
-  }
 
+    const { tenantId } = brokerContext(request);
+    await new VectorStore(env).upsert(
+      vectors.map(({ id, values, metadata }) => ({
+        id,
+        values,
+        metadata: { tenantId, ...metadata, ...tenantFilter(request) },
+      })),
+      namespace,
+    );
+
+    return new Response(
+      JSON.stringify({ success: true, upserted: vectors.length }),
+      {
+        headers: { "content-type": "application/json" },
+      },
+    );
+  })
+  .delete("/vectors", async (request, env) => {
+    requireVectorize(env);
+
+    const ids = vectorIds((await readJson(request)).ids);
+    const owned = (await ownedVectors(request, env, ids)).map((v) => v.id);
+    await new VectorStore(env).deleteByIds(owned);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        deleted: owned,
+        notFound: ids.filter((id) => !owned.includes(id)),
+      }),
+      {
+        headers: { "content-type": "application/json" },
+      },
+    );
+  })
+  // Workflow endpoints
+  .post("/workflow/start", async (request, env) => {
+    const workflowEngine = new WorkflowEngine(env);
+    const { workflowId, params } = await readJson(request);
+    const result = await workflowEngine.startWorkflow(workflowId, params);
+    return new Response(JSON.stringify(result), {
+      headers: { "content-type": "application/json" },
+    });
+  })
+  .get("/workflow/status/:instanceId", async (request, env) => {
+    const workflowEngine = new WorkflowEngine(env);
+    const status = await workflowEngine.getWorkflowStatus(
+      request.params.instanceId,
+    );
+    return new Response(JSON.stringify(status), {
+      headers: { "content-type": "application/json" },
+    });
+  })
   // Platform routing for multi-tenant
-  if (pathname.startsWith("/api/tenant/")) {
+  .all("/tenant/:tenantId/*", async (request, env) => {
     const platformManager = new PlatformManager(env);
-    const tenantId = pathname.split("/")[3];
-    return await platformManager.routeToTenant(request, tenantId);
-  }
-
+    return await platformManager.routeToTenant(
+      request,
+      request.params.tenantId,
+    );
+  })
   // Events endpoint for pipeline
-  if (pathname === "/api/events") {
+  .post("/events", async (request, env) => {
     const pipeline = new DataPipeline(env);
-    const eventData = await request.json();
+    const eventData = await readJson(request);
     await pipeline.sendEvent(eventData);
     return new Response(JSON.stringify({ status: "event sent" }), {
       headers: { "content-type": "application/json" },
     });
+  });
+
+function requireVectorize(env) {
+  if (!env.VECTORIZE) {
+    throw new HttpError(503, "Vectorize is not configured");
   }
+}
 
-  return new Response("Service endpoint not found", { status: 404 });
+// Admins may search any tenant (or filter on tenantId themselves); everyone
+// else is restricted to their own
+function tenantFilter(request) {
+  const { principal } = getRequestContext(request);
+  if (hasScope(principal, "admin")) return {};
+
+  return { tenantId: brokerContext(request).tenantId };
 }
 
-// Export all services for use in main worker
-export {
-  VersionManager,
-  VectorStore,
-  AIService,
-  PlatformManager,
-  WorkflowEngine,
-  DataPipeline,
-};
+function toSearchResult({ id, score, metadata = {} }) {
+  const { text, content, ...rest } = metadata;
+  const body = text || content || "";
+
+  return {
+    id,
+    score,
+    metadata: rest,
+    snippet:
+      body.length > SNIPPET_LENGTH
+        ? `${body.slice(0, SNIPPET_LENGTH)}…`
+        : body || null,
+  };
+}
+
+function vectorIds(ids) {
+  const list = Array.isArray(ids)
+    ? [...new Set(ids.filter((id) => typeof id === "string" && id))]
+    : [];
+
+  if (list.length === 0 || list.length > MAX_VECTOR_BATCH) {
+    throw new HttpError(
+      400,
+      `ids must list 1 to ${MAX_VECTOR_BATCH} vector IDs`,
+    );
+  }
+  return list;
+}
+
+// The requested vectors that exist and belong to the caller's tenant
+async function ownedVectors(request, env, ids) {
+  const vectors = await new VectorStore(env).getByIds(ids);
+  const { tenantId } = tenantFilter(request);
+
+  return tenantId
+    ? vectors.filter((vector) => vector.metadata?.tenantId === tenantId)
+    : vectors;
+}
+
+async function foreignVectorIds(request, env, ids) {
+  const { tenantId } = tenantFilter(request);
+  if (!tenantId) return [];
+
+  const vectors = await new VectorStore(env).getByIds(ids);
+  return vectors
+    .filter((vector) => vector.metadata?.tenantId !== tenantId)
+    .map((vector) => vector.id);
+}
+
+// Integrated service handler
+export async function handleServices(request, env) {
+  const response = await serviceRoutes.handle(request, env);
+  if (response) {
+    return response;
+  }
+
+  return new Response("Service endpoint not found", { status: 404 });
+}
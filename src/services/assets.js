@@ -3,48 +3,36 @@
  * Digital and physical asset management with blockchain integration
  */
 
+import { Router } from "../router.js";
+import { authorize, queryPermitted } from "../rbac.js";
+import { repository, withStorageTransaction } from "../storage/index.js";
+
+const assetsRoutes = new Router({ base: "/assets" })
+  .post("/create", createAsset)
+  .post("/transfer", transferAsset)
+  .get("/list", listAssets)
+  .post("/nft/mint", mintNFT)
+  .post("/verify", verifyAsset)
+  .post("/custody/create", createCustody)
+  .get("/portfolio/analyze", analyzePortfolio)
+  .post("/tokenize", tokenizeAsset);
+
 export async function assetsHandler(request, env, path) {
-  const endpoint = path.replace("/assets", "");
-  const url = new URL(request.url);
-
-  switch (endpoint) {
-    case "/create":
-      return await createAsset(request, env);
-    case "/transfer":
-      return await transferAsset(request, env);
-    case "/list":
-      return await listAssets(request, env);
-    case "/nft/mint":
-      return await mintNFT(request, env);
-    case "/verify":
-      return await verifyAsset(request, env);
-    case "/custody/create":
-      return await createCustody(request, env);
-    case "/portfolio/analyze":
-      return await analyzePortfolio(request, env);
-    case "/tokenize":
-      return await tokenizeAsset(request, env);
-    default:
-      return new Response(
-        JSON.stringify({
-          error: "Assets endpoint not found",
-          available: [
-            "/create",
-            "/transfer",
-            "/list",
-            "/nft/mint",
-            "/verify",
-            "/custody/create",
-            "/portfolio/analyze",
-            "/tokenize",
-          ],
-        }),
-        {
-          status: 404,
-          headers: { "Content-Type": "application/json" },
-        },
-      );
+  const response = await assetsRoutes.handlePath(request, path, env);
+  if (response) {
+    return response;
   }
+
+  return new Response(
+    JSON.stringify({
+      error: "Assets endpoint not found",
+      available: assetsRoutes.paths(),
+    }),
+    {
+      status: 404,
+      headers: { "Content-Type": "application/json" },
+    },
+  );
 }
 
 async function createAsset(request, env) {
@@ -61,6 +49,9 @@ async function createAsset(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "asset:create", payload);
+    if (denied) return denied;
+
     const asset = {
       assetId,
       name: payload.name,
@@ -97,27 +88,7 @@ async function createAsset(request, env) {
       ],
     };
 
-    // Store in KV
-    await env.KV_NAMESPACE.put(`asset:${assetId}`, JSON.stringify(asset));
-
-    // Store in D1 if available
-    if (env.D1_DATABASE) {
-      await env.D1_DATABASE.prepare(
-        `INSERT INTO assets (asset_id, name, type, owner, status, created_at, value, metadata)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      )
-        .bind(
-          assetId,
-          payload.name,
-          payload.type,
-          payload.owner,
-          "ACTIVE",
-          new Date().toISOString(),
-          JSON.stringify(asset.value),
-          JSON.stringify(asset.metadata),
-        )
-        .run();
-    }
+    await repository(env, "assets").put(asset);
 
     // Generate ChittyID
     const chittyId = await generateChittyID("ASSET", assetId, env);
@@ -154,9 +125,10 @@ async function transferAsset(request, env) {
       );
     }
 
-    // Retrieve asset
-    const assetData = await env.KV_NAMESPACE.get(`asset:${assetId}`);
-    if (!assetData) {
+    // Authorization writes to the audit trail, so it runs once, before the
+    // transaction (which may be retried) and outside its rollback
+    const current = await repository(env, "assets").get(assetId);
+    if (!current) {
       return Response.json(
         {
           error: "Asset not found",
@@ -165,10 +137,18 @@ async function transferAsset(request, env) {
       );
     }
 
-    const asset = JSON.parse(assetData);
+    // The caller must own or hold custody of the asset, whatever `from` says
+    const denied = await authorize(
+      request,
+      env,
+      "asset:transfer",
+      current,
+      assetId,
+    );
+    if (denied) return denied;
 
     // Verify ownership
-    if (asset.owner !== from) {
+    if (current.owner !== from) {
       return Response.json(
         {
           error: "Unauthorized: Sender does not own the asset",
@@ -177,42 +157,62 @@ async function transferAsset(request, env) {
       );
     }
 
-    // Create transfer record
-    const transferId = `TRANSFER-${Date.now()}`;
-    const transfer = {
-      transferId,
-      assetId,
-      from,
-      to,
-      type: transferType || "DIRECT",
-      timestamp: new Date().toISOString(),
-      status: "PENDING",
-      metadata: {
-        previousOwner: from,
-        newOwner: to,
-        reason: payload.reason,
-        value: payload.value || asset.value.amount,
-      },
-    };
+    // The ownership re-check and both writes share a transaction on Postgres,
+    // so concurrent transfers of one asset cannot both succeed
+    const transfer = await withStorageTransaction(
+      env,
+      ["assets", "transfers"],
+      async ({ assets, transfers }) => {
+        // The asset may have changed hands since it was authorized
+        const asset = await assets.get(assetId);
+        if (!asset || asset.owner !== from) {
+          return Response.json(
+            {
+              error: "Asset changed during the transfer; retry",
+            },
+            { status: 409 },
+          );
+        }
 
-    // Update asset ownership
-    asset.owner = to;
-    asset.provenance.push({
-      event: "TRANSFERRED",
-      timestamp: new Date().toISOString(),
-      actor: from,
-      details: `Transferred from ${from} to ${to}`,
-      transferId,
-    });
+        // Create transfer record
+        const transferId = `TRANSFER-${Date.now()}`;
+        const transfer = {
+          transferId,
+          assetId,
+          from,
+          to,
+          type: transferType || "DIRECT",
+          timestamp: new Date().toISOString(),
+          status: "PENDING",
+          metadata: {
+            previousOwner: from,
+            newOwner: to,
+            reason: payload.reason,
+            value: payload.value || asset.value.amount,
+          },
+        };
 
-    // Save updated asset
-    await env.KV_NAMESPACE.put(`asset:${assetId}`, JSON.stringify(asset));
+        // Update asset ownership
+        asset.owner = to;
+        asset.provenance.push({
+          event: "TRANSFERRED",
+          timestamp: new Date().toISOString(),
+          actor: from,
+          details: `Transferred from ${from} to ${to}`,
+          transferId,
+        });
 
-    // Store transfer record
-    await env.KV_NAMESPACE.put(
-      `transfer:${transferId}`,
-      JSON.stringify(transfer),
+        // Save updated asset
+        await assets.put(asset);
+
+        // Store transfer record
+        await transfers.put(transfer);
+
+        return transfer;
+      },
     );
+    if (transfer instanceof Response) return transfer;
+    const { transferId } = transfer;
 
     // Queue for blockchain recording
     if (env.QUEUE) {
@@ -236,7 +236,8 @@ async function transferAsset(request, env) {
         error: "Failed to transfer asset",
         details: error.message,
       },
-      { status: 500 },
+      // 409 when a concurrent transfer of the asset won
+      { status: error.status || 500 },
     );
   }
 }
@@ -246,27 +247,21 @@ async function listAssets(request, env) {
     const url = new URL(request.url);
     const owner = url.searchParams.get("owner");
     const type = url.searchParams.get("type");
-    const limit = parseInt(url.searchParams.get("limit") || "50");
+    const limit = Math.max(parseInt(url.searchParams.get("limit")) || 50, 1);
     const cursor = url.searchParams.get("cursor");
 
-    // List assets from KV
-    const list = await env.KV_NAMESPACE.list({
-      prefix: "asset:",
-      limit,
-      cursor,
-    });
-
-    const assets = [];
-    for (const key of list.keys) {
-      const assetData = await env.KV_NAMESPACE.get(key.name);
-      const asset = JSON.parse(assetData);
-
-      // Apply filters
-      if (owner && asset.owner !== owner) continue;
-      if (type && asset.type !== type) continue;
-
-      assets.push(asset);
-    }
+    // Only assets the caller owns or holds in custody
+    const page = await queryPermitted(
+      request,
+      "asset:read",
+      repository(env, "assets"),
+      {
+        ...(owner && { owner }),
+        ...(type && { type }),
+      },
+      { limit, cursor },
+    );
+    const assets = page.items;
 
     // Calculate portfolio value
     const totalValue = assets.reduce(
@@ -279,7 +274,7 @@ async function listAssets(request, env) {
       count: assets.length,
       totalValue,
       assets,
-      cursor: list.list_complete ? null : list.cursor,
+      cursor: page.cursor,
     });
   } catch (error) {
     console.error("Error listing assets:", error);
@@ -308,8 +303,8 @@ async function mintNFT(request, env) {
     }
 
     // Retrieve asset
-    const assetData = await env.KV_NAMESPACE.get(`asset:${payload.assetId}`);
-    if (!assetData) {
+    const asset = await repository(env, "assets").get(payload.assetId);
+    if (!asset) {
       return Response.json(
         {
           error: "Asset not found",
@@ -318,7 +313,14 @@ async function mintNFT(request, env) {
       );
     }
 
-    const asset = JSON.parse(assetData);
+    const denied = await authorize(
+      request,
+      env,
+      "asset:manage",
+      asset,
+      payload.assetId,
+    );
+    if (denied) return denied;
 
     // Create NFT metadata
     const nft = {
@@ -349,11 +351,8 @@ async function mintNFT(request, env) {
     };
 
     // Save NFT and updated asset
-    await env.KV_NAMESPACE.put(`nft:${nftId}`, JSON.stringify(nft));
-    await env.KV_NAMESPACE.put(
-      `asset:${payload.assetId}`,
-      JSON.stringify(asset),
-    );
+    await repository(env, "nfts").put(nft);
+    await repository(env, "assets").put(asset);
 
     // Queue for actual blockchain minting
     if (env.QUEUE) {
@@ -398,8 +397,8 @@ async function verifyAsset(request, env) {
     }
 
     // Retrieve asset
-    const assetData = await env.KV_NAMESPACE.get(`asset:${assetId}`);
-    if (!assetData) {
+    const asset = await repository(env, "assets").get(assetId);
+    if (!asset) {
       return Response.json(
         {
           error: "Asset not found",
@@ -408,7 +407,14 @@ async function verifyAsset(request, env) {
       );
     }
 
-    const asset = JSON.parse(assetData);
+    const denied = await authorize(
+      request,
+      env,
+      "asset:verify",
+      asset,
+      assetId,
+    );
+    if (denied) return denied;
 
     // Perform verification
     const verification = {
@@ -495,10 +501,11 @@ async function createCustody(request, env) {
       },
     };
 
-    // Verify all assets exist and update their custody status
+    // Verify all assets exist and the caller may place them in custody
+    const assets = [];
     for (const assetId of payload.assetIds) {
-      const assetData = await env.KV_NAMESPACE.get(`asset:${assetId}`);
-      if (!assetData) {
+      const asset = await repository(env, "assets").get(assetId);
+      if (!asset) {
         return Response.json(
           {
             error: `Asset ${assetId} not found`,
@@ -506,19 +513,31 @@ async function createCustody(request, env) {
           { status: 404 },
         );
       }
+      const denied = await authorize(
+        request,
+        env,
+        "asset:manage",
+        asset,
+        assetId,
+      );
+      if (denied) return denied;
 
-      const asset = JSON.parse(assetData);
+      assets.push(asset);
+    }
+
+    // Update their custody status
+    for (const asset of assets) {
       asset.custody = {
         inCustody: true,
         custodyId,
         custodian: payload.custodian,
       };
 
-      await env.KV_NAMESPACE.put(`asset:${assetId}`, JSON.stringify(asset));
+      await repository(env, "assets").put(asset);
     }
 
     // Store custody arrangement
-    await env.KV_NAMESPACE.put(`custody:${custodyId}`, JSON.stringify(custody));
+    await repository(env, "custody").put(custody);
 
     return Response.json({
       success: true,
@@ -551,31 +570,35 @@ async function analyzePortfolio(request, env) {
       );
     }
 
+    const denied = await authorize(
+      request,
+      env,
+      "portfolio:read",
+      { owner },
+      owner,
+    );
+    if (denied) return denied;
+
     // Get all assets for owner
-    const list = await env.KV_NAMESPACE.list({
-      prefix: "asset:",
-      limit: 1000,
-    });
+    const { items } = await repository(env, "assets").query(
+      { owner },
+      { limit: 1000 },
+    );
 
     const assets = [];
     let totalValue = 0;
     const typeDistribution = {};
     const categoryDistribution = {};
 
-    for (const key of list.keys) {
-      const assetData = await env.KV_NAMESPACE.get(key.name);
-      const asset = JSON.parse(assetData);
-
-      if (asset.owner === owner) {
-        assets.push(asset);
-        totalValue += asset.value.amount || 0;
+    for (const asset of items) {
+      assets.push(asset);
+      totalValue += asset.value.amount || 0;
 
-        // Track distribution
-        typeDistribution[asset.type] = (typeDistribution[asset.type] || 0) + 1;
-        if (asset.metadata.category) {
-          categoryDistribution[asset.metadata.category] =
-            (categoryDistribution[asset.metadata.category] || 0) + 1;
-        }
+      // Track distribution
+      typeDistribution[asset.type] = (typeDistribution[asset.type] || 0) + 1;
+      if (asset.metadata.category) {
+        categoryDistribution[asset.metadata.category] =
+          (categoryDistribution[asset.metadata.category] || 0) + 1;
       }
     }
 
@@ -635,8 +658,8 @@ async function tokenizeAsset(request, env) {
     }
 
     // Retrieve asset
-    const assetData = await env.KV_NAMESPACE.get(`asset:${assetId}`);
-    if (!assetData) {
+    const asset = await repository(env, "assets").get(assetId);
+    if (!asset) {
       return Response.json(
         {
           error: "Asset not found",
@@ -645,7 +668,14 @@ async function tokenizeAsset(request, env) {
       );
     }
 
-    const asset = JSON.parse(assetData);
+    const denied = await authorize(
+      request,
+      env,
+      "asset:manage",
+      asset,
+      assetId,
+    );
+    if (denied) return denied;
 
     // Create tokenization record
     const tokenizationId = `TOKEN-${Date.now()}`;
@@ -676,11 +706,8 @@ async function tokenizeAsset(request, env) {
     asset.tokenization = tokenization;
 
     // Save tokenization and updated asset
-    await env.KV_NAMESPACE.put(
-      `tokenization:${tokenizationId}`,
-      JSON.stringify(tokenization),
-    );
-    await env.KV_NAMESPACE.put(`asset:${assetId}`, JSON.stringify(asset));
+    await repository(env, "tokenizations").put(tokenization);
+    await repository(env, "assets").put(asset);
 
     // Queue for smart contract deployment
     if (env.QUEUE) {
@@ -3,48 +3,37 @@
  * Comprehensive financial operations and transaction management
  */
 
+import { Router } from "../router.js";
+import { authorize } from "../rbac.js";
+import { repository, withStorageTransaction } from "../storage/index.js";
+import { readAuditTrail } from "../audit.js";
+
+const financeRoutes = new Router({ base: "/finance" })
+  .post("/transaction/create", createTransaction)
+  .post("/transaction/verify", verifyTransaction)
+  .get("/account/balance", getAccountBalance)
+  .post("/invoice/generate", generateInvoice)
+  .post("/payment/process", processPayment)
+  .post("/escrow/create", createEscrow)
+  .get("/report/generate", generateFinancialReport)
+  .get("/audit/trail", getAuditTrail);
+
 export async function financeHandler(request, env, path) {
-  const endpoint = path.replace("/finance", "");
-  const url = new URL(request.url);
-
-  switch (endpoint) {
-    case "/transaction/create":
-      return await createTransaction(request, env);
-    case "/transaction/verify":
-      return await verifyTransaction(request, env);
-    case "/account/balance":
-      return await getAccountBalance(request, env);
-    case "/invoice/generate":
-      return await generateInvoice(request, env);
-    case "/payment/process":
-      return await processPayment(request, env);
-    case "/escrow/create":
-      return await createEscrow(request, env);
-    case "/report/generate":
-      return await generateFinancialReport(request, env);
-    case "/audit/trail":
-      return await getAuditTrail(request, env);
-    default:
-      return new Response(
-        JSON.stringify({
-          error: "Finance endpoint not found",
-          available: [
-            "/transaction/create",
-            "/transaction/verify",
-            "/account/balance",
-            "/invoice/generate",
-            "/payment/process",
-            "/escrow/create",
-            "/report/generate",
-            "/audit/trail",
-          ],
-        }),
-        {
-          status: 404,
-          headers: { "Content-Type": "application/json" },
-        },
-      );
+  const response = await financeRoutes.handlePath(request, path, env);
+  if (response) {
+    return response;
   }
+
+  return new Response(
+    JSON.stringify({
+      error: "Finance endpoint not found",
+      available: financeRoutes.paths(),
+    }),
+    {
+      status: 404,
+      headers: { "Content-Type": "application/json" },
+    },
+  );
 }
 
 async function createTransaction(request, env) {
@@ -61,6 +50,9 @@ async function createTransaction(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "transaction:create", payload);
+    if (denied) return denied;
+
     const transaction = {
       transactionId,
       amount: payload.amount,
@@ -82,33 +74,13 @@ async function createTransaction(request, env) {
       },
     };
 
-    // Store in KV
-    await env.KV_NAMESPACE.put(
-      `transaction:${transactionId}`,
-      JSON.stringify(transaction),
+    // On Postgres the write runs in a serializable transaction, so a
+    // conflict surfaces as a typed 409 instead of a partial write
+    await withStorageTransaction(env, ["transactions"], ({ transactions }) =>
+      transactions.put(transaction),
     );
 
-    // Store in D1 if available
-    if (env.D1_DATABASE) {
-      await env.D1_DATABASE.prepare(
-        `INSERT INTO transactions (transaction_id, amount, currency, from_account, to_account, type, status, created_at, metadata)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      )
-        .bind(
-          transactionId,
-          payload.amount,
-          transaction.currency,
-          payload.from,
-          payload.to,
-          transaction.type,
-          "PENDING",
-          new Date().toISOString(),
-          JSON.stringify(transaction.metadata),
-        )
-        .run();
-    }
-
-    // Queue for processing
+    // Queue for processing once the transaction is stored
     if (env.QUEUE) {
       await env.QUEUE.send({
         type: "PROCESS_TRANSACTION",
@@ -135,7 +107,7 @@ async function createTransaction(request, env) {
         error: "Failed to create transaction",
         details: error.message,
       },
-      { status: 500 },
+      { status: error.status || 500 },
     );
   }
 }
@@ -155,8 +127,10 @@ async function verifyTransaction(request, env) {
     }
 
     // Retrieve transaction
-    const txData = await env.KV_NAMESPACE.get(`transaction:${transactionId}`);
-    if (!txData) {
+    const transaction = await repository(env, "transactions").get(
+      transactionId,
+    );
+    if (!transaction) {
       return Response.json(
         {
           error: "Transaction not found",
@@ -165,7 +139,14 @@ async function verifyTransaction(request, env) {
       );
     }
 
-    const transaction = JSON.parse(txData);
+    const denied = await authorize(
+      request,
+      env,
+      "transaction:verify",
+      transaction,
+      transactionId,
+    );
+    if (denied) return denied;
 
     // Verify code (simulated)
     const isValid = verificationCode === "123456"; // In production, use proper verification
@@ -175,10 +156,7 @@ async function verifyTransaction(request, env) {
       transaction.verification.status = "COMPLETED";
       transaction.verification.timestamp = new Date().toISOString();
 
-      await env.KV_NAMESPACE.put(
-        `transaction:${transactionId}`,
-        JSON.stringify(transaction),
-      );
+      await repository(env, "transactions").put(transaction);
 
       return Response.json({
         success: true,
@@ -222,16 +200,24 @@ async function getAccountBalance(request, env) {
 
     // Get balance from KV (simulated)
     const balanceData = await env.KV_NAMESPACE.get(`balance:${accountId}`);
+    const storedBalance = balanceData ? JSON.parse(balanceData) : null;
 
-    const balance = balanceData
-      ? JSON.parse(balanceData)
-      : {
-          accountId,
-          available: 10000.0,
-          pending: 500.0,
-          currency: "USD",
-          lastUpdated: new Date().toISOString(),
-        };
+    const denied = await authorize(
+      request,
+      env,
+      "account:read",
+      { accountId, ownerId: storedBalance?.ownerId },
+      accountId,
+    );
+    if (denied) return denied;
+
+    const balance = storedBalance || {
+      accountId,
+      available: 10000.0,
+      pending: 500.0,
+      currency: "USD",
+      lastUpdated: new Date().toISOString(),
+    };
 
     return Response.json({
       success: true,
@@ -264,6 +250,9 @@ async function generateInvoice(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "invoice:create", payload);
+    if (denied) return denied;
+
     const subtotal = payload.items.reduce(
       (sum, item) => sum + item.quantity * item.unitPrice,
       0,
@@ -295,7 +284,7 @@ async function generateInvoice(request, env) {
     };
 
     // Store invoice
-    await env.KV_NAMESPACE.put(`invoice:${invoiceId}`, JSON.stringify(invoice));
+    await repository(env, "invoices").put(invoice);
 
     // Generate PDF if requested
     if (payload.generatePDF) {
@@ -339,6 +328,15 @@ async function processPayment(request, env) {
       );
     }
 
+    const denied = await authorize(
+      request,
+      env,
+      "account:pay",
+      { accountId: payload.accountId },
+      payload.accountId,
+    );
+    if (denied) return denied;
+
     const payment = {
       paymentId,
       amount: payload.amount,
@@ -355,26 +353,37 @@ async function processPayment(request, env) {
       },
     };
 
-    // Store payment
-    await env.KV_NAMESPACE.put(`payment:${paymentId}`, JSON.stringify(payment));
-
-    // Process payment based on method
-    if (payload.method === "STRIPE" && env.STRIPE_SECRET_KEY) {
-      // Integration with Stripe
-      // const stripeResponse = await processStripePayment(payment, env);
-    }
-
-    // Update payment status
-    payment.status = "COMPLETED";
-    payment.completedAt = new Date().toISOString();
-
-    await env.KV_NAMESPACE.put(`payment:${paymentId}`, JSON.stringify(payment));
+    // The PROCESSING and COMPLETED writes share a transaction on Postgres,
+    // so a failed payment leaves no half-processed record behind
+    const completed = await withStorageTransaction(
+      env,
+      ["payments"],
+      async ({ payments }) => {
+        // Store payment
+        await payments.put(payment);
+
+        // Process payment based on method
+        if (payload.method === "STRIPE" && env.STRIPE_SECRET_KEY) {
+          // Integration with Stripe
+          // const stripeResponse = await processStripePayment(payment, env);
+        }
+
+        // Update payment status
+        const completed = {
+          ...payment,
+          status: "COMPLETED",
+          completedAt: new Date().toISOString(),
+        };
+        await payments.put(completed);
+        return completed;
+      },
+    );
 
     return Response.json({
       success: true,
       paymentId,
-      status: payment.status,
-      payment,
+      status: completed.status,
+      payment: completed,
     });
   } catch (error) {
     console.error("Error processing payment:", error);
@@ -383,7 +392,7 @@ async function processPayment(request, env) {
         error: "Failed to process payment",
         details: error.message,
       },
-      { status: 500 },
+      { status: error.status || 500 },
     );
   }
 }
@@ -402,6 +411,9 @@ async function createEscrow(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "escrow:create", payload);
+    if (denied) return denied;
+
     const escrow = {
       escrowId,
       amount: payload.amount,
@@ -421,7 +433,9 @@ async function createEscrow(request, env) {
     };
 
     // Store escrow
-    await env.KV_NAMESPACE.put(`escrow:${escrowId}`, JSON.stringify(escrow));
+    await withStorageTransaction(env, ["escrows"], ({ escrows }) =>
+      escrows.put(escrow),
+    );
 
     // Create blockchain anchor if available
     if (env.BLOCKCHAIN_RPC_URL) {
@@ -440,7 +454,7 @@ async function createEscrow(request, env) {
         error: "Failed to create escrow",
         details: error.message,
       },
-      { status: 500 },
+      { status: error.status || 500 },
     );
   }
 }
@@ -461,6 +475,9 @@ async function generateFinancialReport(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "report:read", { caseId });
+    if (denied) return denied;
+
     // Generate report (simulated)
     const report = {
       reportId: `REPORT-${Date.now()}`,
@@ -527,17 +544,16 @@ async function getAuditTrail(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "audit:read", {
+      entityType,
+      entityId,
+    });
+    if (denied) return denied;
+
     // Get audit logs from KV
-    const auditKey = `audit:${entityType}:${entityId}`;
-    const auditData = await env.KV_NAMESPACE.get(auditKey);
-
-    const auditTrail = auditData
-      ? JSON.parse(auditData)
-      : {
-          entityType,
-          entityId,
-          entries: [],
-        };
+    const auditTrail = await readAuditTrail(env, entityType, entityId, {
+      limit,
+    });
 
     // Add sample entries if empty
     if (auditTrail.entries.length === 0) {
@@ -559,10 +575,7 @@ async function getAuditTrail(request, env) {
 
     return Response.json({
       success: true,
-      auditTrail: {
-        ...auditTrail,
-        entries: auditTrail.entries.slice(0, limit),
-      },
+      auditTrail,
     });
   } catch (error) {
     console.error("Error getting audit trail:", error);
@@ -3,48 +3,44 @@
  * Comprehensive legal case management and document processing
  */
 
+import { Router } from "../router.js";
+import { getRequestContext } from "../middleware.js";
+import { repository } from "../storage/index.js";
+import {
+  authorize,
+  can,
+  deny,
+  forbiddenCaseFields,
+  hasRole,
+  queryPermitted,
+} from "../rbac.js";
+
+const legalRoutes = new Router({ base: "/legal" })
+  .post("/case/create", createLegalCase)
+  .post("/case/update", updateLegalCase)
+  .get("/case/list", listLegalCases)
+  .post("/documents/analyze", analyzeLegalDocuments)
+  .post("/compliance/check", checkCompliance)
+  .post("/contract/review", reviewContract)
+  .get("/timeline/generate", generateCaseTimeline)
+  .post("/discovery/process", processDiscovery);
+
 export async function legalHandler(request, env, path) {
-  const endpoint = path.replace("/legal", "");
-  const url = new URL(request.url);
-
-  switch (endpoint) {
-    case "/case/create":
-      return await createLegalCase(request, env);
-    case "/case/update":
-      return await updateLegalCase(request, env);
-    case "/case/list":
-      return await listLegalCases(request, env);
-    case "/documents/analyze":
-      return await analyzeLegalDocuments(request, env);
-    case "/compliance/check":
-      return await checkCompliance(request, env);
-    case "/contract/review":
-      return await reviewContract(request, env);
-    case "/timeline/generate":
-      return await generateCaseTimeline(request, env);
-    case "/discovery/process":
-      return await processDiscovery(request, env);
-    default:
-      return new Response(
-        JSON.stringify({
-          error: "Legal endpoint not found",
-          available: [
-            "/case/create",
-            "/case/update",
-            "/case/list",
-            "/documents/analyze",
-            "/compliance/check",
-            "/contract/review",
-            "/timeline/generate",
-            "/discovery/process",
-          ],
-        }),
-        {
-          status: 404,
-          headers: { "Content-Type": "application/json" },
-        },
-      );
+  const response = await legalRoutes.handlePath(request, path, env);
+  if (response) {
+    return response;
   }
+
+  return new Response(
+    JSON.stringify({
+      error: "Legal endpoint not found",
+      available: legalRoutes.paths(),
+    }),
+    {
+      status: 404,
+      headers: { "Content-Type": "application/json" },
+    },
+  );
 }
 
 async function createLegalCase(request, env) {
@@ -62,12 +58,19 @@ async function createLegalCase(request, env) {
       );
     }
 
-    // Create case record in KV
+    const denied = await authorize(request, env, "case:create", payload);
+    if (denied) return denied;
+
+    const { principal } = getRequestContext(request);
+
     const caseData = {
       caseId,
       clientName: payload.clientName,
+      clientId: payload.clientId,
       caseType: payload.caseType,
       status: "ACTIVE",
+      ownerId: principal.id,
+      assignedTo: payload.assignedTo || [principal.id],
       createdAt: new Date().toISOString(),
       metadata: {
         jurisdiction: payload.jurisdiction || "US",
@@ -84,25 +87,7 @@ async function createLegalCase(request, env) {
       ],
     };
 
-    // Store in KV
-    await env.KV_NAMESPACE.put(`case:${caseId}`, JSON.stringify(caseData));
-
-    // Store in D1 if available
-    if (env.D1_DATABASE) {
-      await env.D1_DATABASE.prepare(
-        `INSERT INTO cases (case_id, client_name, case_type, status, created_at, metadata)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-      )
-        .bind(
-          caseId,
-          payload.clientName,
-          payload.caseType,
-          "ACTIVE",
-          new Date().toISOString(),
-          JSON.stringify(caseData.metadata),
-        )
-        .run();
-    }
+    await repository(env, "cases").put(caseData);
 
     // Queue for blockchain anchoring
     if (env.QUEUE) {
@@ -141,18 +126,34 @@ async function updateLegalCase(request, env) {
     const payload = await request.json();
     const { caseId, updates } = payload;
 
-    if (!caseId) {
+    if (!caseId || !updates || typeof updates !== "object") {
       return Response.json(
         {
-          error: "Missing caseId",
+          error: "Missing required fields: caseId, updates",
+        },
+        { status: 400 },
+      );
+    }
+
+    // metadata is merged key by key, so it must be an object
+    const { metadata } = updates;
+    if (
+      metadata !== undefined &&
+      (metadata === null ||
+        typeof metadata !== "object" ||
+        Array.isArray(metadata))
+    ) {
+      return Response.json(
+        {
+          error: "updates.metadata must be an object",
         },
         { status: 400 },
       );
     }
 
     // Retrieve existing case
-    const existingCase = await env.KV_NAMESPACE.get(`case:${caseId}`);
-    if (!existingCase) {
+    const caseData = await repository(env, "cases").get(caseId);
+    if (!caseData) {
       return Response.json(
         {
           error: "Case not found",
@@ -161,10 +162,28 @@ async function updateLegalCase(request, env) {
       );
     }
 
-    const caseData = JSON.parse(existingCase);
+    const denied = await authorize(
+      request,
+      env,
+      "case:update",
+      caseData,
+      caseId,
+    );
+    if (denied) return denied;
 
-    // Apply updates
-    Object.assign(caseData, updates);
+    // Only the fields the caller's roles may change are applied
+    const forbidden = forbiddenCaseFields(request, updates);
+    if (forbidden.length > 0) {
+      return await deny(request, env, "case:update", caseId, {
+        forbiddenFields: forbidden,
+      });
+    }
+
+    // Apply updates; metadata is merged rather than replaced
+    for (const [field, value] of Object.entries(updates)) {
+      caseData[field] =
+        field === "metadata" ? { ...caseData.metadata, ...value } : value;
+    }
     caseData.updatedAt = new Date().toISOString();
 
     // Add to timeline
@@ -176,7 +195,7 @@ async function updateLegalCase(request, env) {
     });
 
     // Save updated case
-    await env.KV_NAMESPACE.put(`case:${caseId}`, JSON.stringify(caseData));
+    await repository(env, "cases").put(caseData);
 
     return Response.json({
       success: true,
@@ -200,29 +219,23 @@ async function listLegalCases(request, env) {
   try {
     const url = new URL(request.url);
     const status = url.searchParams.get("status") || "ACTIVE";
-    const limit = parseInt(url.searchParams.get("limit") || "10");
+    const limit = Math.max(parseInt(url.searchParams.get("limit")) || 10, 1);
     const cursor = url.searchParams.get("cursor");
 
-    // List cases from KV
-    const list = await env.KV_NAMESPACE.list({
-      prefix: "case:",
-      limit,
-      cursor,
-    });
-
-    const cases = [];
-    for (const key of list.keys) {
-      const caseData = await env.KV_NAMESPACE.get(key.name);
-      const parsed = JSON.parse(caseData);
-      if (!status || parsed.status === status) {
-        cases.push(parsed);
-      }
-    }
+    // Only cases the caller is assigned to or is the client of
+    const page = await queryPermitted(
+      request,
+      "case:read",
+      repository(env, "cases"),
+      { status },
+      { limit, cursor },
+    );
+    const cases = page.items;
 
     return Response.json({
       success: true,
       cases,
-      cursor: list.list_complete ? null : list.cursor,
+      cursor: page.cursor,
       total: cases.length,
     });
   } catch (error) {
@@ -253,6 +266,9 @@ async function analyzeLegalDocuments(request, env) {
       );
     }
 
+    const denied = await authorizeCase(request, env, caseId, "case:work");
+    if (denied) return denied;
+
     // Store document in R2
     const documentId = `doc-${Date.now()}`;
     if (env.R2_BUCKET) {
@@ -328,6 +344,9 @@ async function checkCompliance(request, env) {
       );
     }
 
+    const denied = await authorizeCase(request, env, caseId, "case:work");
+    if (denied) return denied;
+
     // Perform compliance checks
     const complianceResults = {};
     for (const regulation of regulations) {
@@ -387,6 +406,9 @@ async function reviewContract(request, env) {
       );
     }
 
+    const denied = await authorizeCase(request, env, caseId, "case:work");
+    if (denied) return denied;
+
     // AI-powered contract review (simulated)
     const review = {
       caseId,
@@ -462,7 +484,7 @@ async function generateCaseTimeline(request, env) {
     }
 
     // Retrieve case data
-    const caseData = await env.KV_NAMESPACE.get(`case:${caseId}`);
+    const caseData = await repository(env, "cases").get(caseId);
     if (!caseData) {
       return Response.json(
         {
@@ -472,16 +494,17 @@ async function generateCaseTimeline(request, env) {
       );
     }
 
-    const parsed = JSON.parse(caseData);
+    const denied = await authorize(request, env, "case:read", caseData, caseId);
+    if (denied) return denied;
 
     // Generate comprehensive timeline
     const timeline = {
       caseId,
       generatedAt: new Date().toISOString(),
-      events: parsed.timeline || [],
+      events: caseData.timeline || [],
       milestones: [
         {
-          date: parsed.createdAt,
+          date: caseData.createdAt,
           event: "Case Initiated",
           status: "COMPLETED",
         },
@@ -529,6 +552,9 @@ async function processDiscovery(request, env) {
       );
     }
 
+    const denied = await authorizeCase(request, env, caseId, "case:work");
+    if (denied) return denied;
+
     // Process discovery documents
     const discoveryId = `discovery-${Date.now()}`;
     const results = {
@@ -574,6 +600,41 @@ async function processDiscovery(request, env) {
   }
 }
 
+// Load a case and check a permission on it; returns an error response or null
+export async function authorizeCase(request, env, caseId, permission) {
+  const caseData = await repository(env, "cases").get(caseId);
+  if (!caseData) {
+    return Response.json(
+      {
+        error: "Case not found",
+      },
+      { status: 404 },
+    );
+  }
+
+  return await authorize(request, env, permission, caseData, caseId);
+}
+
+// Drop search hits tied to a case the principal may not read, for searches
+// that span the tenant's cases. Hits without a case are kept.
+export async function withoutUnreadableCases(request, env, hits, caseIdOf) {
+  const { principal } = getRequestContext(request);
+  if (hasRole(principal, "admin")) return hits;
+
+  const caseIds = [...new Set(hits.map(caseIdOf).filter(Boolean))];
+  const cases = await Promise.all(
+    caseIds.map((caseId) => repository(env, "cases").get(caseId)),
+  );
+  const readable = new Set(
+    caseIds.filter(
+      (caseId, index) =>
+        cases[index] && can(principal, "case:read", cases[index]),
+    ),
+  );
+
+  return hits.filter((hit) => !caseIdOf(hit) || readable.has(caseIdOf(hit)));
+}
+
 // Helper function to generate ChittyID
 async function generateChittyID(type, entityId, env) {
   const timestamp = Date.now().toString(36);
@@ -3,48 +3,37 @@
  * Real estate and property management services
  */
 
+import { Router } from "../router.js";
+import { getRequestContext } from "../middleware.js";
+import { authorize } from "../rbac.js";
+import { repository } from "../storage/index.js";
+
+const propertyRoutes = new Router({ base: "/property" })
+  .post("/listing/create", createListing)
+  .get("/listing/search", searchListings)
+  .post("/property/value", getPropertyValuation)
+  .post("/deed/register", registerDeed)
+  .post("/lease/create", createLease)
+  .post("/inspection/schedule", scheduleInspection)
+  .post("/title/verify", verifyTitle)
+  .post("/mortgage/calculate", calculateMortgage);
+
 export async function propertyHandler(request, env, path) {
-  const endpoint = path.replace("/property", "");
-  const url = new URL(request.url);
-
-  switch (endpoint) {
-    case "/listing/create":
-      return await createListing(request, env);
-    case "/listing/search":
-      return await searchListings(request, env);
-    case "/property/value":
-      return await getPropertyValuation(request, env);
-    case "/deed/register":
-      return await registerDeed(request, env);
-    case "/lease/create":
-      return await createLease(request, env);
-    case "/inspection/schedule":
-      return await scheduleInspection(request, env);
-    case "/title/verify":
-      return await verifyTitle(request, env);
-    case "/mortgage/calculate":
-      return await calculateMortgage(request, env);
-    default:
-      return new Response(
-        JSON.stringify({
-          error: "Property endpoint not found",
-          available: [
-            "/listing/create",
-            "/listing/search",
-            "/property/value",
-            "/deed/register",
-            "/lease/create",
-            "/inspection/schedule",
-            "/title/verify",
-            "/mortgage/calculate",
-          ],
-        }),
-        {
-          status: 404,
-          headers: { "Content-Type": "application/json" },
-        },
-      );
+  const response = await propertyRoutes.handlePath(request, path, env);
+  if (response) {
+    return response;
   }
+
+  return new Response(
+    JSON.stringify({
+      error: "Property endpoint not found",
+      available: propertyRoutes.paths(),
+    }),
+    {
+      status: 404,
+      headers: { "Content-Type": "application/json" },
+    },
+  );
 }
 
 async function createListing(request, env) {
@@ -61,12 +50,16 @@ async function createListing(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "listing:create", payload);
+    if (denied) return denied;
+
     const listing = {
       listingId,
       address: payload.address,
       price: payload.price,
       type: payload.type, // RESIDENTIAL, COMMERCIAL, LAND
       status: "ACTIVE",
+      ownerId: getRequestContext(request).principal.id,
       createdAt: new Date().toISOString(),
       details: {
         bedrooms: payload.bedrooms,
@@ -93,27 +86,7 @@ async function createListing(request, env) {
       documents: [],
     };
 
-    // Store in KV
-    await env.KV_NAMESPACE.put(`listing:${listingId}`, JSON.stringify(listing));
-
-    // Store in D1 if available
-    if (env.D1_DATABASE) {
-      await env.D1_DATABASE.prepare(
-        `INSERT INTO properties (listing_id, address, price, type, status, created_at, details, location)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      )
-        .bind(
-          listingId,
-          payload.address,
-          payload.price,
-          payload.type,
-          "ACTIVE",
-          new Date().toISOString(),
-          JSON.stringify(listing.details),
-          JSON.stringify(listing.location),
-        )
-        .run();
-    }
+    await repository(env, "listings").put(listing);
 
     // Generate ChittyID
     const chittyId = await generateChittyID("PROPERTY", listingId, env);
@@ -147,23 +120,17 @@ async function searchListings(request, env) {
     const city = url.searchParams.get("city");
     const limit = parseInt(url.searchParams.get("limit") || "20");
 
-    // Search listings from KV
-    const list = await env.KV_NAMESPACE.list({
-      prefix: "listing:",
-      limit: 100, // Get more to filter
-    });
+    const { items } = await repository(env, "listings").query(
+      type ? { type } : {},
+      { limit: 100 }, // Get more to filter
+    );
 
     const listings = [];
-    for (const key of list.keys) {
-      const listingData = await env.KV_NAMESPACE.get(key.name);
-      const listing = JSON.parse(listingData);
-
+    for (const listing of items) {
       // Apply filters
       if (listing.price >= minPrice && listing.price <= maxPrice) {
-        if (!type || listing.type === type) {
-          if (!city || listing.location.city === city) {
-            listings.push(listing);
-          }
+        if (!city || listing.location.city === city) {
+          listings.push(listing);
         }
       }
 
@@ -274,6 +241,9 @@ async function registerDeed(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "deed:create", payload);
+    if (denied) return denied;
+
     const deed = {
       deedId,
       propertyId: payload.propertyId,
@@ -297,7 +267,7 @@ async function registerDeed(request, env) {
     };
 
     // Store deed
-    await env.KV_NAMESPACE.put(`deed:${deedId}`, JSON.stringify(deed));
+    await repository(env, "deeds").put(deed);
 
     // Queue for blockchain anchoring
     if (env.QUEUE) {
@@ -345,6 +315,9 @@ async function createLease(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "lease:create", payload);
+    if (denied) return denied;
+
     const lease = {
       leaseId,
       propertyId: payload.propertyId,
@@ -372,7 +345,7 @@ async function createLease(request, env) {
     };
 
     // Store lease
-    await env.KV_NAMESPACE.put(`lease:${leaseId}`, JSON.stringify(lease));
+    await repository(env, "leases").put(lease);
 
     // Generate ChittyID
     const chittyId = await generateChittyID("LEASE", leaseId, env);
@@ -409,6 +382,9 @@ async function scheduleInspection(request, env) {
       );
     }
 
+    const denied = await authorize(request, env, "inspection:create", payload);
+    if (denied) return denied;
+
     const inspection = {
       inspectionId,
       propertyId: payload.propertyId,
@@ -476,6 +452,15 @@ async function verifyTitle(request, env) {
       );
     }
 
+    const denied = await authorize(
+      request,
+      env,
+      "title:verify",
+      payload,
+      propertyId,
+    );
+    if (denied) return denied;
+
     // Title verification (simulated)
     const verification = {
       verificationId: `TITLE-${Date.now()}`,
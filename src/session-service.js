@@ -4,6 +4,8 @@
  */
 
 import { Client } from "@notionhq/client";
+import { Router } from "./router.js";
+import { agentMemoryLinks } from "./agent-memory.js";
 
 export class SessionService {
   constructor(env) {
@@ -17,37 +19,25 @@ export class SessionService {
         auth: env.NOTION_TOKEN,
       });
     }
+
+    // Session management routes
+    this.router = new Router({ base: "/session" })
+      .get("/", () => this.listSessions())
+      .post("/create", (request) => this.createSession(request))
+      .get("/status", () => this.getStatus())
+      .post("/sync", (request) => this.syncSession(request))
+      .post("/handoff", (request) => this.createHandoff(request))
+      .get("/:id", (request) => this.getSession(request.params.id))
+      .post("/:id", (request) =>
+        this.updateSession(request.params.id, request),
+      );
   }
 
   async handleRequest(request) {
-    const url = new URL(request.url);
-    const method = request.method;
-    const pathParts = url.pathname.split("/").filter(Boolean);
-
     try {
-      // Route session management endpoints
-      if (pathParts[1] === "create" && method === "POST") {
-        return await this.createSession(request);
-      }
-
-      if (pathParts[1] === "status" && method === "GET") {
-        return await this.getStatus();
-      }
-
-      if (pathParts[1] && method === "GET") {
-        return await this.getSession(pathParts[1]);
-      }
-
-      if (pathParts[1] && method === "POST") {
-        return await this.updateSession(pathParts[1], request);
-      }
-
-      if (pathParts[1] === "sync" && method === "POST") {
-        return await this.syncSession(request);
-      }
-
-      if (pathParts[1] === "handoff" && method === "POST") {
-        return await this.createHandoff(request);
+      const response = await this.router.handle(request);
+      if (response) {
+        return response;
       }
 
       // Default session list
@@ -87,6 +77,7 @@ export class SessionService {
         success: true,
         sessionId,
         session,
+        memory: agentMemoryLinks(sessionId),
         service: "chitty-ultimate-worker",
       }),
       {
@@ -115,6 +106,7 @@ export class SessionService {
       JSON.stringify({
         success: true,
         session: JSON.parse(sessionData),
+        memory: agentMemoryLinks(sessionId),
         service: "chitty-ultimate-worker",
       }),
       {
@@ -151,6 +143,7 @@ export class SessionService {
       JSON.stringify({
         success: true,
         session,
+        memory: agentMemoryLinks(sessionId),
         service: "chitty-ultimate-worker",
       }),
       {
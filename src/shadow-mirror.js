@@ -0,0 +1,391 @@
+/**
+ * ChittyOS Shadow Mirroring
+ * Opt-in rules that replay a sample of a gateway service's requests against
+ * a shadow implementation, keeping the differences between the two answers
+ * in CHITTYROUTER_KV for review
+ */
+
+// KV key holding the rules by service name, edited through /admin/shadow
+export const SHADOW_RULES_KEY = "shadow:rules";
+
+// KV keys are shadow:diff:<service>:<newest-first sort key>:<request id>
+export const SHADOW_DIFF_PREFIX = "shadow:diff:";
+
+// How long an isolate reuses the rules it read from KV, in milliseconds
+const RULES_CACHE_TTL = 30 * 1000;
+
+// Recorded differences expire after a week
+const DIFF_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Differences kept per request, and how much of each value is kept
+const MAX_DIFFERENCES = 20;
+const MAX_VALUE_LENGTH = 200;
+
+// Methods a rule mirrors unless it lists its own
+const DEFAULT_METHODS = ["GET", "HEAD"];
+
+const KNOWN_METHODS = [
+  "GET",
+  "HEAD",
+  "OPTIONS",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+];
+
+// Finance writes are not safe to repeat: a mirrored payment or transfer
+// could be carried out twice. A finance service is one named or owned
+// "finance" or "assets", or one reached under their path prefixes; only its
+// safe methods are mirrored unless the rule sets allowFinanceWrites.
+const FINANCE_SERVICES = ["finance", "assets"];
+const FINANCE_PREFIXES = ["/finance", "/assets"];
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Mirroring keeps a copy of the request body in memory until the shadow has
+// it, so larger bodies, or bodies of unknown length, are not mirrored
+const MAX_MIRRORED_BODY_BYTES = 64 * 1024;
+
+let cachedRules = null;
+let cachedAt = 0;
+
+// Rules by service name. A rule is { target: { binding } or { upstream },
+// routes, percent, methods, allowFinanceWrites, ignorePaths, timeoutMs,
+// revision }. Only requests whose path falls under one of `routes` are
+// considered, and `percent` of those are mirrored.
+export async function loadShadowRules(env, { fresh = false } = {}) {
+  if (!fresh && cachedRules && Date.now() - cachedAt < RULES_CACHE_TTL) {
+    return cachedRules;
+  }
+
+  cachedRules =
+    (await env.CHITTYROUTER_KV?.get(SHADOW_RULES_KEY, "json")) || {};
+  cachedAt = Date.now();
+  return cachedRules;
+}
+
+// Save or (with a null rule) remove one service's rule
+export async function saveShadowRule(env, service, rule) {
+  const rules = { ...(await loadShadowRules(env, { fresh: true })) };
+
+  if (rule) {
+    const { target, routes, percent, timeoutMs } = rule;
+    rules[service] = {
+      target,
+      routes,
+      percent,
+      methods: (rule.methods || DEFAULT_METHODS).map((method) =>
+        method.toUpperCase(),
+      ),
+      allowFinanceWrites: rule.allowFinanceWrites === true,
+      ignorePaths: rule.ignorePaths || [],
+      timeoutMs,
+      revision: new Date().toISOString(),
+    };
+  } else {
+    delete rules[service];
+  }
+
+  await env.CHITTYROUTER_KV.put(SHADOW_RULES_KEY, JSON.stringify(rules));
+  return await loadShadowRules(env, { fresh: true });
+}
+
+// Problems with a rule for `service` (its registry entry), empty when it is
+// valid
+export function validateShadowRule(rule, service) {
+  if (!rule || typeof rule !== "object") {
+    return ["Body must be a shadow rule object"];
+  }
+
+  const errors = [];
+  const { target = {} } = rule;
+
+  if (Boolean(target.binding) === Boolean(target.upstream)) {
+    errors.push("target needs exactly one of binding and upstream");
+  } else if (target.binding && !/^[A-Z][A-Z0-9_]*$/.test(target.binding)) {
+    errors.push("target.binding must be a binding name such as BRIDGE_V2");
+  } else if (target.upstream && !/^https:\/\/[^/]/.test(target.upstream)) {
+    errors.push("target.upstream must be an https:// URL");
+  } else if (
+    (target.binding && target.binding === service?.binding) ||
+    (target.upstream && target.upstream === service?.upstream)
+  ) {
+    errors.push("target must differ from the service itself");
+  }
+  if (
+    !Array.isArray(rule.routes) ||
+    rule.routes.length === 0 ||
+    rule.routes.some((route) => !/^\/[\w\-/]*$/.test(route))
+  ) {
+    errors.push('routes must list the paths to mirror, such as "/bridge/sync"');
+  }
+  if (!(rule.percent > 0 && rule.percent <= 100)) {
+    errors.push("percent must be above 0 and at most 100");
+  }
+  if (
+    rule.methods !== undefined &&
+    (!Array.isArray(rule.methods) ||
+      rule.methods.some(
+        (method) => !KNOWN_METHODS.includes(String(method).toUpperCase()),
+      ))
+  ) {
+    errors.push(`methods must be some of ${KNOWN_METHODS.join(", ")}`);
+  }
+  if (
+    rule.allowFinanceWrites !== undefined &&
+    typeof rule.allowFinanceWrites !== "boolean"
+  ) {
+    errors.push("allowFinanceWrites must be a boolean");
+  }
+  if (
+    rule.ignorePaths !== undefined &&
+    (!Array.isArray(rule.ignorePaths) ||
+      rule.ignorePaths.some(
+        (path) => typeof path !== "string" || !path.startsWith("$"),
+      ))
+  ) {
+    errors.push('ignorePaths must be JSON paths such as "$.timestamp"');
+  }
+  if (rule.timeoutMs !== undefined && !(rule.timeoutMs > 0)) {
+    errors.push("timeoutMs must be a positive number");
+  }
+
+  // Refuse a rule that asks for finance writes without opting in, rather
+  // than saving one that silently never mirrors them
+  const writes = (Array.isArray(rule.methods) ? rule.methods : []).filter(
+    (method) => !SAFE_METHODS.includes(String(method).toUpperCase()),
+  );
+  const financeRoutes = Array.isArray(rule.routes)
+    ? rule.routes.filter((route) => isFinance(route, service))
+    : [];
+  if (
+    writes.length > 0 &&
+    financeRoutes.length > 0 &&
+    rule.allowFinanceWrites !== true
+  ) {
+    errors.push(
+      `${writes.join(", ")} on ${financeRoutes.join(", ")} is only mirrored with allowFinanceWrites: true`,
+    );
+  }
+
+  return errors;
+}
+
+// Whether a request to `service` is sampled for mirroring under its rule
+export function shouldMirror(rule, service, request) {
+  const { pathname } = new URL(request.url);
+  const method = request.method.toUpperCase();
+
+  if (!rule.methods.includes(method)) return false;
+  if (!rule.routes.some((route) => underPath(pathname, route))) return false;
+  if (
+    !SAFE_METHODS.includes(method) &&
+    isFinance(pathname, service) &&
+    !rule.allowFinanceWrites
+  ) {
+    return false;
+  }
+  if (request.body) {
+    const length = request.headers.get("content-length");
+    if (length === null || !(Number(length) <= MAX_MIRRORED_BODY_BYTES)) {
+      return false;
+    }
+  }
+
+  return Math.random() * 100 < rule.percent;
+}
+
+// Compare the shadow's answer to the one the client got and record it when
+// they differ (or the shadow failed). Resolves to the recorded entry, or
+// null when the answers matched; never rejects.
+export async function recordShadowComparison(
+  env,
+  service,
+  rule,
+  { requestId, request, primary, shadow, error, latencyMs },
+) {
+  try {
+    const [primaryBody, shadowBody] = await Promise.all([
+      readJson(primary),
+      shadow ? readJson(shadow) : NOT_JSON,
+    ]);
+    const bodiesCompared = primaryBody !== NOT_JSON && shadowBody !== NOT_JSON;
+
+    const differences = [];
+    if (bodiesCompared) {
+      diffJson(primaryBody, shadowBody, "$", rule.ignorePaths, differences);
+    } else if (
+      shadow &&
+      (primaryBody === NOT_JSON) !== (shadowBody === NOT_JSON)
+    ) {
+      differences.push({
+        path: "$",
+        primary: primaryBody === NOT_JSON ? "(not JSON)" : preview(primaryBody),
+        shadow: shadowBody === NOT_JSON ? "(not JSON)" : preview(shadowBody),
+      });
+    }
+
+    const statusMatches = shadow?.status === primary.status;
+    if (!error && statusMatches && differences.length === 0) {
+      return null;
+    }
+
+    const entry = {
+      service,
+      requestId,
+      method: request.method,
+      path: new URL(request.url).pathname,
+      variant: primary.headers.get("X-Chitty-Variant") || "primary",
+      revision: rule.revision,
+      primaryStatus: primary.status,
+      shadowStatus: shadow?.status ?? null,
+      error: error || null,
+      bodiesCompared,
+      differences,
+      latencyMs,
+      recordedAt: new Date().toISOString(),
+    };
+    await env.CHITTYROUTER_KV?.put(
+      diffKey(service, requestId),
+      JSON.stringify(entry),
+      {
+        expirationTtl: DIFF_TTL_SECONDS,
+      },
+    );
+    return entry;
+  } catch (failure) {
+    console.error(`Shadow comparison for ${service} failed:`, failure);
+    return null;
+  }
+}
+
+// Recorded differences for a service, newest first, as { diffs, cursor }
+export async function listShadowDiffs(
+  env,
+  service,
+  { limit = 50, cursor } = {},
+) {
+  const page = await env.CHITTYROUTER_KV.list({
+    prefix: `${SHADOW_DIFF_PREFIX}${service}:`,
+    limit,
+    cursor,
+  });
+  const diffs = await Promise.all(
+    page.keys.map((key) => env.CHITTYROUTER_KV.get(key.name, "json")),
+  );
+
+  return {
+    diffs: diffs.filter(Boolean),
+    cursor: page.list_complete ? null : page.cursor,
+  };
+}
+
+// Keys sort newest first: KV lists keys in ascending order
+function diffKey(service, requestId) {
+  const sortKey = String(Number.MAX_SAFE_INTEGER - Date.now()).padStart(
+    16,
+    "0",
+  );
+  return `${SHADOW_DIFF_PREFIX}${service}:${sortKey}:${requestId || crypto.randomUUID()}`;
+}
+
+// Returned for a body that is not JSON, so only statuses are compared
+const NOT_JSON = Symbol("not-json");
+
+async function readJson(response) {
+  if (!(response.headers.get("content-type") || "").includes("json")) {
+    await response.body?.cancel();
+    return NOT_JSON;
+  }
+
+  try {
+    return await response.json();
+  } catch {
+    return NOT_JSON;
+  }
+}
+
+// Collect { path, primary, shadow } for each differing value, by JSON path
+// ("$.items[0].id"). A side without the path has no value in the entry.
+function diffJson(primary, shadow, path, ignorePaths, differences) {
+  if (differences.length >= MAX_DIFFERENCES) return;
+  if (ignorePaths.some((ignored) => underJsonPath(path, ignored))) return;
+
+  if (Array.isArray(primary) && Array.isArray(shadow)) {
+    const length = Math.max(primary.length, shadow.length);
+    for (let index = 0; index < length; index++) {
+      diffJson(
+        primary[index],
+        shadow[index],
+        `${path}[${index}]`,
+        ignorePaths,
+        differences,
+      );
+    }
+    return;
+  }
+
+  if (isPlainObject(primary) && isPlainObject(shadow)) {
+    const keys = new Set([...Object.keys(primary), ...Object.keys(shadow)]);
+    for (const key of [...keys].sort()) {
+      diffJson(
+        primary[key],
+        shadow[key],
+        `${path}.${key}`,
+        ignorePaths,
+        differences,
+      );
+    }
+    return;
+  }
+
+  if (JSON.stringify(primary) !== JSON.stringify(shadow)) {
+    differences.push({
+      path,
+      primary: preview(primary),
+      shadow: preview(shadow),
+    });
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function preview(value) {
+  const json = JSON.stringify(value);
+  return json !== undefined && json.length > MAX_VALUE_LENGTH
+    ? `${json.slice(0, MAX_VALUE_LENGTH)}…`
+    : value;
+}
+
+function underJsonPath(path, ignored) {
+  return (
+    path === ignored ||
+    path.startsWith(`${ignored}.`) ||
+    path.startsWith(`${ignored}[`)
+  );
+}
+
+function underPath(pathname, prefix) {
+  return (
+    prefix === "/" ||
+    pathname === prefix ||
+    pathname.startsWith(`${prefix.replace(/\/$/, "")}/`)
+  );
+}
+
+// A path of a finance service, a finance path, or any path of a service
+// mounted under one (a service reached by hostname sees paths without its
+// prefix)
+function isFinance(pathname, service) {
+  return (
+    FINANCE_SERVICES.includes(service?.name) ||
+    FINANCE_SERVICES.includes(service?.owner) ||
+    FINANCE_PREFIXES.some(
+      (prefix) =>
+        underPath(pathname, prefix) ||
+        (service?.prefix && underPath(service.prefix, prefix)),
+    )
+  );
+}
@@ -0,0 +1,81 @@
+/**
+ * Domain entities persisted through the storage repositories
+ * `key` is the KV key prefix (records live at <key>:<id>), `idField` the
+ * record's ID property and `table`/`idColumn` the D1 and Postgres table.
+ * `columns` projects record fields into the table's own columns (objects
+ * are passed as JSON text); every table also holds the whole record in
+ * `data`, which is what reads return.
+ */
+
+const json = (value) => (value === undefined ? null : JSON.stringify(value));
+
+export const ENTITIES = {
+  cases: {
+    key: "case",
+    idField: "caseId",
+    table: "cases",
+    idColumn: "case_id",
+    columns: {
+      client_name: (record) => record.clientName,
+      case_type: (record) => record.caseType,
+      status: (record) => record.status,
+      metadata: (record) => json(record.metadata),
+    },
+  },
+  transactions: {
+    key: "transaction",
+    idField: "transactionId",
+    table: "transactions",
+    idColumn: "transaction_id",
+    columns: {
+      amount: (record) => record.amount,
+      currency: (record) => record.currency,
+      from_account: (record) => record.from,
+      to_account: (record) => record.to,
+      type: (record) => record.type,
+      status: (record) => record.status,
+      metadata: (record) => json(record.metadata),
+    },
+  },
+  invoices: { key: "invoice", idField: "invoiceId", table: "invoices" },
+  payments: { key: "payment", idField: "paymentId", table: "payments" },
+  escrows: { key: "escrow", idField: "escrowId", table: "escrows" },
+  listings: {
+    key: "listing",
+    idField: "listingId",
+    table: "properties",
+    idColumn: "listing_id",
+    columns: {
+      address: (record) => record.address,
+      price: (record) => record.price,
+      type: (record) => record.type,
+      status: (record) => record.status,
+      details: (record) => json(record.details),
+      location: (record) => json(record.location),
+    },
+  },
+  deeds: { key: "deed", idField: "deedId", table: "deeds" },
+  leases: { key: "lease", idField: "leaseId", table: "leases" },
+  assets: {
+    key: "asset",
+    idField: "assetId",
+    table: "assets",
+    idColumn: "asset_id",
+    columns: {
+      name: (record) => record.name,
+      type: (record) => record.type,
+      owner: (record) => record.owner,
+      status: (record) => record.status,
+      value: (record) => json(record.value),
+      metadata: (record) => json(record.metadata),
+    },
+  },
+  transfers: { key: "transfer", idField: "transferId", table: "transfers" },
+  nfts: { key: "nft", idField: "nftId", table: "nfts" },
+  custody: { key: "custody", idField: "custodyId", table: "custody" },
+  tokenizations: {
+    key: "tokenization",
+    idField: "tokenizationId",
+    table: "tokenizations",
+  },
+};
@@ -0,0 +1,89 @@
+/**
+ * ChittyOS Storage Repositories
+ * One repository per domain entity with the same get/put/delete/list/query
+ * semantics on every backend, so services do not write to KV and D1 by hand.
+ * The backend is chosen per entity with STORAGE_BACKEND_<ENTITY> (e.g.
+ * STORAGE_BACKEND_CASES = "postgres"), falling back to STORAGE_BACKEND and
+ * then "kv". Tables for the d1 and postgres backends are created by the
+ * schema migrations.
+ */
+
+import { DatabaseService } from "../database.js";
+import { ENTITIES } from "./entities.js";
+import { KVRepository } from "./kv.js";
+import { MemoryRepository } from "./memory.js";
+import { SqlRepository, d1Executor, postgresExecutor } from "./sql.js";
+
+export { ENTITIES } from "./entities.js";
+export { resetMemoryStorage } from "./memory.js";
+
+export const STORAGE_BACKENDS = ["kv", "d1", "postgres", "memory"];
+
+export function storageBackend(env, entityName) {
+  return (
+    env[`STORAGE_BACKEND_${entityName.toUpperCase()}`] ||
+    env.STORAGE_BACKEND ||
+    "kv"
+  );
+}
+
+// get(id) resolves to the record or null; put(record) inserts or replaces
+// it by its ID field; list(options) and query(filter, options) resolve to
+// { items, cursor }, ordered by ID, with options { limit, cursor }. With
+// `transaction` (a withTransaction handle), a postgres-backed repository runs
+// its statements in that transaction.
+export function repository(env, entityName, { transaction } = {}) {
+  const entity = ENTITIES[entityName];
+  if (!entity) {
+    throw new Error(`Unknown storage entity: ${entityName}`);
+  }
+
+  const backend = storageBackend(env, entityName);
+  switch (backend) {
+    case "kv":
+      if (!env.KV_NAMESPACE) throw new Error("KV_NAMESPACE not configured");
+      return new KVRepository(env.KV_NAMESPACE, entity);
+    case "d1":
+      if (!env.D1_DATABASE) throw new Error("D1 database not configured");
+      return new SqlRepository(d1Executor(env.D1_DATABASE), "d1", entity);
+    case "postgres":
+      if (!env.HYPERDRIVE) throw new Error("Hyperdrive not configured");
+      return new SqlRepository(
+        // Domain tables are not partitioned by tenant; access is checked
+        // by the services' RBAC policies
+        postgresExecutor(
+          transaction || new DatabaseService(env, { allTenants: true }),
+        ),
+        "postgres",
+        entity,
+      );
+    case "memory":
+      return new MemoryRepository(entity);
+    default:
+      throw new Error(
+        `Storage backend for ${entityName} must be one of ${STORAGE_BACKENDS.join(", ")}, got ${backend}`,
+      );
+  }
+}
+
+// Run `callback(repositories)`, with repositories for `entityNames` keyed by
+// name, so that their writes commit or roll back together. Entities on the
+// postgres backend share one serializable transaction, which is retried on
+// conflicting concurrent updates, so the callback may run more than once.
+// KV, D1 and memory have no multi-request transactions and are written
+// directly.
+export async function withStorageTransaction(env, entityNames, callback) {
+  const repositories = (transaction) =>
+    Object.fromEntries(
+      entityNames.map((name) => [name, repository(env, name, { transaction })]),
+    );
+
+  if (!entityNames.some((name) => storageBackend(env, name) === "postgres")) {
+    return await callback(repositories());
+  }
+  if (!env.HYPERDRIVE) throw new Error("Hyperdrive not configured");
+
+  return await new DatabaseService(env, { allTenants: true }).withTransaction(
+    (transaction) => callback(repositories(transaction)),
+  );
+}
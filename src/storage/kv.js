@@ -0,0 +1,67 @@
+// Records as JSON at <entity key>:<id> in KV_NAMESPACE, the layout the
+// domain services have always used
+
+import { matchesFilter, pageSize, validateFilter } from "./query.js";
+
+// KV has no secondary indexes, so filtered queries read every record under
+// the prefix. One call reads at most this many keys and may return a short
+// page with a cursor to continue from.
+const MAX_SCAN_KEYS = 1000;
+
+export class KVRepository {
+  constructor(kv, entity) {
+    this.kv = kv;
+    this.entity = entity;
+    this.prefix = `${entity.key}:`;
+  }
+
+  async get(id) {
+    return await this.kv.get(this.prefix + id, "json");
+  }
+
+  async put(record) {
+    await this.kv.put(
+      this.prefix + record[this.entity.idField],
+      JSON.stringify(record),
+    );
+    return record;
+  }
+
+  async delete(id) {
+    await this.kv.delete(this.prefix + id);
+  }
+
+  async list(options) {
+    return await this.query({}, options);
+  }
+
+  // KV cursors resume at a page boundary, so each list call asks for no
+  // more keys than the page still has room for
+  async query(filter = {}, { limit, cursor } = {}) {
+    validateFilter(filter);
+    const size = pageSize(limit);
+    const items = [];
+    let scanned = 0;
+    let next = cursor || undefined;
+
+    do {
+      const page = await this.kv.list({
+        prefix: this.prefix,
+        limit: Math.min(size - items.length, MAX_SCAN_KEYS - scanned),
+        cursor: next,
+      });
+      scanned += page.keys.length;
+
+      const records = await Promise.all(
+        page.keys.map((key) => this.kv.get(key.name, "json")),
+      );
+      items.push(
+        ...records.filter((record) => record && matchesFilter(record, filter)),
+      );
+
+      next = page.list_complete ? undefined : page.cursor;
+    } while (next && items.length < size && scanned < MAX_SCAN_KEYS);
+
+    return { items, cursor: next ?? null };
+  }
+}
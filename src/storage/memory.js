@@ -0,0 +1,65 @@
+// Records in isolate memory, for tests and local development. Contents are
+// per isolate and lost when it is evicted.
+
+import {
+  decodeIdCursor,
+  encodeIdCursor,
+  matchesFilter,
+  pageSize,
+  validateFilter,
+} from "./query.js";
+
+const stores = new Map();
+
+export class MemoryRepository {
+  constructor(entity) {
+    this.entity = entity;
+    if (!stores.has(entity.key)) stores.set(entity.key, new Map());
+    this.records = stores.get(entity.key);
+  }
+
+  async get(id) {
+    return structuredClone(this.records.get(id) ?? null);
+  }
+
+  async put(record) {
+    this.records.set(record[this.entity.idField], structuredClone(record));
+    return record;
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+
+  async list(options) {
+    return await this.query({}, options);
+  }
+
+  async query(filter = {}, { limit, cursor } = {}) {
+    validateFilter(filter);
+    const size = pageSize(limit);
+    const after = cursor ? decodeIdCursor(cursor) : null;
+
+    const matches = [...this.records.keys()]
+      .filter((id) => after === null || id > after)
+      .sort()
+      .map((id) => this.records.get(id))
+      .filter((record) => matchesFilter(record, filter));
+    const items = matches
+      .slice(0, size)
+      .map((record) => structuredClone(record));
+
+    return {
+      items,
+      cursor:
+        matches.length > size
+          ? encodeIdCursor(items.at(-1)[this.entity.idField])
+          : null,
+    };
+  }
+}
+
+// Empty every in-memory store
+export function resetMemoryStorage() {
+  stores.clear();
+}
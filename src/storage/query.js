@@ -0,0 +1,50 @@
+// Filtering and paging shared by every repository backend. A filter
+// { field: value } matches records whose top-level `field` equals `value`
+// (a string, number, boolean or null); pages are ordered by record ID.
+
+import { HttpError } from "../middleware.js";
+import { base64UrlDecodeText, base64UrlEncode } from "../crypto-utils.js";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 1000;
+
+export function validateFilter(filter = {}) {
+  for (const [field, value] of Object.entries(filter)) {
+    if (!/^[A-Za-z_]\w*$/.test(field)) {
+      throw new HttpError(400, `Invalid filter field: ${field}`);
+    }
+    if (value !== null && typeof value === "object") {
+      throw new HttpError(400, `Filter on ${field} must be a scalar value`);
+    }
+  }
+  return filter;
+}
+
+export function matchesFilter(record, filter) {
+  return Object.entries(filter).every(
+    ([field, value]) => (record[field] ?? null) === value,
+  );
+}
+
+export function pageSize(limit) {
+  if (limit === undefined) return DEFAULT_PAGE_SIZE;
+  if (!(Number.isInteger(limit) && limit > 0)) {
+    throw new HttpError(400, "limit must be a positive integer");
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+// Cursors for backends that page by "ID greater than the last one seen"
+export function encodeIdCursor(id) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify({ id })));
+}
+
+export function decodeIdCursor(cursor) {
+  try {
+    const { id } = JSON.parse(base64UrlDecodeText(cursor));
+    if (typeof id === "string") return id;
+  } catch {
+    // Reported below
+  }
+  throw new HttpError(400, "Invalid cursor");
+}
@@ -0,0 +1,149 @@
+// Records in D1 or Neon tables. Each row keeps the whole record in `data`
+// (TEXT on D1, JSONB on Postgres), which is what reads return, alongside the
+// entity's projected columns for reporting and SQL access.
+
+import {
+  decodeIdCursor,
+  encodeIdCursor,
+  pageSize,
+  validateFilter,
+} from "./query.js";
+
+export class SqlRepository {
+  // `execute(sql, params)` resolves to the result rows; SQL is written with
+  // "?" placeholders
+  constructor(execute, dialect, entity) {
+    this.execute = execute;
+    this.dialect = dialect;
+    this.entity = entity;
+    this.idColumn = entity.idColumn || "id";
+  }
+
+  async get(id) {
+    const rows = await this.execute(
+      `SELECT data FROM ${this.entity.table} WHERE ${this.idColumn} = ?`,
+      [id],
+    );
+    return rows.length > 0 ? parseData(rows[0].data) : null;
+  }
+
+  async put(record) {
+    const now = new Date().toISOString();
+    const projected = Object.entries(this.entity.columns || {}).map(
+      ([column, project]) => [column, project(record)],
+    );
+    const columns = [
+      [this.idColumn, record[this.entity.idField]],
+      ...projected,
+      ["data", JSON.stringify(record)],
+      ["created_at", record.createdAt || now],
+      ["updated_at", now],
+    ];
+    const placeholders = columns.map(([column]) =>
+      column === "data" && this.dialect === "postgres" ? "?::jsonb" : "?",
+    );
+    const updates = columns
+      .filter(([column]) => column !== this.idColumn && column !== "created_at")
+      .map(([column]) => `${column} = excluded.${column}`);
+
+    await this.execute(
+      `INSERT INTO ${this.entity.table} (${columns.map(([column]) => column).join(", ")})
+       VALUES (${placeholders.join(", ")})
+       ON CONFLICT (${this.idColumn}) DO UPDATE SET ${updates.join(", ")}`,
+      columns.map(([, value]) => value ?? null),
+    );
+    return record;
+  }
+
+  async delete(id) {
+    await this.execute(
+      `DELETE FROM ${this.entity.table} WHERE ${this.idColumn} = ?`,
+      [id],
+    );
+  }
+
+  async list(options) {
+    return await this.query({}, options);
+  }
+
+  async query(filter = {}, { limit, cursor } = {}) {
+    validateFilter(filter);
+    const size = pageSize(limit);
+    const conditions = ["data IS NOT NULL"];
+    const params = [];
+
+    if (cursor) {
+      conditions.push(`${this.idColumn} > ?`);
+      params.push(decodeIdCursor(cursor));
+    }
+    for (const [condition, values] of this.filterConditions(filter)) {
+      conditions.push(condition);
+      params.push(...values);
+    }
+
+    // One extra row tells whether another page follows
+    const rows = await this.execute(
+      `SELECT ${this.idColumn} AS id, data FROM ${this.entity.table}
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY ${this.idColumn}
+       LIMIT ?`,
+      [...params, size + 1],
+    );
+    const page = rows.slice(0, size);
+
+    return {
+      items: page.map((row) => parseData(row.data)),
+      cursor: rows.length > size ? encodeIdCursor(page.at(-1).id) : null,
+    };
+  }
+
+  // Field names are checked by validateFilter, so they can be inlined.
+  // Postgres matches non-null values with one containment test, which the
+  // GIN index on `data` serves.
+  filterConditions(filter) {
+    const entries = Object.entries(filter);
+
+    if (this.dialect === "postgres") {
+      const values = entries.filter(([, value]) => value !== null);
+      return [
+        ...(values.length > 0
+          ? [["data @> ?::jsonb", [JSON.stringify(Object.fromEntries(values))]]]
+          : []),
+        ...entries
+          .filter(([, value]) => value === null)
+          .map(([field]) => [`data->>'${field}' IS NULL`, []]),
+      ];
+    }
+
+    return entries.map(([field, value]) =>
+      value === null
+        ? [`json_extract(data, '$.${field}') IS NULL`, []]
+        : [`json_extract(data, '$.${field}') = ?`, [value]],
+    );
+  }
+}
+
+export function d1Executor(db) {
+  return async (sql, params) => {
+    const { results } = await db
+      .prepare(sql)
+      .bind(...params)
+      .all();
+    return results;
+  };
+}
+
+// Over a DatabaseService, which takes "$n" placeholders
+export function postgresExecutor(database) {
+  return async (sql, params) => {
+    let index = 0;
+    return await database.query(
+      sql.replace(/\?/g, () => `$${++index}`),
+      params,
+    );
+  };
+}
+
+function parseData(data) {
+  return typeof data === "string" ? JSON.parse(data) : data;
+}
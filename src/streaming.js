@@ -0,0 +1,165 @@
+/**
+ * Server-Sent Event streaming for AI responses
+ * Parses Workers AI token streams and re-emits them in the /api/ai/chat and
+ * OpenAI chat.completion.chunk formats, always terminated by "data: [DONE]"
+ */
+
+import { measureUsage } from "./ai-broker.js";
+
+const encoder = new TextEncoder();
+
+export const SSE_HEADERS = {
+  "content-type": "text/event-stream; charset=utf-8",
+  "cache-control": "no-cache, no-transform",
+};
+
+// Incremental SSE parser: push() decoded text, get back the data payloads of
+// every complete event ("[DONE]" is returned as-is)
+export class SSEParser {
+  constructor() {
+    this.buffer = "";
+  }
+
+  push(text) {
+    this.buffer += text.replace(/\r\n/g, "\n");
+    const payloads = [];
+
+    let boundary;
+    while ((boundary = this.buffer.indexOf("\n\n")) !== -1) {
+      const event = this.buffer.slice(0, boundary);
+      this.buffer = this.buffer.slice(boundary + 2);
+
+      const data = event
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("\n");
+      if (data) payloads.push(data);
+    }
+
+    return payloads;
+  }
+}
+
+// Yield the JSON events of a Workers AI stream ({ response, usage? }) until
+// [DONE]. Stopping early (client abort) cancels the upstream model.
+export async function* readWorkersAIStream(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  const parser = new SSEParser();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+
+      for (const data of parser.push(value)) {
+        if (data === "[DONE]") return;
+        yield JSON.parse(data);
+      }
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+}
+
+// /api/ai/chat format: { response } per token, then { done, usage }
+export async function* chatEvents(source, input) {
+  let text = "";
+  let reported = null;
+
+  for await (const event of readWorkersAIStream(source)) {
+    if (event.usage) reported = event.usage;
+    if (event.response) {
+      text += event.response;
+      yield { response: event.response };
+    }
+  }
+
+  yield {
+    done: true,
+    usage: measureUsage(input, { response: text, usage: reported }),
+  };
+}
+
+// OpenAI format: a role chunk, content deltas, a chunk carrying
+// finish_reason and, with stream_options.include_usage, a usage chunk
+export async function* openAIChunks(
+  source,
+  input,
+  { id, model, created, maxTokens, includeUsage = false },
+) {
+  const chunk = (delta, finishReason = null) => ({
+    id,
+    object: "chat.completion.chunk",
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+
+  let text = "";
+  let reported = null;
+
+  yield chunk({ role: "assistant", content: "" });
+
+  for await (const event of readWorkersAIStream(source)) {
+    if (event.usage) reported = event.usage;
+    if (event.response) {
+      text += event.response;
+      yield chunk({ content: event.response });
+    }
+  }
+
+  const usage = measureUsage(input, { response: text, usage: reported });
+  yield chunk({}, usage.outputTokens >= maxTokens ? "length" : "stop");
+
+  if (includeUsage) {
+    yield {
+      ...chunk({}),
+      choices: [],
+      usage: {
+        prompt_tokens: usage.inputTokens,
+        completion_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens,
+      },
+    };
+  }
+}
+
+// Serialize an async iterator of events as an SSE response. Errors after the
+// stream has started are sent as a final event built by onError(); a client
+// disconnect cancels the iterator, and with it the upstream model call.
+export function sseResponse(
+  events,
+  { onError = (error) => ({ error: error.message }) } = {},
+) {
+  const iterator = events[Symbol.asyncIterator]();
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await iterator.next();
+        if (done) {
+          controller.enqueue(encodeEvent("[DONE]"));
+          controller.close();
+          return;
+        }
+
+        controller.enqueue(encodeEvent(JSON.stringify(value)));
+      } catch (error) {
+        console.error("AI stream failed:", error);
+        controller.enqueue(encodeEvent(JSON.stringify(onError(error))));
+        controller.enqueue(encodeEvent("[DONE]"));
+        controller.close();
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+
+  return new Response(body, { headers: SSE_HEADERS });
+}
+
+function encodeEvent(data) {
+  return encoder.encode(`data: ${data}\n\n`);
+}
@@ -0,0 +1,447 @@
+/**
+ * ChittyOS Traffic Splitting
+ * Canary and blue/green rules that send part of a gateway service's traffic
+ * to an alternate binding or upstream, with per-rule error rates kept in
+ * TrafficSplitState Durable Objects for automatic rollback
+ */
+
+import { Router } from "./router.js";
+import { DURABLE_OBJECT_MIDDLEWARE, compose } from "./middleware.js";
+import { sha256Hex } from "./crypto-utils.js";
+
+// KV key holding the rules by service name, edited through /admin/traffic
+export const TRAFFIC_RULES_KEY = "traffic:rules";
+
+// How long an isolate reuses the rules it read from KV, in milliseconds
+const RULES_CACHE_TTL = 30 * 1000;
+
+// How long an isolate trusts a rule's last known rollback state before
+// asking its Durable Object again, in milliseconds
+const ROLLBACK_CACHE_TTL = 10 * 1000;
+
+// A canary is rolled back when more than `errorRate` of its requests in the
+// last `windowSeconds` failed (threw or answered 5xx), once it has served at
+// least `minRequests`
+export const DEFAULT_ROLLBACK = {
+  errorRate: 0.05,
+  minRequests: 50,
+  windowSeconds: 300,
+};
+
+// Outcomes are counted in buckets of this many milliseconds
+const STATS_BUCKET_MS = 60 * 1000;
+
+// Each isolate counts outcomes itself and sends them to the rule's Durable
+// Object once it has this many, or once this many milliseconds have passed
+// since its first unsent one, so the object sees one call per batch rather
+// than one per request. Counts an isolate never sends are lost.
+const FLUSH_BATCH_SIZE = 25;
+const FLUSH_INTERVAL_MS = 5 * 1000;
+
+let cachedRules = null;
+let cachedAt = 0;
+
+// Rules by service name. A rule is { target: { binding } or { upstream },
+// version, percent, header: { name, value }, cookie: { name, value },
+// tenants, rollback, revision }. Requests carrying the header or cookie
+// value, or an X-Chitty-Tenant-Id in `tenants`, always go to the target;
+// of the rest, `percent` of clients do, chosen by a hash of the client so
+// each keeps its assignment. 100 percent is a blue/green cutover.
+export async function loadTrafficRules(env, { fresh = false } = {}) {
+  if (!fresh && cachedRules && Date.now() - cachedAt < RULES_CACHE_TTL) {
+    return cachedRules;
+  }
+
+  cachedRules =
+    (await env.CHITTYROUTER_KV?.get(TRAFFIC_RULES_KEY, "json")) || {};
+  cachedAt = Date.now();
+  return cachedRules;
+}
+
+// Save or (with a null rule) remove one service's rule. Every save gets a
+// new revision, which resets the rule's error counts and any rollback.
+export async function saveTrafficRule(env, service, rule) {
+  const rules = { ...(await loadTrafficRules(env, { fresh: true })) };
+
+  if (rule) {
+    const { target, version, percent, header, cookie, tenants } = rule;
+    rules[service] = {
+      target,
+      version,
+      percent,
+      header,
+      cookie,
+      tenants,
+      rollback: { ...DEFAULT_ROLLBACK, ...rule.rollback },
+      revision: new Date().toISOString(),
+    };
+  } else {
+    delete rules[service];
+  }
+
+  await env.CHITTYROUTER_KV.put(TRAFFIC_RULES_KEY, JSON.stringify(rules));
+  return await loadTrafficRules(env, { fresh: true });
+}
+
+// Problems with a rule, empty when it is valid
+export function validateTrafficRule(rule) {
+  if (!rule || typeof rule !== "object") {
+    return ["Body must be a traffic rule object"];
+  }
+
+  const errors = [];
+  const { target = {} } = rule;
+
+  if (Boolean(target.binding) === Boolean(target.upstream)) {
+    errors.push("target needs exactly one of binding and upstream");
+  } else if (target.binding && !/^[A-Z][A-Z0-9_]*$/.test(target.binding)) {
+    errors.push("target.binding must be a binding name such as PLATFORM_V2");
+  } else if (target.upstream && !/^https:\/\/[^/]/.test(target.upstream)) {
+    errors.push("target.upstream must be an https:// URL");
+  }
+  if (!(rule.percent >= 0 && rule.percent <= 100)) {
+    errors.push("percent must be between 0 and 100");
+  }
+  for (const field of ["header", "cookie"]) {
+    const match = rule[field];
+    if (
+      match !== undefined &&
+      (typeof match?.name !== "string" ||
+        !match.name ||
+        typeof match.value !== "string")
+    ) {
+      errors.push(`${field} must be { name, value } strings`);
+    }
+  }
+  if (
+    rule.tenants !== undefined &&
+    (!Array.isArray(rule.tenants) ||
+      rule.tenants.some((tenant) => typeof tenant !== "string"))
+  ) {
+    errors.push("tenants must be an array of tenant IDs");
+  }
+
+  const rollback = rule.rollback || {};
+  if (
+    rollback.errorRate !== undefined &&
+    !(rollback.errorRate > 0 && rollback.errorRate <= 1)
+  ) {
+    errors.push("rollback.errorRate must be between 0 and 1");
+  }
+  for (const field of ["minRequests", "windowSeconds"]) {
+    if (rollback[field] !== undefined && !(rollback[field] > 0)) {
+      errors.push(`rollback.${field} must be a positive number`);
+    }
+  }
+
+  return errors;
+}
+
+// Rollback states last seen by this isolate, by service
+const rollbackStates = new Map();
+
+// Outcomes this isolate has not sent yet, by service, as { revision, since,
+// counts: { primary, canary } }
+const pendingOutcomes = new Map();
+
+// Worker-side handle on one service's rule. Without the TRAFFIC_SPLIT_STATE
+// binding rules still split traffic but are never rolled back.
+export class TrafficSplit {
+  constructor(env, service, rule) {
+    this.namespace = env.TRAFFIC_SPLIT_STATE;
+    this.service = service;
+    this.rule = rule;
+  }
+
+  // "canary" or "primary" for a request
+  async assign(request) {
+    if (await this.rolledBack()) {
+      return "primary";
+    }
+
+    const { header, cookie, tenants = [], percent = 0 } = this.rule;
+    if (header && request.headers.get(header.name) === header.value) {
+      return "canary";
+    }
+    if (cookie && readCookie(request, cookie.name) === cookie.value) {
+      return "canary";
+    }
+    // The gateway does not authenticate, so this is a client-supplied header
+    // like the others: an opt-in to the canary, not an access control
+    const tenantId = request.headers.get("x-chitty-tenant-id");
+    if (tenantId && tenants.includes(tenantId)) {
+      return "canary";
+    }
+
+    const bucket = await clientBucket(request, this.service);
+    return bucket < percent ? "canary" : "primary";
+  }
+
+  async rolledBack() {
+    const known = rollbackStates.get(this.service);
+    const current =
+      known?.revision === this.rule.revision &&
+      Date.now() - known.checkedAt < ROLLBACK_CACHE_TTL;
+    if (current || !this.namespace) {
+      return Boolean(current && known.rolledBack);
+    }
+
+    await this.status();
+    return Boolean(rollbackStates.get(this.service)?.rolledBack);
+  }
+
+  // Count a request's outcome toward the rule's error rates, sending this
+  // isolate's counts to the Durable Object once a batch is due
+  async record(variant, ok) {
+    if (!this.namespace) return;
+
+    const now = Date.now();
+    let pending = pendingOutcomes.get(this.service);
+    if (pending?.revision !== this.rule.revision) {
+      pending = {
+        revision: this.rule.revision,
+        since: now,
+        counts: { primary: emptyCounts(), canary: emptyCounts() },
+      };
+      pendingOutcomes.set(this.service, pending);
+    }
+    const counts = pending.counts[variant === "canary" ? "canary" : "primary"];
+    counts.requests += 1;
+    counts.errors += ok ? 0 : 1;
+
+    const total =
+      pending.counts.primary.requests + pending.counts.canary.requests;
+    if (total < FLUSH_BATCH_SIZE && now - pending.since < FLUSH_INTERVAL_MS) {
+      return;
+    }
+
+    // Taken before the call so concurrent requests start a new batch
+    pendingOutcomes.delete(this.service);
+    try {
+      const { rolledBack } = await this.call("/record", {
+        method: "POST",
+        body: JSON.stringify({
+          revision: pending.revision,
+          counts: pending.counts,
+          rollback: this.rule.rollback,
+        }),
+      });
+      this.remember(rolledBack);
+    } catch (error) {
+      console.error(`Traffic split ${this.service} unavailable:`, error);
+    }
+  }
+
+  // Error rates per variant over the rollback window, and any rollback
+  async status() {
+    if (!this.namespace) return null;
+
+    try {
+      const params = new URLSearchParams({
+        revision: this.rule.revision,
+        windowSeconds: String(this.rule.rollback.windowSeconds),
+      });
+      const status = await this.call(`/status?${params}`);
+      this.remember(status.rolledBack);
+      return status;
+    } catch (error) {
+      // Keep the last known state rather than asking on every request
+      console.error(`Traffic split ${this.service} unavailable:`, error);
+      const known = rollbackStates.get(this.service);
+      this.remember(
+        known?.revision === this.rule.revision ? known.rolledBack : null,
+      );
+      return null;
+    }
+  }
+
+  remember(rolledBack) {
+    rollbackStates.set(this.service, {
+      revision: this.rule.revision,
+      rolledBack,
+      checkedAt: Date.now(),
+    });
+  }
+
+  async call(path, init = {}) {
+    const stub = this.namespace.get(
+      this.namespace.idFromName(`split:${this.service}`),
+    );
+    const response = await stub.fetch(`https://traffic-split${path}`, {
+      headers: { "content-type": "application/json" },
+      ...init,
+    });
+    if (!response.ok) {
+      throw new Error(`Traffic split responded ${response.status}`);
+    }
+    return await response.json();
+  }
+}
+
+// Internal routes, only reachable through stubs held by the worker
+const splitRoutes = new Router()
+  .post("/record", async (request, split) => {
+    const outcome = await request.json();
+    const stats = recordSplitOutcome(await split.load(), outcome);
+
+    await split.state.storage.put("stats", stats);
+    return Response.json({ rolledBack: stats.rolledBack });
+  })
+  .get("/status", async (request, split) => {
+    const params = new URL(request.url).searchParams;
+    const revision = params.get("revision");
+    const windowSeconds =
+      Number(params.get("windowSeconds")) || DEFAULT_ROLLBACK.windowSeconds;
+
+    // Counts from an earlier revision of the rule no longer apply
+    const loaded = await split.load();
+    const stats =
+      loaded.revision === revision
+        ? loaded
+        : { revision, buckets: {}, rolledBack: null };
+
+    return Response.json({
+      revision,
+      windowSeconds,
+      primary: windowCounts(stats, "primary", windowSeconds),
+      canary: windowCounts(stats, "canary", windowSeconds),
+      rolledBack: stats.rolledBack,
+    });
+  });
+
+export class TrafficSplitState {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.handler = compose(DURABLE_OBJECT_MIDDLEWARE, (request) =>
+      this.handleRequest(request),
+    );
+  }
+
+  async fetch(request) {
+    return await this.handler(request, this.env, this.state);
+  }
+
+  async handleRequest(request) {
+    const response = await splitRoutes.handle(request, this);
+    if (response) {
+      return response;
+    }
+
+    return Response.json(
+      {
+        error: "Traffic split endpoint not found",
+        available: splitRoutes.paths(),
+      },
+      { status: 404 },
+    );
+  }
+
+  async load() {
+    return (
+      (await this.state.storage.get("stats")) || {
+        revision: null,
+        buckets: {},
+        rolledBack: null,
+      }
+    );
+  }
+}
+
+// Outcome arithmetic, run inside the Durable Object that owns the rule's
+// stats so concurrent batches are serialized. Stats are { revision,
+// buckets: { <bucket start>: { primary, canary } }, rolledBack }; a new
+// revision starts them over. `counts` is a batch of { requests, errors }
+// per variant, counted into the current bucket.
+export function recordSplitOutcome(
+  stats,
+  { revision, counts, rollback },
+  now = Date.now(),
+) {
+  const options = { ...DEFAULT_ROLLBACK, ...rollback };
+  const current =
+    stats.revision === revision
+      ? stats
+      : { revision, buckets: {}, rolledBack: null };
+
+  // Buckets that have left the window are dropped
+  const since = now - options.windowSeconds * 1000;
+  const buckets = Object.fromEntries(
+    Object.entries(current.buckets).filter(
+      ([start]) => Number(start) + STATS_BUCKET_MS > since,
+    ),
+  );
+
+  const start = now - (now % STATS_BUCKET_MS);
+  const bucket = {
+    primary: emptyCounts(),
+    canary: emptyCounts(),
+    ...buckets[start],
+  };
+  for (const variant of ["primary", "canary"]) {
+    bucket[variant] = {
+      requests: bucket[variant].requests + (counts[variant]?.requests || 0),
+      errors: bucket[variant].errors + (counts[variant]?.errors || 0),
+    };
+  }
+  buckets[start] = bucket;
+
+  const next = { ...current, buckets };
+  if (!next.rolledBack) {
+    const canary = windowCounts(next, "canary", options.windowSeconds, now);
+    if (
+      canary.requests >= options.minRequests &&
+      canary.errorRate > options.errorRate
+    ) {
+      next.rolledBack = {
+        at: new Date(now).toISOString(),
+        errorRate: canary.errorRate,
+        requests: canary.requests,
+      };
+    }
+  }
+  return next;
+}
+
+function windowCounts(stats, variant, windowSeconds, now = Date.now()) {
+  const since = now - windowSeconds * 1000;
+  const counts = emptyCounts();
+
+  for (const [start, bucket] of Object.entries(stats.buckets)) {
+    if (Number(start) + STATS_BUCKET_MS > since) {
+      counts.requests += bucket[variant].requests;
+      counts.errors += bucket[variant].errors;
+    }
+  }
+
+  return {
+    ...counts,
+    errorRate: counts.requests > 0 ? counts.errors / counts.requests : 0,
+  };
+}
+
+function emptyCounts() {
+  return { requests: 0, errors: 0 };
+}
+
+// A stable 0-100 position for the client: its tenant, else its API key or
+// bearer token, else its IP, hashed with the service name
+async function clientBucket(request, service) {
+  const client =
+    request.headers.get("x-chitty-tenant-id") ||
+    request.headers.get("x-api-key") ||
+    request.headers.get("authorization") ||
+    request.headers.get("cf-connecting-ip") ||
+    "anonymous";
+
+  const hash = await sha256Hex(`${service}:${client}`);
+  return (parseInt(hash.slice(0, 8), 16) % 10000) / 100;
+}
+
+function readCookie(request, name) {
+  for (const part of (request.headers.get("cookie") || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return value.join("=");
+  }
+  return null;
+}
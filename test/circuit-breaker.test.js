@@ -0,0 +1,196 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  CircuitBreaker,
+  CircuitBreakerState,
+  admitCall,
+  recordOutcome,
+} from "../src/circuit-breaker.js";
+
+const options = { failureThreshold: 3, windowSeconds: 60, openSeconds: 30 };
+
+const closed = {
+  state: "closed",
+  failures: [],
+  openedAt: null,
+  probeStartedAt: null,
+};
+
+// A Durable Object namespace serving one CircuitBreakerState, counting the
+// calls it gets
+function breakerNamespace() {
+  const stored = new Map();
+  const object = new CircuitBreakerState(
+    {
+      storage: {
+        get: async (key) => stored.get(key),
+        put: async (key, value) => stored.set(key, value),
+      },
+    },
+    {},
+  );
+  const namespace = {
+    calls: 0,
+    idFromName: (name) => name,
+    get: () => ({
+      fetch: (url, init) => {
+        namespace.calls += 1;
+        return object.fetch(new Request(url, init));
+      },
+    }),
+  };
+  return namespace;
+}
+
+describe("admitCall", () => {
+  it("admits every call while closed", () => {
+    const result = admitCall(closed, options, 1000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.probe, false);
+    assert.equal(result.breaker, closed);
+  });
+
+  it("refuses calls while open, with the seconds left to wait", () => {
+    const open = { ...closed, state: "open", openedAt: 1000 };
+    const result = admitCall(open, options, 11000);
+    assert.equal(result.allowed, false);
+    assert.equal(result.retryAfter, 20);
+    assert.equal(result.breaker, open);
+  });
+
+  it("lets one probe through once the open period is over", () => {
+    const open = { ...closed, state: "open", openedAt: 1000 };
+    const result = admitCall(open, options, 31000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.probe, true);
+    assert.equal(result.breaker.state, "half-open");
+    assert.equal(result.breaker.probeStartedAt, 31000);
+
+    const second = admitCall(result.breaker, options, 32000);
+    assert.equal(second.allowed, false);
+  });
+
+  it("replaces a probe that never reported back", () => {
+    const halfOpen = { ...closed, state: "half-open", probeStartedAt: 1000 };
+    const result = admitCall(halfOpen, options, 31000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.probe, true);
+  });
+});
+
+describe("recordOutcome", () => {
+  it("opens after failureThreshold failures within the window", () => {
+    let breaker = closed;
+    for (const now of [1000, 2000]) {
+      ({ breaker } = recordOutcome(breaker, false, false, options, now));
+      assert.equal(breaker.state, "closed");
+    }
+    ({ breaker } = recordOutcome(breaker, false, false, options, 3000));
+    assert.equal(breaker.state, "open");
+    assert.equal(breaker.openedAt, 3000);
+  });
+
+  it("forgets failures older than the window", () => {
+    let breaker = closed;
+    ({ breaker } = recordOutcome(breaker, false, false, options, 0));
+    ({ breaker } = recordOutcome(breaker, false, false, options, 1000));
+    ({ breaker } = recordOutcome(breaker, false, false, options, 60500));
+    assert.equal(breaker.state, "closed");
+    assert.deepEqual(breaker.failures, [1000, 60500]);
+  });
+
+  it("returns the same breaker for a success while closed", () => {
+    assert.equal(recordOutcome(closed, true, false, options).breaker, closed);
+  });
+
+  it("closes on a successful probe and reopens on a failed one", () => {
+    const halfOpen = { ...closed, state: "half-open", probeStartedAt: 1000 };
+    assert.equal(
+      recordOutcome(halfOpen, true, true, options, 2000).breaker.state,
+      "closed",
+    );
+
+    const reopened = recordOutcome(halfOpen, false, true, options, 2000);
+    assert.equal(reopened.breaker.state, "open");
+    assert.equal(reopened.breaker.openedAt, 2000);
+  });
+
+  it("ignores outcomes of calls that were not the probe", () => {
+    const halfOpen = { ...closed, state: "half-open", probeStartedAt: 1000 };
+    assert.equal(
+      recordOutcome(halfOpen, false, false, options).breaker,
+      halfOpen,
+    );
+
+    const open = { ...closed, state: "open", openedAt: 1000 };
+    assert.equal(recordOutcome(open, false, false, options).breaker, open);
+  });
+});
+
+describe("CircuitBreaker", () => {
+  it("admits every call without the binding", async () => {
+    const breaker = new CircuitBreaker({}, "no-binding", options);
+    const admission = await breaker.admit();
+    assert.equal(admission.allowed, true);
+    await breaker.record(false);
+  });
+
+  it("skips the Durable Object while the breaker is known to be closed", async () => {
+    const namespace = breakerNamespace();
+    const breaker = new CircuitBreaker(
+      { CIRCUIT_BREAKER_STATE: namespace },
+      "cached",
+      options,
+    );
+
+    assert.equal((await breaker.admit()).allowed, true);
+    assert.equal(namespace.calls, 1);
+
+    await breaker.admit();
+    await breaker.record(true);
+    assert.equal(namespace.calls, 1);
+
+    // Failures are always reported
+    await breaker.record(false);
+    assert.equal(namespace.calls, 2);
+  });
+
+  it("refuses calls once enough failures open it", async () => {
+    const namespace = breakerNamespace();
+    const breaker = new CircuitBreaker(
+      { CIRCUIT_BREAKER_STATE: namespace },
+      "failing",
+      options,
+    );
+
+    for (let call = 0; call < options.failureThreshold; call++) {
+      await breaker.record(false);
+    }
+
+    const admission = await breaker.admit();
+    assert.equal(admission.allowed, false);
+    assert.equal(admission.state, "open");
+    assert.ok(admission.retryAfter > 0);
+  });
+
+  it("fails open when the Durable Object is unavailable", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const breaker = new CircuitBreaker(
+      {
+        CIRCUIT_BREAKER_STATE: {
+          idFromName: (name) => name,
+          get: () => ({
+            fetch: async () => new Response(null, { status: 500 }),
+          }),
+        },
+      },
+      "unavailable",
+      options,
+    );
+
+    const admission = await breaker.admit();
+    assert.equal(admission.allowed, true);
+    assert.equal(admission.state, "unknown");
+  });
+});
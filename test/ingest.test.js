@@ -0,0 +1,183 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { handleIngest } from "../src/ingest.js";
+import { getRequestContext } from "../src/middleware.js";
+import { repository, resetMemoryStorage } from "../src/storage/index.js";
+
+// KV_NAMESPACE stand-in for document manifests and audit entries
+function memoryKV() {
+  const values = new Map();
+  return {
+    values,
+    get: async (key, type) => {
+      const value = values.get(key) ?? null;
+      return value !== null && type === "json" ? JSON.parse(value) : value;
+    },
+    put: async (key, value) => values.set(key, value),
+    delete: async (key) => values.delete(key),
+    list: async ({ prefix = "" } = {}) => ({
+      keys: [...values.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .sort()
+        .map((name) => ({ name })),
+      list_complete: true,
+    }),
+  };
+}
+
+const attorney = {
+  id: "attorney-1",
+  roles: ["attorney"],
+  scopes: [],
+  tenantId: "tenant-1",
+};
+
+let env;
+
+function ingestRequest(principal, { method = "POST", path = "", body } = {}) {
+  const request = new Request(`https://chitty.test/api/ingest/${path}`, {
+    method,
+    headers: body ? { "content-type": "application/json" } : {},
+    body: body && JSON.stringify(body),
+  });
+  getRequestContext(request).principal = principal;
+  return request;
+}
+
+async function storeManifest(documentId, caseId) {
+  await env.KV_NAMESPACE.put(
+    `document:${attorney.tenantId}:${documentId}`,
+    JSON.stringify({ documentId, caseId, namespace: "default", chunks: [] }),
+  );
+}
+
+beforeEach(async () => {
+  resetMemoryStorage();
+  env = { STORAGE_BACKEND: "memory", KV_NAMESPACE: memoryKV() };
+
+  const cases = repository(env, "cases");
+  await cases.put({ caseId: "case-a", assignedTo: [attorney.id] });
+  await cases.put({ caseId: "case-b", assignedTo: ["attorney-2"] });
+});
+
+describe("POST /api/ingest authorization", () => {
+  it("refuses a case the caller cannot work on", async () => {
+    const response = await handleIngest(
+      ingestRequest(attorney, {
+        body: { documentId: "doc-1", caseId: "case-b", content: "Text" },
+      }),
+      env,
+    );
+    assert.equal(response.status, 403);
+  });
+
+  it("answers 404 for an unknown case", async () => {
+    const response = await handleIngest(
+      ingestRequest(attorney, {
+        body: { documentId: "doc-1", caseId: "case-z", content: "Text" },
+      }),
+      env,
+    );
+    assert.equal(response.status, 404);
+  });
+
+  it("refuses to re-ingest another case's document under the caller's case", async () => {
+    await storeManifest("doc-1", "case-b");
+
+    const response = await handleIngest(
+      ingestRequest(attorney, {
+        body: { documentId: "doc-1", caseId: "case-a", content: "Text" },
+      }),
+      env,
+    );
+    assert.equal(response.status, 403);
+  });
+
+  it("refuses to re-ingest another case's document without a case", async () => {
+    await storeManifest("doc-1", "case-b");
+
+    const response = await handleIngest(
+      ingestRequest(attorney, {
+        body: { documentId: "doc-1", content: "Text" },
+      }),
+      env,
+    );
+    assert.equal(response.status, 403);
+  });
+
+  it("records the refusal in the case's audit trail", async () => {
+    await storeManifest("doc-1", "case-b");
+
+    await handleIngest(
+      ingestRequest(attorney, {
+        body: { documentId: "doc-1", caseId: "case-a", content: "Text" },
+      }),
+      env,
+    );
+    const entries = [...env.KV_NAMESPACE.values.keys()].filter((key) =>
+      key.startsWith("audit:case:case-b:"),
+    );
+    assert.equal(entries.length, 1);
+  });
+
+  it("lets an authorized caller through to embedding", async () => {
+    await storeManifest("doc-1", "case-a");
+
+    // Without the AI binding ingestion stops at the embedding step
+    await assert.rejects(
+      handleIngest(
+        ingestRequest(attorney, {
+          body: { documentId: "doc-1", caseId: "case-a", content: "Text" },
+        }),
+        env,
+      ),
+      { status: 503, message: "AI service not configured" },
+    );
+  });
+
+  it("answers 400 for a body that is not JSON", async () => {
+    const request = new Request("https://chitty.test/api/ingest/", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: "{",
+    });
+    getRequestContext(request).principal = attorney;
+
+    await assert.rejects(handleIngest(request, env), { status: 400 });
+  });
+});
+
+describe("GET and DELETE /api/ingest/:documentId authorization", () => {
+  it("refuses to show another case's document", async () => {
+    await storeManifest("doc-1", "case-b");
+
+    const response = await handleIngest(
+      ingestRequest(attorney, { method: "GET", path: "doc-1" }),
+      env,
+    );
+    assert.equal(response.status, 403);
+  });
+
+  it("refuses to delete another case's document", async () => {
+    await storeManifest("doc-1", "case-b");
+
+    const response = await handleIngest(
+      ingestRequest(attorney, { method: "DELETE", path: "doc-1" }),
+      env,
+    );
+    assert.equal(response.status, 403);
+    assert.ok(env.KV_NAMESPACE.values.has("document:tenant-1:doc-1"));
+  });
+
+  it("shows a document of the caller's case", async () => {
+    await storeManifest("doc-1", "case-a");
+
+    const response = await handleIngest(
+      ingestRequest(attorney, { method: "GET", path: "doc-1" }),
+      env,
+    );
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).document.caseId, "case-a");
+  });
+});
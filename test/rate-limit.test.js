@@ -0,0 +1,150 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { consumeToken, rateLimit } from "../src/rate-limit.js";
+import { getRequestContext } from "../src/middleware.js";
+
+const limit = { capacity: 3, refillPerSecond: 1, cost: 1 };
+
+// An AIGatewayState namespace answering every consume call with `answer`,
+// keeping the buckets it was asked for
+function limiterNamespace(answer) {
+  const namespace = {
+    buckets: [],
+    idFromName: (name) => name,
+    get: () => ({
+      fetch: async (url, init) => {
+        namespace.buckets.push(JSON.parse(init.body).bucket);
+        return answer();
+      },
+    }),
+  };
+  return namespace;
+}
+
+function request(path, principal) {
+  const created = new Request(`https://chitty.test${path}`);
+  getRequestContext(created).principal = principal;
+  return created;
+}
+
+const next = async () => new Response("ok");
+const resolvePath = (req) => new URL(req.url).pathname;
+
+describe("consumeToken", () => {
+  it("starts a new bucket full", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const result = consumeToken(null, limit);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 2);
+    assert.deepEqual(result.bucket, { tokens: 2, updatedAt: 0 });
+  });
+
+  it("refuses once the bucket is empty, saying when to retry", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    let bucket = null;
+    for (let call = 0; call < limit.capacity; call++) {
+      ({ bucket } = consumeToken(bucket, limit));
+    }
+
+    const result = consumeToken(bucket, limit);
+    assert.equal(result.allowed, false);
+    assert.equal(result.remaining, 0);
+    assert.equal(result.retryAfter, 1);
+    assert.equal(result.resetSeconds, 3);
+  });
+
+  it("refills with elapsed time, up to the capacity", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const empty = { tokens: 0, updatedAt: 0 };
+
+    t.mock.timers.tick(1500);
+    const partial = consumeToken(empty, limit);
+    assert.equal(partial.allowed, true);
+    assert.equal(partial.bucket.tokens, 0.5);
+
+    t.mock.timers.tick(60000);
+    const full = consumeToken(empty, limit);
+    assert.equal(full.remaining, limit.capacity - 1);
+  });
+
+  it("leaves the tokens alone when a call is refused", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const result = consumeToken({ tokens: 0.25, updatedAt: 0 }, limit);
+    assert.equal(result.allowed, false);
+    assert.equal(result.bucket.tokens, 0.25);
+  });
+});
+
+describe("rateLimit", () => {
+  it("passes requests through without the binding", async () => {
+    const response = await rateLimit(resolvePath)(
+      request("/api/ai/chat"),
+      {},
+      {},
+      next,
+    );
+    assert.equal(await response.text(), "ok");
+  });
+
+  it("keys buckets by route group and API key", async () => {
+    const namespace = limiterNamespace(() =>
+      Response.json({
+        allowed: true,
+        remaining: 19,
+        resetSeconds: 3,
+        retryAfter: 0,
+      }),
+    );
+    const response = await rateLimit(resolvePath)(
+      request("/api/ai/chat", { id: "key_1" }),
+      { AI_GATEWAY_STATE: namespace },
+      {},
+      next,
+    );
+
+    assert.deepEqual(namespace.buckets, ["ai:key:key_1"]);
+    assert.equal(response.headers.get("RateLimit-Limit"), "20");
+    assert.equal(response.headers.get("RateLimit-Remaining"), "19");
+  });
+
+  it("answers 429 with Retry-After when the bucket is empty", async () => {
+    const namespace = limiterNamespace(() =>
+      Response.json({
+        allowed: false,
+        remaining: 0,
+        resetSeconds: 60,
+        retryAfter: 4,
+      }),
+    );
+
+    await assert.rejects(
+      rateLimit(resolvePath)(
+        request("/db/query", { id: "key_1" }),
+        { AI_GATEWAY_STATE: namespace },
+        {},
+        next,
+      ),
+      (error) => {
+        assert.equal(error.status, 429);
+        assert.equal(error.headers["Retry-After"], "4");
+        assert.deepEqual(error.details, { group: "db", retryAfter: 4 });
+        return true;
+      },
+    );
+  });
+
+  it("fails open when the limiter answers with an error", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const namespace = limiterNamespace(
+      () => new Response("overloaded", { status: 503 }),
+    );
+    const response = await rateLimit(resolvePath)(
+      request("/api/ai/chat", { id: "key_1" }),
+      { AI_GATEWAY_STATE: namespace },
+      {},
+      next,
+    );
+    assert.equal(await response.text(), "ok");
+  });
+});
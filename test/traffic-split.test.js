@@ -0,0 +1,218 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  TrafficSplit,
+  TrafficSplitState,
+  recordSplitOutcome,
+} from "../src/traffic-split.js";
+
+const rollback = { errorRate: 0.1, minRequests: 10, windowSeconds: 300 };
+
+const empty = { revision: null, buckets: {}, rolledBack: null };
+
+function counts(primary, canary) {
+  return {
+    primary: { requests: primary[0], errors: primary[1] },
+    canary: { requests: canary[0], errors: canary[1] },
+  };
+}
+
+// A Durable Object namespace serving one TrafficSplitState, counting the
+// calls and writes it gets
+function splitNamespace() {
+  const stored = new Map();
+  const namespace = {
+    calls: 0,
+    writes: 0,
+    idFromName: (name) => name,
+    get: () => ({
+      fetch: (url, init) => {
+        namespace.calls += 1;
+        return object.fetch(new Request(url, init));
+      },
+    }),
+  };
+  const object = new TrafficSplitState(
+    {
+      storage: {
+        get: async (key) => stored.get(key),
+        put: async (key, value) => {
+          namespace.writes += 1;
+          stored.set(key, value);
+        },
+      },
+    },
+    {},
+  );
+  return namespace;
+}
+
+function rule(overrides = {}) {
+  return {
+    target: { binding: "CANARY" },
+    percent: 0,
+    rollback,
+    revision: "r1",
+    ...overrides,
+  };
+}
+
+describe("recordSplitOutcome", () => {
+  it("adds a batch's counts to the current bucket", () => {
+    let stats = recordSplitOutcome(
+      empty,
+      { revision: "r1", counts: counts([5, 1], [2, 0]), rollback },
+      60000,
+    );
+    stats = recordSplitOutcome(
+      stats,
+      { revision: "r1", counts: counts([3, 0], [1, 1]), rollback },
+      90000,
+    );
+
+    assert.deepEqual(stats.buckets[60000], counts([8, 1], [3, 1]));
+    assert.equal(stats.rolledBack, null);
+  });
+
+  it("does not change the stats it was given", () => {
+    const before = recordSplitOutcome(
+      empty,
+      { revision: "r1", counts: counts([1, 0], [1, 0]), rollback },
+      60000,
+    );
+    const snapshot = structuredClone(before);
+    recordSplitOutcome(
+      before,
+      { revision: "r1", counts: counts([1, 0], [1, 0]), rollback },
+      60000,
+    );
+    assert.deepEqual(before, snapshot);
+  });
+
+  it("starts over for a new revision of the rule", () => {
+    const old = recordSplitOutcome(
+      empty,
+      { revision: "r1", counts: counts([0, 0], [20, 20]), rollback },
+      60000,
+    );
+    assert.ok(old.rolledBack);
+
+    const stats = recordSplitOutcome(
+      old,
+      { revision: "r2", counts: counts([1, 0], [1, 0]), rollback },
+      60000,
+    );
+    assert.equal(stats.revision, "r2");
+    assert.equal(stats.rolledBack, null);
+    assert.deepEqual(stats.buckets[60000], counts([1, 0], [1, 0]));
+  });
+
+  it("drops buckets that have left the window", () => {
+    const stats = recordSplitOutcome(
+      recordSplitOutcome(
+        empty,
+        { revision: "r1", counts: counts([4, 0], [4, 0]), rollback },
+        0,
+      ),
+      { revision: "r1", counts: counts([1, 0], [1, 0]), rollback },
+      400000,
+    );
+    assert.deepEqual(Object.keys(stats.buckets), ["360000"]);
+  });
+
+  it("rolls back once the canary has enough requests over the error rate", () => {
+    const below = recordSplitOutcome(
+      empty,
+      { revision: "r1", counts: counts([0, 0], [9, 9]), rollback },
+      60000,
+    );
+    assert.equal(below.rolledBack, null);
+
+    const over = recordSplitOutcome(
+      below,
+      { revision: "r1", counts: counts([0, 0], [1, 0]), rollback },
+      61000,
+    );
+    assert.deepEqual(over.rolledBack, {
+      at: new Date(61000).toISOString(),
+      errorRate: 0.9,
+      requests: 10,
+    });
+  });
+
+  it("ignores primary errors when deciding a rollback", () => {
+    const stats = recordSplitOutcome(
+      empty,
+      { revision: "r1", counts: counts([50, 50], [20, 0]), rollback },
+      60000,
+    );
+    assert.equal(stats.rolledBack, null);
+  });
+});
+
+describe("TrafficSplit", () => {
+  it("sends outcomes to the Durable Object in batches", async () => {
+    const namespace = splitNamespace();
+    const split = new TrafficSplit(
+      { TRAFFIC_SPLIT_STATE: namespace },
+      "batched",
+      rule(),
+    );
+
+    for (let request = 0; request < 24; request++) {
+      await split.record("primary", true);
+    }
+    assert.equal(namespace.calls, 0);
+
+    await split.record("canary", true);
+    assert.equal(namespace.calls, 1);
+    assert.equal(namespace.writes, 1);
+  });
+
+  it("rolls the canary back from batched failures", async () => {
+    const namespace = splitNamespace();
+    const split = new TrafficSplit(
+      { TRAFFIC_SPLIT_STATE: namespace },
+      "failing-canary",
+      rule({ percent: 100 }),
+    );
+    const request = new Request("https://gateway.test/bridge/sync");
+
+    assert.equal(await split.assign(request), "canary");
+    for (let call = 0; call < 25; call++) {
+      await split.record("canary", false);
+    }
+    assert.equal(await split.assign(request), "primary");
+  });
+
+  it("sends nothing without the binding", async () => {
+    const split = new TrafficSplit({}, "unbound", rule());
+    for (let call = 0; call < 30; call++) {
+      await split.record("canary", false);
+    }
+    assert.equal(
+      await split.assign(new Request("https://gateway.test/")),
+      "primary",
+    );
+  });
+
+  it("assigns requests opting in by header, cookie or tenant", async () => {
+    const split = new TrafficSplit(
+      {},
+      "opt-in",
+      rule({
+        header: { name: "X-Canary", value: "1" },
+        cookie: { name: "canary", value: "yes" },
+        tenants: ["tenant-a"],
+      }),
+    );
+    const assign = (headers) =>
+      split.assign(new Request("https://gateway.test/", { headers }));
+
+    assert.equal(await assign({ "X-Canary": "1" }), "canary");
+    assert.equal(await assign({ Cookie: "other=1; canary=yes" }), "canary");
+    assert.equal(await assign({ "X-Chitty-Tenant-Id": "tenant-a" }), "canary");
+    assert.equal(await assign({ "X-Chitty-Tenant-Id": "tenant-b" }), "primary");
+  });
+});